@@ -0,0 +1,270 @@
+/**
+ * Penuel Stopover - Admin AI Knowledge Sync
+ * ============================================
+ * Tracks the job that pushes prices, hours and contact details to the
+ * chat assistant after a save: the header shows when it last synced (or
+ * that the last sync failed), and the modal lists recent jobs, previews
+ * the facts the next sync will push and offers a manual retry.
+ */
+
+const AI_SYNC_POLL_INTERVAL = 1500;
+
+const AI_SYNC_STATUS_BADGES = {
+    queued: ['Queued', 'bg-secondary'],
+    running: ['Running', 'bg-info text-dark'],
+    succeeded: ['Succeeded', 'bg-success'],
+    failed: ['Failed', 'bg-danger']
+};
+
+const AI_SYNC_TRIGGER_LABELS = {
+    save: 'After save',
+    manual: 'Manual',
+    retry: 'Retry'
+};
+
+const AI_SYNC_COLLECTION_LABELS = {
+    menu: 'Restaurant menu',
+    products: 'Supermarket',
+    services: 'Service Bay',
+    wash_packages: 'Car Wash'
+};
+
+class AiSyncManager {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.indicatorEl = document.getElementById('ai-sync-indicator');
+        this.modalEl = document.getElementById('ai-sync-modal');
+        this.jobsEl = document.getElementById('ai-sync-jobs');
+        this.previewEl = document.getElementById('ai-sync-preview');
+        this.retryBtn = document.getElementById('ai-sync-retry-btn');
+        this.jobs = [];
+        this.lastSuccess = null;
+        this.pollTimer = null;
+    }
+
+    init() {
+        // Roles without sync access never see the indicator
+        if (!this.admin.canSyncAI()) return;
+
+        this.indicatorEl?.addEventListener('click', () => this.open());
+        this.retryBtn?.addEventListener('click', () => this.start(this.latestFailed() ? 'retry' : 'manual'));
+
+        // Keep "synced 5 min ago" current
+        setInterval(() => this.renderIndicator(), 60000);
+
+        this.loadStatus();
+    }
+
+    /**
+     * Queue a sync and follow it until it finishes
+     */
+    async start(trigger = 'manual') {
+        const failed = this.latestFailed();
+
+        try {
+            console.log('🧠 Syncing with AI engine...');
+            const response = await apiCall(PENUEL_CONFIG.AI_SYNC_ENDPOINT, {
+                method: 'POST',
+                body: {
+                    action: 'update_knowledge',
+                    trigger: trigger,
+                    retry_of: trigger === 'retry' && failed ? failed.id : null,
+                    timestamp: new Date().toISOString()
+                }
+            });
+
+            this.jobs = [response.job, ...this.jobs.filter(job => job.id !== response.job.id)];
+            this.render();
+            this.poll();
+
+        } catch (error) {
+            console.error('❌ Error starting AI sync:', error);
+            showToast(`The AI assistant could not be updated: ${error.message || 'sync failed to start'}`, 'warning');
+        }
+    }
+
+    async loadStatus() {
+        const wasPending = this.isPending();
+
+        try {
+            const status = await apiCall(PENUEL_CONFIG.AI_SYNC_STATUS_ENDPOINT);
+            this.jobs = status.jobs || [];
+            this.lastSuccess = status.last_success;
+        } catch (error) {
+            console.warn('AI sync status unavailable:', error.message);
+            return;
+        }
+
+        this.render();
+
+        const latest = this.jobs[0];
+        if (this.isPending()) {
+            this.poll();
+        } else if (wasPending && latest?.status === 'failed') {
+            showToast('AI assistant sync failed - it may quote old prices. Retry from the header.', 'warning');
+        } else if (wasPending && latest?.status === 'succeeded') {
+            console.log('✅ AI engine synced');
+        }
+    }
+
+    poll() {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = setTimeout(() => this.loadStatus(), AI_SYNC_POLL_INTERVAL);
+    }
+
+    isPending() {
+        return this.jobs.some(job => job.status === 'queued' || job.status === 'running');
+    }
+
+    /**
+     * The newest job when it failed (what Retry repeats)
+     */
+    latestFailed() {
+        return this.jobs[0]?.status === 'failed' ? this.jobs[0] : null;
+    }
+
+    // ========================================
+    // RENDERING
+    // ========================================
+
+    render() {
+        this.renderIndicator();
+
+        if (this.modalEl?.classList.contains('show')) this.renderJobs();
+    }
+
+    /**
+     * Header button: syncing / last sync failed / last synced
+     */
+    renderIndicator() {
+        if (!this.indicatorEl) return;
+
+        let icon = 'fa-robot';
+        let text = 'AI not synced yet';
+        let className = 'btn-outline-light';
+
+        if (this.isPending()) {
+            icon = 'fa-rotate fa-spin';
+            text = 'Syncing AI...';
+        } else if (this.latestFailed()) {
+            icon = 'fa-triangle-exclamation';
+            text = 'AI sync failed';
+            className = 'btn-warning';
+        } else if (this.lastSuccess) {
+            icon = 'fa-check';
+            text = `AI synced ${this.formatAgo(this.lastSuccess.finished_at)}`;
+        }
+
+        this.indicatorEl.className = `btn btn-sm me-3 ai-sync-indicator ${className}`;
+        this.indicatorEl.innerHTML = `<i class="fas ${icon} me-2"></i>${escapeHtml(text)}`;
+        this.indicatorEl.title = this.lastSuccess
+            ? `Last successful sync: ${this.formatTime(this.lastSuccess.finished_at)}`
+            : 'The assistant has not been updated from this dashboard yet';
+    }
+
+    async open() {
+        this.renderJobs();
+        this.previewEl.innerHTML = '<p class="text-muted"><span class="spinner-border spinner-border-sm me-2"></span>Loading preview...</p>';
+        bootstrap.Modal.getOrCreateInstance(this.modalEl).show();
+
+        try {
+            const response = await apiCall(PENUEL_CONFIG.AI_SYNC_PREVIEW_ENDPOINT);
+            this.renderPreview(response.facts);
+        } catch (error) {
+            console.error('❌ Error loading AI sync preview:', error);
+            this.previewEl.innerHTML = `<p class="text-danger">${escapeHtml(error.message || 'Failed to load the preview.')}</p>`;
+        }
+    }
+
+    renderJobs() {
+        if (!this.jobsEl) return;
+
+        const failed = this.latestFailed();
+        this.retryBtn.disabled = this.isPending();
+        this.retryBtn.innerHTML = failed
+            ? '<i class="fas fa-rotate-right me-2"></i>Retry'
+            : '<i class="fas fa-rotate me-2"></i>Sync now';
+
+        if (this.jobs.length === 0) {
+            this.jobsEl.innerHTML = '<p class="text-muted small mb-0">No syncs yet. One runs after every save.</p>';
+            return;
+        }
+
+        this.jobsEl.innerHTML = `
+            <table class="table table-sm align-middle ai-sync-table mb-0">
+                <thead><tr><th>Started</th><th>By</th><th>Trigger</th><th>Facts</th><th>Status</th></tr></thead>
+                <tbody>
+                    ${this.jobs.map(job => this.renderJob(job)).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    renderJob(job) {
+        const [label, badge] = AI_SYNC_STATUS_BADGES[job.status] || [job.status, 'bg-secondary'];
+        const facts = job.facts
+            ? `${job.facts.items} items, hours for ${job.facts.hours} units, ${job.facts.contact} contact details`
+            : '—';
+
+        return `
+            <tr data-job-id="${escapeHtml(job.id)}">
+                <td>${this.formatTime(job.created_at)}</td>
+                <td>${escapeHtml(job.requested_by || '')}</td>
+                <td>${AI_SYNC_TRIGGER_LABELS[job.trigger] || escapeHtml(job.trigger)}</td>
+                <td class="small">${facts}</td>
+                <td>
+                    <span class="badge ${badge}">${label}</span>
+                    ${job.error ? `<div class="small text-danger">${escapeHtml(job.error)}</div>` : ''}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Facts the next sync pushes: contact, status, hours, then items per unit
+     */
+    renderPreview(facts) {
+        const hours = Object.entries(facts.hours || {}).map(([unit, schedule]) => `
+            <li><strong>${UNIT_LABELS[unit] || escapeHtml(unit)}:</strong> ${escapeHtml(this.admin.hoursEditor.describe(schedule))}</li>`).join('');
+
+        const items = Object.entries(facts.items || {}).map(([collection, list]) => `
+            <h6 class="mt-3">${AI_SYNC_COLLECTION_LABELS[collection] || escapeHtml(collection)} <small class="text-muted">(${list.length})</small></h6>
+            <table class="table table-sm ai-sync-table mb-0">
+                <tbody>
+                    ${list.map(item => `
+                        <tr class="${item.available ? '' : 'text-muted'}">
+                            <td>${escapeHtml(item.name)}</td>
+                            <td>KES ${formatPrice(item.price_kes || 0)}</td>
+                            <td>${item.available ? 'Available' : 'Out of stock'}</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>`).join('');
+
+        this.previewEl.innerHTML = `
+            <ul class="list-unstyled small mb-2">
+                <li><strong>Phone:</strong> ${escapeHtml(facts.contact?.phone || '—')}</li>
+                <li><strong>Email:</strong> ${escapeHtml(facts.contact?.email || '—')}</li>
+                <li><strong>Status:</strong> ${escapeHtml(this.admin.describeBusinessStatus(facts.status || { mode: 'open' }))}</li>
+            </ul>
+            <ul class="list-unstyled small mb-0">${hours}</ul>
+            ${items}
+        `;
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleString('en-KE', {
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    formatAgo(timestamp) {
+        const minutes = Math.floor((Date.now() - new Date(timestamp)) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+        return `on ${this.formatTime(timestamp)}`;
+    }
+}
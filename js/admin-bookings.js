@@ -0,0 +1,475 @@
+/**
+ * Penuel Stopover - Admin Booking Calendar
+ * ============================================
+ * Day and week calendar of service bay and car wash bookings. Each booking
+ * is drawn in its bay/lane, as tall as its package's duration_minutes.
+ * Drag a booking to another time or lane to reschedule it; click it to
+ * change its status. Capacity (lanes per unit) comes from the backend,
+ * which also refuses double bookings.
+ */
+
+const BOOKING_STATUS_LABELS = {
+    booked: 'Booked',
+    arrived: 'Arrived',
+    in_progress: 'In progress',
+    done: 'Done',
+    no_show: 'No-show'
+};
+
+const CALENDAR_START_HOUR = 6;
+const CALENDAR_END_HOUR = 20;
+const PX_PER_MINUTE = 1;
+const SNAP_MINUTES = 15;
+
+class BookingCalendar {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.calendarEl = document.getElementById('booking-calendar');
+        this.modalEl = document.getElementById('booking-modal');
+        this.formEl = document.getElementById('booking-form');
+        this.view = 'day';
+        this.date = this.startOfDay(new Date());
+        this.weekUnit = 'service_bay';
+        this.bookings = [];
+        this.units = {};
+        this.editingId = null;
+        this.drag = null;
+        this.loaded = false;
+    }
+
+    /**
+     * Load on first visit to the Bookings tab; wire navigation, drag and drop and the form
+     */
+    init() {
+        if (!this.calendarEl) return;
+
+        document.getElementById('bookings-tab')?.addEventListener('shown.bs.tab', () => {
+            if (!this.loaded) this.load();
+        });
+
+        document.getElementById('calendar-prev')?.addEventListener('click', () => this.move(-1));
+        document.getElementById('calendar-next')?.addEventListener('click', () => this.move(1));
+        document.getElementById('calendar-today')?.addEventListener('click', () => {
+            this.date = this.startOfDay(new Date());
+            this.load();
+        });
+
+        document.querySelectorAll('[data-calendar-view]').forEach(btn => {
+            btn.addEventListener('click', () => this.setView(btn.dataset.calendarView));
+        });
+
+        document.getElementById('calendar-unit')?.addEventListener('change', (e) => {
+            this.weekUnit = e.target.value;
+            this.render();
+        });
+
+        document.getElementById('add-booking-btn')?.addEventListener('click', () => this.openForm(null));
+
+        this.calendarEl.addEventListener('click', (e) => {
+            const block = e.target.closest('[data-booking-id]');
+            if (block) this.openForm(this.find(block.dataset.bookingId));
+        });
+
+        this.calendarEl.addEventListener('dragstart', (e) => this.handleDragStart(e));
+        this.calendarEl.addEventListener('dragover', (e) => {
+            if (this.drag && e.target.closest('.calendar-lane')) e.preventDefault();
+        });
+        this.calendarEl.addEventListener('drop', (e) => this.handleDrop(e));
+        this.calendarEl.addEventListener('dragend', () => {
+            this.drag = null;
+        });
+
+        this.formEl?.addEventListener('submit', (e) => this.save(e));
+        this.field('booking-unit')?.addEventListener('change', () => this.fillFormOptions(null));
+        this.modalEl?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-booking-status]');
+            if (btn) this.setStatus(btn.dataset.bookingStatus);
+        });
+    }
+
+    /**
+     * Fetch bookings for the visible day or week
+     */
+    async load() {
+        const [from, to] = this.range();
+        this.calendarEl.innerHTML = '<p class="text-muted"><span class="spinner-border spinner-border-sm me-2"></span>Loading bookings...</p>';
+        this.updateToolbar();
+
+        try {
+            const params = new URLSearchParams({ from: this.dateKey(from), to: this.dateKey(to) });
+            const response = await apiCall(`${PENUEL_CONFIG.ADMIN_BOOKINGS_ENDPOINT}?${params}`);
+            this.bookings = response.bookings || [];
+            this.units = response.units || {};
+            this.loaded = true;
+            this.render();
+
+        } catch (error) {
+            console.error('❌ Error loading bookings:', error);
+            this.calendarEl.innerHTML = '<p class="text-danger">Failed to load bookings.</p>';
+        }
+    }
+
+    // ========================================
+    // NAVIGATION
+    // ========================================
+
+    setView(view) {
+        this.view = view;
+        document.querySelectorAll('[data-calendar-view]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.calendarView === view);
+        });
+        this.load();
+    }
+
+    move(step) {
+        const date = new Date(this.date);
+        date.setDate(date.getDate() + step * (this.view === 'week' ? 7 : 1));
+        this.date = date;
+        this.load();
+    }
+
+    /**
+     * First and last day shown (weeks start on Monday)
+     */
+    range() {
+        if (this.view === 'day') return [this.date, this.date];
+
+        const from = new Date(this.date);
+        from.setDate(from.getDate() - (from.getDay() + 6) % 7);
+        const to = new Date(from);
+        to.setDate(to.getDate() + 6);
+        return [from, to];
+    }
+
+    updateToolbar() {
+        const [from, to] = this.range();
+        const label = document.getElementById('calendar-range');
+        if (label) {
+            label.textContent = this.view === 'day'
+                ? from.toLocaleDateString('en-KE', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+                : `${from.toLocaleDateString('en-KE', { day: 'numeric', month: 'short' })} – ${to.toLocaleDateString('en-KE', { day: 'numeric', month: 'short', year: 'numeric' })}`;
+        }
+
+        // Day view shows both units side by side; the week view one at a time
+        document.getElementById('calendar-unit')?.classList.toggle('d-none', this.view === 'day');
+    }
+
+    // ========================================
+    // RENDERING
+    // ========================================
+
+    /**
+     * Day view: one column per unit. Week view: one column per day for the chosen unit.
+     * Each column is split into the unit's lanes.
+     */
+    render() {
+        const [from] = this.range();
+        const columns = this.view === 'day'
+            ? Object.keys(this.units).map(unit => ({ date: from, unit }))
+            : Array.from({ length: 7 }, (_, offset) => {
+                const date = new Date(from);
+                date.setDate(date.getDate() + offset);
+                return { date, unit: this.weekUnit };
+            });
+
+        const [startHour, endHour] = this.hourRange();
+        const height = (endHour - startHour) * 60 * PX_PER_MINUTE;
+        const hours = Array.from({ length: endHour - startHour }, (_, index) => startHour + index);
+
+        this.calendarEl.innerHTML = `
+            <div class="calendar-grid">
+                <div class="calendar-times">
+                    <div class="calendar-column-header"></div>
+                    <div class="calendar-times-body" style="height: ${height}px">
+                        ${hours.map(hour => `
+                            <span style="top: ${(hour - startHour) * 60 * PX_PER_MINUTE}px">${String(hour).padStart(2, '0')}:00</span>
+                        `).join('')}
+                    </div>
+                </div>
+                ${columns.map(column => this.renderColumn(column, startHour, height)).join('')}
+            </div>
+        `;
+
+        this.updateToolbar();
+    }
+
+    renderColumn({ date, unit }, startHour, height) {
+        const capacity = this.units[unit];
+        if (!capacity) return '';
+
+        const dayKey = this.dateKey(date);
+        const laneWidth = 100 / capacity.lanes;
+        const bookings = this.bookings.filter(booking => booking.unit === unit && this.dateKey(new Date(booking.starts_at)) === dayKey);
+        const title = this.view === 'day'
+            ? UNIT_LABELS[unit]
+            : date.toLocaleDateString('en-KE', { weekday: 'short', day: 'numeric', month: 'short' });
+
+        return `
+            <div class="calendar-column">
+                <div class="calendar-column-header">
+                    <strong>${title}</strong>
+                    <div class="calendar-lane-labels">
+                        ${Array.from({ length: capacity.lanes }, (_, index) => `<span>${capacity.lane_label} ${index + 1}</span>`).join('')}
+                    </div>
+                </div>
+                <div class="calendar-column-body" style="height: ${height}px" data-date="${dayKey}" data-unit="${unit}">
+                    ${Array.from({ length: capacity.lanes }, (_, index) => `
+                        <div class="calendar-lane" data-lane="${index + 1}" style="left: ${index * laneWidth}%; width: ${laneWidth}%"></div>
+                    `).join('')}
+                    ${bookings.map(booking => this.renderBooking(booking, startHour, laneWidth)).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    renderBooking(booking, startHour, laneWidth) {
+        const start = new Date(booking.starts_at);
+        const top = ((start.getHours() - startHour) * 60 + start.getMinutes()) * PX_PER_MINUTE;
+        const height = Math.max(booking.duration_minutes * PX_PER_MINUTE, 18);
+        const lane = booking.lane || 1;
+        const movable = booking.status === 'booked';
+
+        return `
+            <div class="calendar-booking booking-${booking.status}" data-booking-id="${escapeHtml(booking.id)}"
+                draggable="${movable}" title="${escapeHtml(`${booking.customer.name} · ${booking.name} · ${BOOKING_STATUS_LABELS[booking.status]}`)}"
+                style="top: ${top}px; height: ${height}px; left: calc(${(lane - 1) * laneWidth}% + 2px); width: calc(${laneWidth}% - 4px)">
+                <strong>${this.formatTime(start)}</strong> ${escapeHtml(booking.customer.name)}
+                <div class="calendar-booking-detail">${escapeHtml(booking.name)} · ${booking.duration_minutes} min</div>
+                ${booking.status !== 'booked' ? `<span class="calendar-booking-status">${BOOKING_STATUS_LABELS[booking.status]}</span>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Opening hours of the grid, stretched to fit any booking outside them
+     */
+    hourRange() {
+        let start = CALENDAR_START_HOUR;
+        let end = CALENDAR_END_HOUR;
+
+        this.bookings.forEach(booking => {
+            const from = new Date(booking.starts_at);
+            const until = new Date(from.getTime() + booking.duration_minutes * 60000);
+            start = Math.min(start, from.getHours());
+            end = Math.max(end, until.getHours() + (until.getMinutes() > 0 ? 1 : 0));
+        });
+
+        return [start, Math.min(end, 24)];
+    }
+
+    // ========================================
+    // DRAG TO RESCHEDULE
+    // ========================================
+
+    handleDragStart(e) {
+        const block = e.target.closest('[data-booking-id]');
+        if (!block) return;
+
+        // Keep the grab point under the pointer so the drop time matches what is shown
+        this.drag = {
+            id: block.dataset.bookingId,
+            offsetY: e.clientY - block.getBoundingClientRect().top
+        };
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', block.dataset.bookingId);
+    }
+
+    handleDrop(e) {
+        const lane = e.target.closest('.calendar-lane');
+        if (!this.drag || !lane) return;
+        e.preventDefault();
+
+        const body = lane.closest('.calendar-column-body');
+        const [startHour] = this.hourRange();
+        const y = e.clientY - body.getBoundingClientRect().top - this.drag.offsetY;
+        const minutes = Math.round(y / PX_PER_MINUTE / SNAP_MINUTES) * SNAP_MINUTES + startHour * 60;
+
+        const [year, month, day] = body.dataset.date.split('-').map(Number);
+        const startsAt = new Date(year, month - 1, day, 0, Math.max(minutes, 0));
+
+        this.reschedule(this.drag.id, body.dataset.unit, startsAt, Number(lane.dataset.lane));
+        this.drag = null;
+    }
+
+    /**
+     * Move a booking to a new start time and lane (same unit only)
+     */
+    async reschedule(id, unit, startsAt, lane) {
+        const booking = this.find(id);
+        if (!booking) return;
+
+        if (booking.unit !== unit) {
+            showToast(`Bookings can't move between the ${UNIT_LABELS[booking.unit]} and ${UNIT_LABELS[unit]}`, 'warning');
+            return;
+        }
+
+        if (new Date(booking.starts_at).getTime() === startsAt.getTime() && booking.lane === lane) return;
+
+        const saved = await this.submit({ id, starts_at: startsAt.toISOString(), lane });
+        if (saved) showToast(`Moved ${saved.customer.name} to ${this.formatTime(startsAt)} · ${this.units[unit].lane_label} ${saved.lane}`, 'info');
+    }
+
+    // ========================================
+    // FORM
+    // ========================================
+
+    openForm(booking) {
+        if (!this.modalEl) return;
+
+        this.editingId = booking ? booking.id : null;
+        const start = booking ? new Date(booking.starts_at) : new Date(this.date.getTime() + 9 * 60 * 60000);
+
+        this.modalEl.querySelector('#booking-modal-title').lastChild.textContent = booking ? `${booking.customer.name} · ${booking.name}` : 'New Booking';
+        this.modalEl.querySelector('#booking-form-error').classList.add('d-none');
+
+        this.field('booking-unit').value = booking ? booking.unit : (this.view === 'week' ? this.weekUnit : 'service_bay');
+        this.field('booking-unit').disabled = Boolean(booking);
+        this.fillFormOptions(booking);
+
+        this.field('booking-customer').value = booking ? booking.customer.name : '';
+        this.field('booking-phone').value = booking ? booking.customer.phone : '';
+        this.field('booking-date').value = this.dateKey(start);
+        this.field('booking-time').value = this.formatTime(start);
+        this.field('booking-notes').value = booking ? booking.notes : '';
+
+        const statusActions = this.modalEl.querySelector('#booking-status-actions');
+        statusActions.classList.toggle('d-none', !booking);
+        statusActions.querySelectorAll('[data-booking-status]').forEach(btn => {
+            btn.classList.toggle('active', Boolean(booking) && btn.dataset.bookingStatus === booking.status);
+        });
+
+        bootstrap.Modal.getOrCreateInstance(this.modalEl).show();
+    }
+
+    /**
+     * Services or packages and lanes for the unit chosen in the form
+     */
+    fillFormOptions(booking) {
+        const unit = this.field('booking-unit').value;
+        const capacity = this.units[unit] || { type: unit === 'car_wash' ? 'wash' : 'service', lanes: 1, lane_label: 'Lane' };
+        const items = (this.admin.itemsByType[capacity.type] || [])
+            .filter(item => !item.archived || (booking && String(booking.item.id) === String(item.id)));
+
+        this.field('booking-item').innerHTML = items.map(item => `
+            <option value="${escapeHtml(item.id)}" ${booking && String(booking.item.id) === String(item.id) ? 'selected' : ''}>
+                ${escapeHtml(item.name)} (${item.duration_minutes || '?'} min)
+            </option>
+        `).join('');
+
+        this.field('booking-lane').innerHTML = '<option value="">First free</option>' + Array.from({ length: capacity.lanes }, (_, index) => `
+            <option value="${index + 1}" ${booking && booking.lane === index + 1 ? 'selected' : ''}>${capacity.lane_label} ${index + 1}</option>
+        `).join('');
+    }
+
+    readForm() {
+        const unit = this.field('booking-unit').value;
+        const [year, month, day] = this.field('booking-date').value.split('-').map(Number);
+        const [hours, minutes] = this.field('booking-time').value.split(':').map(Number);
+        const startsAt = new Date(year, month - 1, day, hours, minutes);
+        const lane = this.field('booking-lane').value;
+
+        return {
+            id: this.editingId || undefined,
+            unit,
+            item: { type: (this.units[unit] || {}).type, id: this.field('booking-item').value },
+            customer: {
+                name: this.field('booking-customer').value.trim(),
+                phone: this.field('booking-phone').value.trim()
+            },
+            starts_at: Number.isNaN(startsAt.getTime()) ? '' : startsAt.toISOString(),
+            lane: lane ? Number(lane) : null,
+            notes: this.field('booking-notes').value.trim()
+        };
+    }
+
+    async save(e) {
+        e.preventDefault();
+
+        const errorEl = this.modalEl.querySelector('#booking-form-error');
+        const booking = this.readForm();
+
+        if (!booking.customer.name || !booking.item.id || !booking.starts_at) {
+            errorEl.textContent = 'Enter the customer, a service and a date and time.';
+            errorEl.classList.remove('d-none');
+            return;
+        }
+
+        const submitBtn = this.formEl.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        const saved = await this.submit(booking, errorEl);
+        submitBtn.disabled = false;
+
+        if (saved) {
+            bootstrap.Modal.getOrCreateInstance(this.modalEl).hide();
+            showSuccess(`📅 ${saved.customer.name} booked in ${this.units[saved.unit].lane_label} ${saved.lane} at ${this.formatTime(new Date(saved.starts_at))}`);
+        }
+    }
+
+    async setStatus(status) {
+        if (!this.editingId) return;
+
+        const saved = await this.submit({ id: this.editingId, status }, this.modalEl.querySelector('#booking-form-error'));
+        if (saved) {
+            bootstrap.Modal.getOrCreateInstance(this.modalEl).hide();
+            showToast(`${saved.customer.name}: ${BOOKING_STATUS_LABELS[status]}`, 'info');
+        }
+    }
+
+    /**
+     * Create or update a booking; errors go to errorEl (in the form) or a toast
+     */
+    async submit(booking, errorEl = null) {
+        try {
+            const response = await apiCall(PENUEL_CONFIG.ADMIN_BOOKINGS_ENDPOINT, {
+                method: 'POST',
+                body: { booking }
+            });
+
+            const index = this.bookings.findIndex(entry => entry.id === response.booking.id);
+            if (index === -1) {
+                this.bookings.push(response.booking);
+            } else {
+                this.bookings[index] = response.booking;
+            }
+
+            this.render();
+            return response.booking;
+
+        } catch (error) {
+            console.error('❌ Error saving booking:', error);
+
+            if (errorEl) {
+                errorEl.textContent = error.message || 'Failed to save booking';
+                errorEl.classList.remove('d-none');
+            } else {
+                showToast(error.message || 'Failed to save booking', 'error');
+            }
+            return null;
+        }
+    }
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    find(id) {
+        return this.bookings.find(booking => booking.id === id) || null;
+    }
+
+    field(id) {
+        return this.modalEl?.querySelector(`#${id}`);
+    }
+
+    startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    dateKey(date) {
+        return date.toLocaleDateString('en-CA');
+    }
+
+    formatTime(date) {
+        return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    }
+}
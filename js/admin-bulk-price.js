@@ -0,0 +1,231 @@
+/**
+ * Penuel Stopover - Admin Bulk Price Adjustments
+ * ============================================
+ * Reprices a whole tab, one category or the checked rows at once:
+ * a percentage or fixed KES change, rounded to the nearest 10/50/100
+ * and kept inside optional min/max guards. The before/after preview is
+ * applied to AdminManager.changedItems for a normal save.
+ */
+
+class BulkPriceManager {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.modalEl = document.getElementById('bulk-price-modal');
+        this.formEl = document.getElementById('bulk-price-form');
+        this.previewEl = document.getElementById('bulk-price-preview');
+        this.type = null;
+        this.preview = [];
+    }
+
+    /**
+     * Wire the Adjust Prices button on every tab and the modal inputs
+     */
+    init() {
+        document.querySelectorAll('.bulk-price-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.open(btn.dataset.itemType));
+        });
+
+        this.formEl?.addEventListener('input', () => this.updatePreview());
+        this.formEl?.addEventListener('change', () => this.updatePreview());
+        this.formEl?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.apply();
+        });
+    }
+
+    open(type) {
+        this.type = type;
+
+        const checked = this.checkedIds(type).length;
+        const categories = ITEM_CATEGORIES[type].map(category => `
+            <option value="category:${category}">Category: ${category.charAt(0).toUpperCase() + category.slice(1)}</option>`).join('');
+
+        this.field('bulk-price-scope').innerHTML = `
+            <option value="all">All listed items on this tab</option>
+            ${categories}
+            <option value="selected" ${checked === 0 ? 'disabled' : ''}>Checked rows (${checked})</option>
+        `;
+        this.field('bulk-price-scope').value = checked > 0 ? 'selected' : 'all';
+
+        this.updatePreview();
+        bootstrap.Modal.getOrCreateInstance(this.modalEl).show();
+    }
+
+    // ========================================
+    // RULES
+    // ========================================
+
+    readRule() {
+        const number = id => {
+            const value = this.field(id).value.trim();
+            return value === '' ? null : Number(value);
+        };
+
+        return {
+            scope: this.field('bulk-price-scope').value,
+            mode: this.field('bulk-price-mode').value,
+            amount: number('bulk-price-amount'),
+            rounding: Number(this.field('bulk-price-rounding').value) || 0,
+            min: number('bulk-price-min'),
+            max: number('bulk-price-max')
+        };
+    }
+
+    /**
+     * Problem with the rule itself, or null
+     */
+    validateRule(rule) {
+        if (rule.amount === null || !Number.isFinite(rule.amount) || rule.amount === 0) {
+            return 'Enter the change to apply';
+        }
+        if (rule.mode === 'percent' && rule.amount <= -100) {
+            return 'A percentage cut must be less than 100%';
+        }
+        if ([rule.min, rule.max].some(value => value !== null && (!Number.isFinite(value) || value <= 0))) {
+            return 'Minimum and maximum must be prices above 0';
+        }
+        if (rule.min !== null && rule.max !== null && rule.min > rule.max) {
+            return 'The minimum price is above the maximum';
+        }
+        return null;
+    }
+
+    /**
+     * New price for one item: change, round, then clamp to the guards
+     * Returns { price, note }; price is null when the item is skipped
+     */
+    computePrice(current, rule) {
+        const raw = rule.mode === 'percent' ? current * (1 + rule.amount / 100) : current + rule.amount;
+        let price = rule.rounding ? Math.round(raw / rule.rounding) * rule.rounding : Math.round(raw);
+        let note = '';
+
+        if (rule.min !== null && price < rule.min) {
+            price = rule.min;
+            note = 'Raised to minimum';
+        }
+        if (rule.max !== null && price > rule.max) {
+            price = rule.max;
+            note = 'Capped at maximum';
+        }
+
+        if (price <= 0) return { price: null, note: 'Skipped: would be free' };
+        return { price, note };
+    }
+
+    /**
+     * Listed items of the tab in the rule's scope, with pending edits applied
+     */
+    itemsInScope(rule) {
+        const selected = rule.scope === 'selected' ? this.checkedIds(this.type) : null;
+        const category = rule.scope.startsWith('category:') ? rule.scope.slice('category:'.length) : null;
+
+        return (this.admin.itemsByType[this.type] || [])
+            .filter(item => {
+                const change = this.admin.changedItems.get(`${this.type}-${item.id}`);
+                return !item.archived && !(change && ['archive', 'delete'].includes(change.action));
+            })
+            .map(item => this.admin.csvManager.withPendingValues(this.type, item))
+            .filter(item => !category || item.category === category)
+            .filter(item => !selected || selected.includes(String(item.id)));
+    }
+
+    checkedIds(type) {
+        const container = document.getElementById(ITEM_CONTAINERS[type]);
+        return [...(container?.querySelectorAll('.item-row') || [])]
+            .filter(row => row.querySelector('.item-select')?.checked)
+            .map(row => row.dataset.itemId);
+    }
+
+    // ========================================
+    // PREVIEW & APPLY
+    // ========================================
+
+    updatePreview() {
+        const rule = this.readRule();
+        const applyBtn = this.modalEl.querySelector('#bulk-price-apply-btn');
+        const error = this.validateRule(rule);
+
+        this.preview = error ? [] : this.itemsInScope(rule).map(item => {
+            const current = Number(item.price_kes) || 0;
+            return { item, current, ...this.computePrice(current, rule) };
+        });
+
+        const changes = this.preview.filter(row => row.price !== null && row.price !== row.current);
+        applyBtn.disabled = changes.length === 0;
+        applyBtn.textContent = changes.length > 0 ? `Apply ${changes.length} price change${changes.length === 1 ? '' : 's'}` : 'Apply';
+
+        if (error) {
+            this.previewEl.innerHTML = `<p class="text-muted small mb-0">${escapeHtml(error)}.</p>`;
+            return;
+        }
+
+        if (this.preview.length === 0) {
+            this.previewEl.innerHTML = '<p class="text-muted small mb-0">No listed items in this selection.</p>';
+            return;
+        }
+
+        this.previewEl.innerHTML = `
+            <div class="table-responsive">
+                <table class="table table-sm align-middle bulk-price-table">
+                    <thead>
+                        <tr><th>Item</th><th>Before</th><th>After</th><th>Change</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${this.preview.map(row => this.renderPreviewRow(row)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderPreviewRow(row) {
+        const unchanged = row.price === null || row.price === row.current;
+        const diff = row.price === null ? null : row.price - row.current;
+        const percent = row.current > 0 && diff !== null ? ` (${diff > 0 ? '+' : ''}${Math.round(diff / row.current * 1000) / 10}%)` : '';
+
+        return `
+            <tr class="${unchanged ? 'text-muted' : ''}">
+                <td>${escapeHtml(row.item.name)}</td>
+                <td>KES ${formatPrice(row.current)}</td>
+                <td>${row.price === null ? '—' : `<strong>KES ${formatPrice(row.price)}</strong>`}</td>
+                <td class="${diff > 0 ? 'text-danger' : (diff < 0 ? 'text-success' : '')}">
+                    ${diff === null || diff === 0 ? '—' : `${diff > 0 ? '+' : ''}${formatPrice(diff)}${percent}`}
+                </td>
+                <td class="small">${escapeHtml(row.note || (unchanged ? 'No change' : ''))}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Queue the previewed prices as pending changes
+     */
+    apply() {
+        const changes = this.preview.filter(row => row.price !== null && row.price !== row.current);
+        if (changes.length === 0) return;
+
+        changes.forEach(({ item, price }) => {
+            const key = `${this.type}-${item.id}`;
+            this.admin.changedItems.set(key, {
+                ...(this.admin.changedItems.get(key) || {}),
+                id: item.id,
+                type: this.type,
+                price: price,
+                stock: item.stock_level ?? 0,
+                outOfStock: item.available === false
+            });
+            this.admin.refreshItemRow(this.type, item.id);
+        });
+
+        const container = document.getElementById(ITEM_CONTAINERS[this.type]);
+        container?.querySelectorAll('.item-select:checked').forEach(input => {
+            input.checked = false;
+        });
+
+        bootstrap.Modal.getOrCreateInstance(this.modalEl).hide();
+        showToast(`${changes.length} price(s) adjusted. Review and click Save All Changes.`, 'success');
+    }
+
+    field(id) {
+        return this.modalEl.querySelector(`#${id}`);
+    }
+}
@@ -0,0 +1,316 @@
+/**
+ * Penuel Stopover - Admin Save Conflicts
+ * ============================================
+ * When a save is rejected because someone else changed the same items
+ * or settings (409), shows "theirs vs yours" per record and lets the
+ * user keep their edit or take the newer version before saving again.
+ */
+
+// Row fields compared per item: read() maps a stored item onto the admin change keys
+const CONFLICT_ITEM_FIELDS = [
+    { key: 'price', label: 'Price (KES)', read: item => item.price_kes },
+    { key: 'stock', label: 'Stock', read: item => item.stock_level },
+    { key: 'outOfStock', label: 'Out of stock', read: item => !item.available || item.stock_level === 0 },
+    { key: 'archived', label: 'Archived', read: item => Boolean(item.archived) },
+    { key: 'name', label: 'Name', read: item => item.name },
+    { key: 'category', label: 'Category', read: item => item.category },
+    { key: 'description', label: 'Description', read: item => item.description },
+    { key: 'image_url', label: 'Image URL', read: item => item.image_url },
+    { key: 'subtitle', label: 'Subtitle', read: item => item.subtitle },
+    { key: 'icon', label: 'Icon', read: item => item.icon },
+    { key: 'duration_minutes', label: 'Duration (min)', read: item => item.duration_minutes },
+    { key: 'features', label: 'Features', read: item => item.features }
+];
+
+const CONFLICT_TYPE_LABELS = {
+    restaurant: 'Restaurant',
+    supermarket: 'Supermarket',
+    service: 'Service Bay',
+    wash: 'Car Wash'
+};
+
+class SaveConflictManager {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.modalEl = document.getElementById('conflict-modal');
+        this.conflicts = [];
+    }
+
+    init() {
+        this.modalEl?.querySelector('#conflict-save-btn')?.addEventListener('click', () => this.resolve());
+
+        // Every conflict needs an explicit choice before saving again
+        this.modalEl?.addEventListener('change', () => this.updateSaveButton());
+    }
+
+    /**
+     * Open the resolution dialog for the conflicts returned by the save
+     */
+    show(conflicts) {
+        this.conflicts = conflicts;
+
+        const body = this.modalEl.querySelector('.modal-body');
+        body.innerHTML = `
+            <p class="text-muted">
+                <i class="fas fa-people-arrows me-2"></i>
+                ${conflicts.length} record${conflicts.length === 1 ? ' was' : 's were'} changed by someone else after you loaded the dashboard.
+                Nothing has been saved yet. Choose which version to keep for each, then save again.
+                "Keep mine" only keeps the fields you edited; everything else takes their version.
+            </p>
+            ${conflicts.map((conflict, index) => this.renderConflict(conflict, index)).join('')}
+        `;
+
+        this.updateSaveButton();
+        bootstrap.Modal.getOrCreateInstance(this.modalEl).show();
+    }
+
+    // ========================================
+    // RENDERING
+    // ========================================
+
+    renderConflict(conflict, index) {
+        const rows = conflict.kind === 'settings' ? this.settingsRows(conflict) : this.itemRows(conflict);
+        const theirs = conflict.theirs;
+        const title = conflict.kind === 'settings'
+            ? 'Business settings'
+            : `${escapeHtml(this.baseItem(conflict)?.name || conflict.id)} <small class="text-muted">${CONFLICT_TYPE_LABELS[conflict.type] || ''}</small>`;
+
+        const changedBy = theirs
+            ? `Changed by <strong>${escapeHtml(theirs.updated_by || 'another user')}</strong>${theirs.updated_at ? ` at ${this.formatTime(theirs.updated_at)}` : ''}`
+            : '<strong class="text-danger">Deleted by another user</strong>';
+
+        const choices = theirs
+            ? `
+                ${this.choiceInput(index, 'mine', 'Keep mine')}
+                ${this.choiceInput(index, 'theirs', 'Use theirs')}
+            `
+            : this.choiceInput(index, 'theirs', 'Discard my change', true);
+
+        return `
+            <div class="conflict-card" data-conflict-index="${index}">
+                <div class="conflict-card-header">
+                    <div>${title}<div class="small text-muted">${changedBy}</div></div>
+                    <div class="conflict-choices">${choices}</div>
+                </div>
+                ${rows.length === 0 ? '' : `
+                    <div class="table-responsive">
+                        <table class="table table-sm align-middle conflict-table mb-0">
+                            <thead><tr><th>Field</th><th>When you loaded</th><th>Theirs</th><th>Yours</th></tr></thead>
+                            <tbody>
+                                ${rows.map(row => `
+                                    <tr>
+                                        <td><strong>${escapeHtml(row.label)}</strong></td>
+                                        <td class="text-muted">${this.formatValue(row.base)}</td>
+                                        <td class="${this.same(row.base, row.theirs) ? '' : 'conflict-changed'}">${this.formatValue(row.theirs)}</td>
+                                        <td class="${this.same(row.base, row.mine) ? '' : 'conflict-changed'}">
+                                            ${this.same(row.base, row.mine) ? '<span class="text-muted">not edited</span>' : this.formatValue(row.mine)}
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                `}
+            </div>
+        `;
+    }
+
+    choiceInput(index, value, label, checked = false) {
+        const id = `conflict-${index}-${value}`;
+        return `
+            <div class="form-check form-check-inline">
+                <input class="form-check-input" type="radio" name="conflict-${index}" id="${id}" value="${value}" ${checked ? 'checked' : ''}>
+                <label class="form-check-label" for="${id}">${label}</label>
+            </div>
+        `;
+    }
+
+    /**
+     * Fields that differ between the loaded copy, theirs and the pending change
+     */
+    itemRows(conflict) {
+        const base = this.baseItem(conflict) || {};
+        const theirs = conflict.theirs;
+        const change = this.admin.changedItems.get(this.changeKey(conflict)) || {};
+
+        const rows = CONFLICT_ITEM_FIELDS.map(field => ({
+            label: field.label,
+            base: field.read(base),
+            theirs: theirs ? field.read(theirs) : null,
+            mine: this.pendingValue(change, field, base)
+        })).filter(row => !this.same(row.base, row.theirs) || !this.same(row.base, row.mine));
+
+        if (change.action === 'delete') {
+            rows.unshift({ label: 'Delete item', base: false, theirs: theirs ? false : true, mine: true });
+        }
+
+        return rows;
+    }
+
+    pendingValue(change, field, base) {
+        if (field.key === 'archived') {
+            if (change.action === 'archive') return true;
+            if (change.action === 'restore') return false;
+            return field.read(base);
+        }
+
+        return change[field.key] !== undefined ? change[field.key] : field.read(base);
+    }
+
+    settingsRows(conflict) {
+        const base = this.admin.settings || {};
+        const theirs = conflict.theirs || {};
+        const pending = this.admin.changedItems;
+
+        const rows = [
+            { label: 'Phone', base: base.phone, theirs: theirs.phone, mine: pending.has('settings-phone') ? pending.get('settings-phone') : base.phone },
+            { label: 'Email', base: base.email, theirs: theirs.email, mine: pending.has('settings-email') ? pending.get('settings-email') : base.email },
+            { label: 'Business status', base: base.status, theirs: theirs.status, mine: pending.has('settings-status') ? pending.get('settings-status') : base.status }
+        ];
+
+        const units = new Set([...Object.keys(base.hours || {}), ...Object.keys(theirs.hours || {})]);
+        units.forEach(unit => {
+            const baseHours = (base.hours || {})[unit];
+            rows.push({
+                label: `Hours · ${UNIT_LABELS[unit] || unit}`,
+                base: baseHours,
+                theirs: (theirs.hours || {})[unit],
+                mine: pending.has(`hours-${unit}`) ? pending.get(`hours-${unit}`) : baseHours
+            });
+        });
+
+        return rows.filter(row => !this.same(row.base, row.theirs) || !this.same(row.base, row.mine));
+    }
+
+    updateSaveButton() {
+        const saveBtn = this.modalEl.querySelector('#conflict-save-btn');
+        const chosen = this.conflicts.filter((conflict, index) =>
+            this.modalEl.querySelector(`input[name="conflict-${index}"]:checked`)).length;
+
+        saveBtn.disabled = chosen < this.conflicts.length;
+    }
+
+    // ========================================
+    // RESOLUTION
+    // ========================================
+
+    /**
+     * Apply each choice, then retry the save with the new base versions
+     */
+    async resolve() {
+        this.conflicts.forEach((conflict, index) => {
+            const choice = this.modalEl.querySelector(`input[name="conflict-${index}"]:checked`)?.value;
+
+            if (conflict.kind === 'settings') {
+                this.resolveSettings(conflict, choice);
+            } else {
+                this.resolveItem(conflict, choice);
+            }
+        });
+
+        bootstrap.Modal.getOrCreateInstance(this.modalEl).hide();
+        this.conflicts = [];
+
+        if (this.admin.changedItems.size > 0) {
+            await this.admin.saveAllChanges();
+        } else {
+            showToast('Kept the latest saved version. Nothing left to save.', 'info');
+        }
+    }
+
+    resolveItem(conflict, choice) {
+        const key = this.changeKey(conflict);
+
+        if (!conflict.theirs) {
+            this.admin.changedItems.delete(key);
+            this.admin.removeItem(conflict.type, conflict.id);
+            return;
+        }
+
+        const change = this.admin.changedItems.get(key);
+        const base = this.baseItem(conflict) || {};
+
+        if (choice === 'theirs') {
+            this.admin.changedItems.delete(key);
+        } else if (change) {
+            // Rebase onto their version (a restored draft pins its original base)
+            delete change.baseVersion;
+
+            // Fields the user did not edit follow their version
+            CONFLICT_ITEM_FIELDS.forEach(field => {
+                if (change[field.key] !== undefined && this.same(change[field.key], field.read(base))) {
+                    change[field.key] = field.read(conflict.theirs);
+                }
+            });
+        }
+
+        // Their copy becomes the new base; a kept edit is re-applied on top
+        this.admin.replaceItem(conflict.type, conflict.theirs);
+    }
+
+    resolveSettings(conflict, choice) {
+        if (choice === 'theirs') {
+            [...this.admin.changedItems.keys()]
+                .filter(key => key.startsWith('settings-') || key.startsWith('hours-'))
+                .forEach(key => this.admin.changedItems.delete(key));
+
+            this.admin.settings = conflict.theirs;
+            this.admin.renderSettings(conflict.theirs);
+            return;
+        }
+
+        // Keep mine: their values everywhere except the fields with pending edits
+        const pending = this.admin.changedItems;
+        const theirs = conflict.theirs;
+        const merged = {
+            ...theirs,
+            phone: pending.has('settings-phone') ? pending.get('settings-phone') : theirs.phone,
+            email: pending.has('settings-email') ? pending.get('settings-email') : theirs.email,
+            status: pending.has('settings-status') ? pending.get('settings-status') : theirs.status,
+            hours: { ...theirs.hours }
+        };
+
+        pending.forEach((value, key) => {
+            if (key.startsWith('hours-')) merged.hours[key.replace('hours-', '')] = value;
+        });
+
+        this.admin.settings = theirs;
+        this.admin.renderSettings(merged);
+    }
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    changeKey(conflict) {
+        return `${conflict.type}-${conflict.id}`;
+    }
+
+    baseItem(conflict) {
+        return (this.admin.itemsByType[conflict.type] || []).find(item => String(item.id) === String(conflict.id)) || null;
+    }
+
+    same(a, b) {
+        return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    }
+
+    formatValue(value) {
+        if (value === null || value === undefined || value === '') return '—';
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+        if (Array.isArray(value)) return escapeHtml(value.join(', '));
+        if (typeof value === 'object' && 'open' in value) return escapeHtml(`${value.open} – ${value.close}`);
+        if (typeof value === 'object' && HOURS_DAYS[0] in value) return escapeHtml(this.admin.hoursEditor.describe(value));
+        if (typeof value === 'object' && 'mode' in value) return escapeHtml(this.admin.describeBusinessStatus(value));
+        if (typeof value === 'object') return escapeHtml(JSON.stringify(value));
+        return escapeHtml(String(value));
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleString('en-KE', {
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+}
@@ -0,0 +1,497 @@
+/**
+ * Penuel Stopover - Admin Catalog CSV Import/Export
+ * ============================================
+ * Exports each admin tab to a spreadsheet-friendly CSV and imports
+ * edited files back with a diff preview and row-level validation.
+ * Accepted rows land in AdminManager.changedItems for a normal save.
+ */
+
+// CSV columns per admin type (features are pipe-separated in one cell)
+const CSV_COLUMNS = {
+    restaurant: ['id', 'name', 'category', 'price_kes', 'stock_level', 'reorder_level', 'available', 'description', 'image_url', 'supplier'],
+    supermarket: ['id', 'name', 'category', 'price_kes', 'stock_level', 'reorder_level', 'available', 'description', 'image_url', 'supplier'],
+    service: ['id', 'name', 'category', 'price_kes', 'stock_level', 'available', 'description', 'duration_minutes', 'features'],
+    wash: ['id', 'name', 'category', 'price_kes', 'stock_level', 'available', 'subtitle', 'icon', 'duration_minutes', 'features']
+};
+
+const CSV_FILE_NAMES = {
+    restaurant: 'menu',
+    supermarket: 'products',
+    service: 'services',
+    wash: 'wash-packages'
+};
+
+const FEATURE_SEPARATOR = '|';
+
+// Text starting with these runs as a formula in Excel/Sheets; exported with a ' in front
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+class CatalogCsvManager {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.modalEl = document.getElementById('csv-import-modal');
+        this.pendingImport = null;
+    }
+
+    /**
+     * Wire export/import buttons on every tab
+     */
+    init() {
+        document.querySelectorAll('.export-csv-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.exportType(btn.dataset.itemType));
+        });
+
+        document.querySelectorAll('.import-csv-input').forEach(input => {
+            input.addEventListener('change', async () => {
+                const file = input.files[0];
+                input.value = '';
+                if (file) await this.importFile(input.dataset.itemType, file);
+            });
+        });
+
+        this.modalEl?.querySelector('#csv-apply-btn')?.addEventListener('click', () => this.applyImport());
+    }
+
+    // ========================================
+    // EXPORT
+    // ========================================
+
+    /**
+     * Download the current items of a tab (including unsaved edits) as CSV
+     */
+    exportType(type) {
+        const columns = CSV_COLUMNS[type];
+        const items = (this.admin.itemsByType[type] || [])
+            .filter(item => !String(item.id).startsWith('new-'))
+            .map(item => this.withPendingValues(type, item));
+
+        const lines = [columns.join(',')];
+        items.forEach(item => {
+            lines.push(columns.map(column => this.encodeCell(this.cellValue(item, column))).join(','));
+        });
+
+        // BOM + CRLF so Excel opens UTF-8 (emoji icons, KES names) correctly
+        const csv = '\uFEFF' + lines.join('\r\n');
+        const date = new Date().toISOString().slice(0, 10);
+        this.download(`penuel-${CSV_FILE_NAMES[type]}-${date}.csv`, csv);
+
+        showToast(`Exported ${items.length} items`, 'success');
+    }
+
+    /**
+     * Item as it would look after saving pending changes
+     */
+    withPendingValues(type, item) {
+        const change = this.admin.changedItems.get(`${type}-${item.id}`) || {};
+        const merged = { ...item };
+
+        Object.keys(change).forEach(key => {
+            if (['id', 'type', 'action', 'price', 'stock', 'outOfStock'].includes(key)) return;
+            merged[key] = change[key];
+        });
+
+        if (change.price !== undefined) merged.price_kes = change.price;
+        if (change.stock !== undefined) merged.stock_level = change.stock;
+        if (change.outOfStock !== undefined) merged.available = !change.outOfStock;
+
+        return merged;
+    }
+
+    cellValue(item, column) {
+        const value = item[column];
+        if (column === 'features') return (value || []).join(FEATURE_SEPARATOR);
+        if (column === 'available') return value === false ? 'no' : 'yes';
+        return value === undefined || value === null ? '' : value;
+    }
+
+    /**
+     * Quote when needed; text that a spreadsheet would run as a formula gets a leading '
+     */
+    encodeCell(value) {
+        let text = String(value);
+        if (typeof value === 'string' && CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    download(filename, content) {
+        const blob = new Blob([content], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // ========================================
+    // IMPORT
+    // ========================================
+
+    /**
+     * Parse a CSV file, validate rows and show the diff preview
+     */
+    async importFile(type, file) {
+        try {
+            const text = await file.text();
+            const rows = this.parseCsv(text);
+
+            if (rows.length < 2) {
+                throw new Error('The file has no data rows');
+            }
+
+            const header = rows[0].map(cell => cell.trim().toLowerCase());
+            const missing = ['name', 'price_kes'].filter(column => !header.includes(column));
+            if (missing.length > 0) {
+                throw new Error(`Missing required column(s): ${missing.join(', ')}`);
+            }
+
+            const result = this.buildImport(type, header, rows.slice(1));
+            this.pendingImport = { type, ...result };
+            this.renderPreview(file.name, result);
+
+        } catch (error) {
+            console.error('❌ CSV import error:', error);
+            showToast(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * RFC 4180 parser; detects comma, semicolon or tab delimiters
+     */
+    parseCsv(text) {
+        const source = text.replace(/^\uFEFF/, '');
+        const firstLine = source.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t']
+            .sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        // Drop blank lines (Excel often leaves trailing ones)
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Undo the formula guard added on export
+     */
+    decodeCell(text) {
+        return text.startsWith("'") && CSV_FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+    }
+
+    /**
+     * Compare CSV rows to current items
+     * Returns { updates: [{ item, fields }], creates: [fields], errors: [{ line, message }], unchanged }
+     */
+    buildImport(type, header, dataRows) {
+        const items = this.admin.itemsByType[type] || [];
+        const byId = new Map(items.map(item => [String(item.id), item]));
+        const seenNames = new Set();
+        const seenIds = new Set();
+
+        const updates = [];
+        const creates = [];
+        const errors = [];
+        let unchanged = 0;
+
+        dataRows.forEach((cells, index) => {
+            const line = index + 2;
+            const record = {};
+            header.forEach((column, i) => {
+                record[column] = this.decodeCell((cells[i] || '').trim());
+            });
+
+            const parsed = this.parseRecord(type, record);
+            if (parsed.error) {
+                errors.push({ line, message: parsed.error });
+                return;
+            }
+
+            const fields = parsed.fields;
+            const existing = record.id ? byId.get(record.id) : null;
+
+            if (record.id && !existing) {
+                errors.push({ line, message: `Unknown id "${record.id}" (leave id blank to add a new item)` });
+                return;
+            }
+
+            if (existing && seenIds.has(record.id)) {
+                errors.push({ line, message: `Duplicate id "${record.id}"` });
+                return;
+            }
+
+            const nameKey = fields.name.toLowerCase();
+            const nameTaken = items.some(item =>
+                item !== existing && (item.name || '').toLowerCase() === nameKey);
+            if (seenNames.has(nameKey) || nameTaken) {
+                errors.push({ line, message: `Duplicate name "${fields.name}"` });
+                return;
+            }
+
+            seenNames.add(nameKey);
+            if (existing) seenIds.add(record.id);
+
+            const detailErrors = this.admin.validateItemDetails(existing || {}, type, this.detailFields(fields));
+            const firstError = Object.values(detailErrors)[0];
+            if (firstError) {
+                errors.push({ line, message: firstError });
+                return;
+            }
+
+            if (!existing) {
+                creates.push(fields);
+                return;
+            }
+
+            const diff = this.diffFields(this.withPendingValues(type, existing), fields);
+            if (Object.keys(diff).length === 0) {
+                unchanged++;
+            } else {
+                updates.push({ item: existing, fields, diff });
+            }
+        });
+
+        const untouched = items.filter(item => !seenIds.has(String(item.id)) && !String(item.id).startsWith('new-')).length;
+
+        return { updates, creates, errors, unchanged, untouched };
+    }
+
+    /**
+     * Convert a CSV record into item fields; returns { fields } or { error }
+     */
+    parseRecord(type, record) {
+        const fields = {};
+
+        if (!record.name || record.name.length < 2) {
+            return { error: 'Name is required (at least 2 characters)' };
+        }
+        fields.name = record.name;
+
+        const price = Number(String(record.price_kes).replace(/[,\s]|KES/gi, ''));
+        if (record.price_kes === '' || !Number.isFinite(price) || price < 0) {
+            return { error: `Invalid price "${record.price_kes}"` };
+        }
+        fields.price_kes = Math.round(price);
+
+        if (record.stock_level !== undefined) {
+            const stock = record.stock_level === '' ? 0 : Number(record.stock_level);
+            if (!Number.isInteger(stock) || stock < 0) {
+                return { error: `Invalid stock "${record.stock_level}"` };
+            }
+            fields.stock_level = stock;
+        }
+
+        // Blank keeps the current reorder level
+        if (record.reorder_level !== undefined && record.reorder_level !== '' && CSV_COLUMNS[type].includes('reorder_level')) {
+            const level = Number(record.reorder_level);
+            if (!Number.isInteger(level) || level < 0) {
+                return { error: `Invalid reorder level "${record.reorder_level}"` };
+            }
+            fields.reorder_level = level;
+        }
+
+        if (record.category !== undefined) {
+            const category = record.category.toLowerCase();
+            if (!ITEM_CATEGORIES[type].includes(category)) {
+                return { error: `Invalid category "${record.category}" (use ${ITEM_CATEGORIES[type].join(', ')})` };
+            }
+            fields.category = category;
+        } else {
+            return { error: 'Category column is required' };
+        }
+
+        if (record.available !== undefined && record.available !== '') {
+            const flag = record.available.toLowerCase();
+            if (['yes', 'y', 'true', '1'].includes(flag)) fields.available = true;
+            else if (['no', 'n', 'false', '0'].includes(flag)) fields.available = false;
+            else return { error: `Available must be yes or no, got "${record.available}"` };
+        }
+
+        ['description', 'image_url', 'subtitle', 'icon', 'supplier'].forEach(column => {
+            if (record[column] !== undefined && CSV_COLUMNS[type].includes(column)) {
+                fields[column] = record[column];
+            }
+        });
+
+        if (record.duration_minutes && CSV_COLUMNS[type].includes('duration_minutes')) {
+            fields.duration_minutes = Number(record.duration_minutes);
+        }
+
+        if (record.features !== undefined && CSV_COLUMNS[type].includes('features')) {
+            fields.features = record.features.split(FEATURE_SEPARATOR).map(f => f.trim()).filter(Boolean);
+        }
+
+        return { fields };
+    }
+
+    /**
+     * Fields checked by AdminManager.validateItemDetails
+     */
+    detailFields(fields) {
+        const { price_kes, stock_level, available, ...details } = fields;
+        return details;
+    }
+
+    /**
+     * Field-by-field differences: { field: { from, to } }
+     */
+    diffFields(current, fields) {
+        const diff = {};
+
+        Object.entries(fields).forEach(([field, value]) => {
+            const before = current[field];
+            const same = Array.isArray(value)
+                ? JSON.stringify(value) === JSON.stringify(before || [])
+                : String(value ?? '') === String(before ?? '');
+
+            if (!same) diff[field] = { from: before, to: value };
+        });
+
+        return diff;
+    }
+
+    // ========================================
+    // PREVIEW & APPLY
+    // ========================================
+
+    renderPreview(fileName, result) {
+        const body = this.modalEl.querySelector('.modal-body');
+        const applyBtn = this.modalEl.querySelector('#csv-apply-btn');
+        const format = value => escapeHtml(Array.isArray(value) ? value.join(', ') : (value ?? '—'));
+
+        const updatesHtml = result.updates.map(({ item, diff }) => `
+            <tr>
+                <td><span class="badge bg-warning text-dark">Update</span></td>
+                <td>${escapeHtml(item.name)}</td>
+                <td>${Object.entries(diff).map(([field, { from, to }]) => `
+                    <div class="csv-diff"><strong>${escapeHtml(field)}</strong>:
+                        <span class="csv-diff-from">${format(from)}</span> →
+                        <span class="csv-diff-to">${format(to)}</span>
+                    </div>`).join('')}
+                </td>
+            </tr>
+        `).join('');
+
+        const createsHtml = result.creates.map(fields => `
+            <tr>
+                <td><span class="badge bg-success">New</span></td>
+                <td>${escapeHtml(fields.name)}</td>
+                <td>${escapeHtml(fields.category)} · KES ${formatPrice(fields.price_kes)} · stock ${fields.stock_level ?? 0}</td>
+            </tr>
+        `).join('');
+
+        const errorsHtml = result.errors.length === 0 ? '' : `
+            <div class="alert alert-danger">
+                <strong>${result.errors.length} row(s) will be skipped:</strong>
+                <ul class="mb-0 mt-2">
+                    ${result.errors.map(({ line, message }) => `<li>Line ${line}: ${escapeHtml(message)}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+
+        const changeCount = result.updates.length + result.creates.length;
+
+        body.innerHTML = `
+            <p class="text-muted mb-3">
+                <i class="fas fa-file-csv me-2"></i>${escapeHtml(fileName)} —
+                ${result.updates.length} updated, ${result.creates.length} new,
+                ${result.unchanged} unchanged, ${result.errors.length} with errors.
+                ${result.untouched > 0 ? `${result.untouched} item(s) not in the file are left as they are.` : ''}
+            </p>
+            ${errorsHtml}
+            ${changeCount === 0 ? '<p class="mb-0">Nothing to import.</p>' : `
+                <div class="table-responsive">
+                    <table class="table table-sm align-middle csv-preview-table">
+                        <thead><tr><th></th><th>Item</th><th>Changes</th></tr></thead>
+                        <tbody>${updatesHtml}${createsHtml}</tbody>
+                    </table>
+                </div>
+            `}
+        `;
+
+        applyBtn.disabled = changeCount === 0;
+        applyBtn.textContent = `Apply ${changeCount} change${changeCount === 1 ? '' : 's'}`;
+
+        bootstrap.Modal.getOrCreateInstance(this.modalEl).show();
+    }
+
+    /**
+     * Move accepted rows into changedItems and refresh the tab
+     */
+    applyImport() {
+        if (!this.pendingImport) return;
+
+        const { type, updates, creates } = this.pendingImport;
+
+        updates.forEach(({ item, fields }) => {
+            const key = `${type}-${item.id}`;
+            const current = this.withPendingValues(type, item);
+            const { price_kes, stock_level, available, ...details } = fields;
+
+            this.admin.changedItems.set(key, {
+                ...(this.admin.changedItems.get(key) || {}),
+                ...details,
+                id: item.id,
+                type: type,
+                price: price_kes,
+                stock: stock_level ?? current.stock_level ?? 0,
+                outOfStock: available === undefined ? current.available === false : !available
+            });
+
+            this.admin.refreshItemRow(type, item.id);
+        });
+
+        creates.forEach(fields => {
+            this.admin.queueNewItem(type, {
+                ...fields,
+                stock_level: fields.stock_level ?? 0,
+                available: fields.available !== false
+            });
+        });
+
+        // New rows (and changed values) go through the list's filters, sort and pages
+        this.admin.listView.apply(type);
+
+        const total = updates.length + creates.length;
+        this.pendingImport = null;
+        bootstrap.Modal.getOrCreateInstance(this.modalEl).hide();
+
+        showToast(`${total} change(s) imported. Review and click Save All Changes.`, 'success');
+    }
+}
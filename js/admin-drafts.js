@@ -0,0 +1,250 @@
+/**
+ * Penuel Stopover - Admin Draft Persistence
+ * ============================================
+ * Mirrors AdminManager.changedItems into localStorage (per user) on every
+ * change so a refresh, crash or idle logout doesn't lose pending edits.
+ * The draft is offered back with a banner after the next login.
+ */
+
+const DRAFT_KEY_PREFIX = 'penuel_admin_draft:';
+const DRAFT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Map that reports every mutation (used for changedItems)
+ */
+class DraftChangeMap extends Map {
+    constructor(onChange) {
+        super();
+        this.onChange = onChange;
+    }
+
+    set(key, value) {
+        super.set(key, value);
+        if (this.onChange) this.onChange();
+        return this;
+    }
+
+    delete(key) {
+        const deleted = super.delete(key);
+        if (deleted && this.onChange) this.onChange();
+        return deleted;
+    }
+
+    clear() {
+        const hadEntries = this.size > 0;
+        super.clear();
+        if (hadEntries && this.onChange) this.onChange();
+    }
+}
+
+class AdminDraftManager {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.bannerEl = document.getElementById('draft-banner');
+        this.pendingDraft = null;
+        this.leaving = false;
+    }
+
+    /**
+     * Offer any stored draft and guard the page against unsaved exits
+     */
+    init() {
+        this.bannerEl?.querySelector('#draft-restore-btn')?.addEventListener('click', () => this.restore());
+        this.bannerEl?.querySelector('#draft-discard-btn')?.addEventListener('click', () => this.discard());
+
+        window.addEventListener('beforeunload', (e) => {
+            if (this.leaving || this.admin.changedItems.size === 0) return;
+
+            this.save();
+            e.preventDefault();
+            e.returnValue = '';
+        });
+
+        this.pendingDraft = this.load();
+        if (this.pendingDraft) this.showBanner(this.pendingDraft);
+    }
+
+    /**
+     * Let the next navigation through without the unsaved-changes prompt
+     */
+    allowUnload() {
+        this.leaving = true;
+    }
+
+    storageKey() {
+        return DRAFT_KEY_PREFIX + (localStorage.getItem('penuel_admin_user') || '');
+    }
+
+    // ========================================
+    // PERSISTENCE
+    // ========================================
+
+    /**
+     * Write changedItems (plus an unclaimed older draft) to localStorage
+     */
+    save() {
+        // Until the banner is answered, keep the older draft's entries underneath new edits
+        const entries = new Map(this.pendingDraft ? this.pendingDraft.changes : []);
+        this.admin.changedItems.forEach((change, key) => {
+            entries.set(key, this.admin.withBaseVersion(change));
+        });
+
+        try {
+            if (entries.size === 0) {
+                localStorage.removeItem(this.storageKey());
+                return;
+            }
+
+            localStorage.setItem(this.storageKey(), JSON.stringify({
+                savedAt: new Date().toISOString(),
+                settingsVersion: this.pendingDraft?.settingsVersion ?? this.admin.settings?.version,
+                changes: [...entries]
+            }));
+
+        } catch (error) {
+            console.warn('Could not store draft:', error.message);
+        }
+    }
+
+    /**
+     * Stored draft for the current user, or null (expired drafts are dropped)
+     */
+    load() {
+        try {
+            const draft = JSON.parse(localStorage.getItem(this.storageKey()) || 'null');
+            if (!draft || !Array.isArray(draft.changes) || draft.changes.length === 0) return null;
+
+            if (Date.now() - new Date(draft.savedAt).getTime() > DRAFT_MAX_AGE_MS) {
+                localStorage.removeItem(this.storageKey());
+                return null;
+            }
+
+            return draft;
+
+        } catch (error) {
+            localStorage.removeItem(this.storageKey());
+            return null;
+        }
+    }
+
+    // ========================================
+    // RESTORE BANNER
+    // ========================================
+
+    showBanner(draft) {
+        if (!this.bannerEl) return;
+
+        const savedAt = new Date(draft.savedAt);
+        const isToday = savedAt.toDateString() === new Date().toDateString();
+        const when = savedAt.toLocaleString('en-KE', isToday
+            ? { hour: '2-digit', minute: '2-digit' }
+            : { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+        const count = draft.changes.length;
+        this.bannerEl.querySelector('.draft-banner-text').textContent =
+            `You have ${count} unsaved change${count === 1 ? '' : 's'} from ${when}.`;
+        this.bannerEl.classList.remove('d-none');
+    }
+
+    hideBanner() {
+        this.pendingDraft = null;
+        this.bannerEl?.classList.add('d-none');
+    }
+
+    /**
+     * Put the draft back into changedItems and onto the rows and settings form
+     */
+    restore() {
+        const draft = this.pendingDraft;
+        if (!draft) return;
+
+        let skipped = 0;
+
+        draft.changes.forEach(([key, change]) => {
+            // Edits made since login win over the draft
+            if (this.admin.changedItems.has(key)) return;
+
+            if (key.startsWith('settings-') || key.startsWith('hours-')) {
+                if (this.admin.permissions.settings !== 'edit' || !this.restoreSetting(key, change)) {
+                    skipped++;
+                    return;
+                }
+
+                this.admin.changedItems.set(key, change);
+                return;
+            }
+
+            if (!this.restoreItem(key, change)) skipped++;
+        });
+
+        // Restored rows go through the list's filters, sort and pages
+        new Set(draft.changes.map(([, change]) => change?.type).filter(type => ITEM_CONTAINERS[type]))
+            .forEach(type => this.admin.listView.apply(type));
+
+        // Settings edits were based on the version loaded back then
+        const hasSettings = draft.changes.some(([key]) => key.startsWith('settings-') || key.startsWith('hours-'));
+        if (hasSettings && this.admin.settings && draft.settingsVersion !== undefined) {
+            this.admin.settings = { ...this.admin.settings, version: draft.settingsVersion };
+        }
+
+        this.hideBanner();
+        this.save();
+
+        const restored = draft.changes.length - skipped;
+        showToast(`Restored ${restored} unsaved change${restored === 1 ? '' : 's'}. Review them and save.`, 'success');
+        if (skipped > 0) {
+            showToast(`${skipped} draft change(s) could not be restored (item removed or not permitted)`, 'warning');
+        }
+    }
+
+    restoreItem(key, change) {
+        const type = change.type;
+        if (!ITEM_CONTAINERS[type] || !this.admin.canSaveChange(key, change)) return false;
+
+        if (change.action === 'create') {
+            const { id, name, category, price, stock, outOfStock, action, baseVersion, ...details } = change;
+            const item = { ...details, id, name, category, price_kes: Number(price), stock_level: Number(stock), available: !outOfStock };
+
+            this.admin.itemsByType[type] = [...(this.admin.itemsByType[type] || []), item];
+            this.admin.changedItems.set(key, change);
+
+            // Registered with the rows; the list view attaches it
+            this.admin.createItemRow(item, type).classList.add('item-row-new');
+            return true;
+        }
+
+        const exists = (this.admin.itemsByType[type] || []).some(item => String(item.id) === String(change.id));
+        if (!exists) return false;
+
+        // baseVersion stays with the change so the save still detects conflicts
+        this.admin.changedItems.set(key, change);
+        this.admin.refreshItemRow(type, change.id);
+        return true;
+    }
+
+    /**
+     * Show a restored setting in the form; false if it no longer applies
+     */
+    restoreSetting(key, value) {
+        if (key === 'settings-status') {
+            this.admin.renderBusinessStatus(value);
+            return true;
+        }
+
+        if (key === 'settings-phone' || key === 'settings-email') {
+            const input = document.getElementById(key.replace('settings-', 'setting-'));
+            if (input) input.value = value;
+            return true;
+        }
+
+        return this.admin.hoursEditor.restore(key.replace('hours-', ''), value);
+    }
+
+    discard() {
+        if (!confirm('Discard the unsaved changes from your last session?')) return;
+
+        this.hideBanner();
+        this.save();
+        showToast('Draft discarded', 'info');
+    }
+}
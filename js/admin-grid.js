@@ -0,0 +1,468 @@
+/**
+ * Penuel Stopover - Admin Grid Mode
+ * ============================================
+ * Spreadsheet-style editing of prices, stock counts and reorder levels for
+ * stock-takes: arrow/Tab/Enter navigation, Shift+arrow range selection,
+ * copy/paste of ranges (tab-separated, so it works with Excel and Sheets),
+ * fill-down and undo/redo. Every edit is written to the item's row inputs
+ * and goes through AdminManager.trackChange like a normal edit.
+ */
+
+// Editable columns: item field -> row input and stored value
+const GRID_COLUMNS = {
+    price: { label: 'Price (KES)', input: '.item-price', stored: item => item.price_kes || 0 },
+    stock: { label: 'Stock', input: '.item-stock', stored: item => item.stock_level || 0 },
+    reorder_level: { label: 'Reorder below', input: '.item-reorder', stored: item => getReorderLevel(item) }
+};
+
+const GRID_MOVES = {
+    ArrowUp: [-1, 0],
+    ArrowDown: [1, 0],
+    ArrowLeft: [0, -1],
+    ArrowRight: [0, 1]
+};
+
+class ItemGridEditor {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.grids = {};
+        this.keepRange = false;
+    }
+
+    init() {
+        document.querySelectorAll('.grid-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.toggle(btn.dataset.itemType));
+        });
+
+        document.querySelectorAll('.item-grid').forEach(gridEl => {
+            const type = gridEl.dataset.itemType;
+            this.grids[type] = { el: gridEl, active: false, ids: [], columns: [], anchor: null, focus: null, undo: [], redo: [] };
+
+            gridEl.addEventListener('keydown', (e) => this.onKeyDown(type, e));
+            gridEl.addEventListener('change', (e) => {
+                if (e.target.classList.contains('grid-cell')) this.commit(type, e.target);
+            });
+            gridEl.addEventListener('focusin', (e) => {
+                if (!e.target.classList.contains('grid-cell') || this.keepRange) return;
+                const pos = this.position(e.target);
+                this.select(type, pos, pos);
+            });
+            gridEl.addEventListener('mousedown', (e) => {
+                const cell = e.target.closest('.grid-cell');
+                const grid = this.grids[type];
+                if (!cell || !e.shiftKey || !grid.anchor) return;
+                e.preventDefault();
+                this.select(type, grid.anchor, this.position(cell));
+            });
+            gridEl.addEventListener('copy', (e) => this.onCopy(type, e));
+            gridEl.addEventListener('paste', (e) => this.onPaste(type, e));
+            gridEl.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-grid-action]')?.dataset.gridAction;
+                if (action === 'fill') this.fillDown(type);
+                if (action === 'undo') this.undo(type);
+                if (action === 'redo') this.redo(type);
+            });
+        });
+    }
+
+    isActive(type) {
+        return Boolean(this.grids[type]?.active);
+    }
+
+    toggle(type) {
+        if (this.isActive(type)) {
+            this.close(type);
+        } else {
+            this.open(type);
+        }
+    }
+
+    open(type) {
+        const grid = this.grids[type];
+        if (!grid) return;
+
+        grid.active = true;
+        grid.undo = [];
+        grid.redo = [];
+        this.setListVisible(type, false);
+        this.render(type);
+        grid.el.querySelector('.grid-cell:not([disabled])')?.focus();
+    }
+
+    /**
+     * Back to the row list; the rows already hold every grid edit
+     */
+    close(type) {
+        const grid = this.grids[type];
+        if (!grid || !grid.active) return;
+
+        grid.active = false;
+        grid.el.innerHTML = '';
+        this.setListVisible(type, true);
+    }
+
+    /**
+     * Data was reloaded (e.g. after a save): old undo steps no longer apply
+     */
+    reset(type) {
+        const grid = this.grids[type];
+        if (!grid) return;
+
+        grid.undo = [];
+        grid.redo = [];
+        if (grid.active) this.render(type);
+    }
+
+    /**
+     * Re-read cell values from the rows (after bulk edits, imports, ...)
+     */
+    refresh(type) {
+        if (this.isActive(type)) this.syncCells(type);
+    }
+
+    setListVisible(type, visible) {
+        const grid = this.grids[type];
+        document.getElementById(ITEM_CONTAINERS[type])?.classList.toggle('d-none', !visible);
+        document.querySelector(`.item-list-pager[data-item-type="${type}"]`)?.classList.toggle('d-none', !visible);
+        grid.el.classList.toggle('d-none', visible);
+
+        const btn = document.querySelector(`.grid-mode-btn[data-item-type="${type}"]`);
+        btn?.classList.toggle('active', !visible);
+        if (btn) btn.innerHTML = visible ? '<i class="fas fa-table-cells me-2"></i>Grid Mode' : '<i class="fas fa-list me-2"></i>List Mode';
+    }
+
+    // ========================================
+    // RENDERING
+    // ========================================
+
+    /**
+     * Every item matching the list filters (not just the current page)
+     */
+    render(type) {
+        const grid = this.grids[type];
+        const stocked = type === 'restaurant' || type === 'supermarket';
+
+        grid.columns = Object.keys(GRID_COLUMNS)
+            .filter(field => field !== 'price' || this.admin.permissions.prices)
+            .filter(field => field !== 'reorder_level' || stocked);
+
+        const visible = this.admin.listView.getVisibleItems(type);
+        grid.ids = visible.map(({ item }) => String(item.id));
+        grid.anchor = null;
+        grid.focus = null;
+
+        const body = visible.map(({ item }, rowIndex) => `
+            <tr data-item-id="${escapeHtml(item.id)}">
+                <th scope="row">${escapeHtml(item.name)}</th>
+                <td class="text-muted small">${escapeHtml(item.category || '')}</td>
+                ${grid.columns.map((field, colIndex) => `
+                    <td><input type="text" inputmode="numeric" class="form-control form-control-sm grid-cell"
+                        data-row="${rowIndex}" data-col="${colIndex}" data-field="${field}" aria-label="${GRID_COLUMNS[field].label} for ${escapeHtml(item.name)}"></td>`).join('')}
+            </tr>`).join('');
+
+        grid.el.innerHTML = `
+            <div class="item-grid-toolbar">
+                <span class="small text-muted">
+                    Arrows, Tab and Enter move · Shift+arrows select · Ctrl+C / Ctrl+V copy and paste ranges · Ctrl+D fills down · Ctrl+Z / Ctrl+Y undo and redo
+                </span>
+                <div class="btn-group btn-group-sm">
+                    <button type="button" class="btn btn-outline-secondary" data-grid-action="fill" title="Fill down (Ctrl+D)"><i class="fas fa-arrow-down me-1"></i>Fill down</button>
+                    <button type="button" class="btn btn-outline-secondary" data-grid-action="undo" title="Undo (Ctrl+Z)"><i class="fas fa-rotate-left"></i></button>
+                    <button type="button" class="btn btn-outline-secondary" data-grid-action="redo" title="Redo (Ctrl+Y)"><i class="fas fa-rotate-right"></i></button>
+                </div>
+            </div>
+            ${visible.length === 0 ? '<p class="text-muted">No items match these filters.</p>' : `
+            <div class="table-responsive">
+                <table class="table table-sm align-middle item-grid-table">
+                    <thead>
+                        <tr><th>Item</th><th>Category</th>${grid.columns.map(field => `<th>${GRID_COLUMNS[field].label}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>${body}</tbody>
+                </table>
+            </div>`}
+        `;
+
+        this.syncCells(type);
+    }
+
+    /**
+     * Cell values, locks and dirty flags from the rows and stored items
+     */
+    syncCells(type) {
+        const grid = this.grids[type];
+
+        grid.el.querySelectorAll('.grid-cell').forEach(cell => {
+            const id = grid.ids[Number(cell.dataset.row)];
+            const input = this.rowInput(type, id, cell.dataset.field);
+            const stored = (this.admin.itemsByType[type] || []).find(item => String(item.id) === id);
+            const isNew = this.admin.changedItems.get(`${type}-${id}`)?.action === 'create';
+
+            cell.value = input ? input.value : '';
+            cell.disabled = !input || input.disabled || input.readOnly;
+            cell.classList.toggle('is-dirty', Boolean(input) && (isNew || !stored
+                || Number(input.value) !== Number(GRID_COLUMNS[cell.dataset.field].stored(stored))));
+        });
+
+        grid.el.querySelector('[data-grid-action="undo"]')?.toggleAttribute('disabled', grid.undo.length === 0);
+        grid.el.querySelector('[data-grid-action="redo"]')?.toggleAttribute('disabled', grid.redo.length === 0);
+    }
+
+    rowInput(type, id, field) {
+        return this.admin.findItemRow(type, id)?.querySelector(GRID_COLUMNS[field].input) || null;
+    }
+
+    // ========================================
+    // SELECTION & NAVIGATION
+    // ========================================
+
+    position(cell) {
+        return { row: Number(cell.dataset.row), col: Number(cell.dataset.col) };
+    }
+
+    cellAt(type, { row, col }) {
+        return this.grids[type].el.querySelector(`.grid-cell[data-row="${row}"][data-col="${col}"]`);
+    }
+
+    /**
+     * Selected rectangle as { top, bottom, left, right }
+     */
+    range(type) {
+        const { anchor, focus } = this.grids[type];
+        if (!anchor || !focus) return null;
+
+        return {
+            top: Math.min(anchor.row, focus.row),
+            bottom: Math.max(anchor.row, focus.row),
+            left: Math.min(anchor.col, focus.col),
+            right: Math.max(anchor.col, focus.col)
+        };
+    }
+
+    select(type, anchor, focus) {
+        const grid = this.grids[type];
+        grid.anchor = anchor;
+        grid.focus = focus;
+
+        const range = this.range(type);
+        grid.el.querySelectorAll('.grid-cell').forEach(cell => {
+            const { row, col } = this.position(cell);
+            const inside = row >= range.top && row <= range.bottom && col >= range.left && col <= range.right;
+            cell.parentElement.classList.toggle('is-selected', inside && (range.top !== range.bottom || range.left !== range.right));
+        });
+    }
+
+    /**
+     * Move (or with extend, grow the selection) by a row/column step
+     */
+    move(type, [rowStep, colStep], extend = false, wrap = false) {
+        const grid = this.grids[type];
+        const rows = grid.ids.length;
+        const cols = grid.columns.length;
+        let { row, col } = grid.focus;
+
+        row += rowStep;
+        col += colStep;
+        if (wrap && col >= cols && row < rows - 1) { col = 0; row += 1; }
+        if (wrap && col < 0 && row > 0) { col = cols - 1; row -= 1; }
+
+        const target = { row: Math.min(Math.max(row, 0), rows - 1), col: Math.min(Math.max(col, 0), cols - 1) };
+        this.keepRange = true;
+        this.cellAt(type, target)?.focus();
+        this.keepRange = false;
+        this.select(type, extend ? grid.anchor : target, target);
+    }
+
+    onKeyDown(type, e) {
+        const cell = e.target.closest?.('.grid-cell');
+        if (!cell) return;
+
+        const key = e.key.toLowerCase();
+        if (e.ctrlKey || e.metaKey) {
+            if (key === 'z' && !e.shiftKey) { e.preventDefault(); this.commit(type, cell); this.undo(type); }
+            if (key === 'y' || (key === 'z' && e.shiftKey)) { e.preventDefault(); this.redo(type); }
+            if (key === 'd') { e.preventDefault(); this.commit(type, cell); this.fillDown(type); }
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            // Drop what was typed into the cell
+            this.syncCells(type);
+            cell.select?.();
+            return;
+        }
+
+        let step = GRID_MOVES[e.key];
+        if (e.key === 'Enter') step = [e.shiftKey ? -1 : 1, 0];
+        if (e.key === 'Tab') step = [0, e.shiftKey ? -1 : 1];
+        if (!step) return;
+
+        // Left/Right move the caret inside the text until it reaches an edge
+        const atStart = cell.selectionStart === 0 && cell.selectionEnd === 0;
+        const atEnd = cell.selectionStart === cell.value.length;
+        if (!e.shiftKey && ((e.key === 'ArrowLeft' && !atStart) || (e.key === 'ArrowRight' && !atEnd))) return;
+
+        e.preventDefault();
+        this.commit(type, cell);
+        this.move(type, step, e.shiftKey && Boolean(GRID_MOVES[e.key]), e.key === 'Tab');
+    }
+
+    // ========================================
+    // EDITS
+    // ========================================
+
+    /**
+     * Whole numbers only ("1,200" and "KES 300" are accepted); null when invalid
+     */
+    parseValue(text) {
+        const value = String(text).replace(/kes|,|\s/gi, '');
+        return /^\d+$/.test(value) ? String(Number(value)) : null;
+    }
+
+    /**
+     * Apply what was typed into a cell
+     */
+    commit(type, cell) {
+        const grid = this.grids[type];
+        const id = grid.ids[Number(cell.dataset.row)];
+        const input = this.rowInput(type, id, cell.dataset.field);
+        if (!input || cell.value === input.value) return;
+
+        const value = this.parseValue(cell.value);
+        if (value === null) {
+            showToast('Enter a whole number of 0 or more', 'error');
+            cell.value = input.value;
+            return;
+        }
+
+        this.applyEdits(type, [{ id, field: cell.dataset.field, value }]);
+    }
+
+    /**
+     * Write values to the rows and track them; one undo step per call
+     * Returns the edits that changed something, with their previous values
+     */
+    applyEdits(type, edits, record = true) {
+        const grid = this.grids[type];
+        const applied = [];
+
+        edits.forEach(({ id, field, value }) => {
+            const input = this.rowInput(type, id, field);
+            if (!input || input.disabled || input.readOnly || input.value === value) return;
+
+            applied.push({ id, field, before: input.value, after: value });
+            input.value = value;
+            this.admin.trackChange(id, type, this.admin.findItemRow(type, id));
+        });
+
+        if (record && applied.length > 0) {
+            grid.undo.push(applied);
+            grid.redo = [];
+        }
+
+        this.syncCells(type);
+        return applied;
+    }
+
+    undo(type) {
+        const grid = this.grids[type];
+        const step = grid.undo.pop();
+        if (!step) return;
+
+        this.applyEdits(type, step.map(({ id, field, before }) => ({ id, field, value: before })), false);
+        grid.redo.push(step);
+        this.syncCells(type);
+    }
+
+    redo(type) {
+        const grid = this.grids[type];
+        const step = grid.redo.pop();
+        if (!step) return;
+
+        this.applyEdits(type, step.map(({ id, field, after }) => ({ id, field, value: after })), false);
+        grid.undo.push(step);
+        this.syncCells(type);
+    }
+
+    /**
+     * Copy the top row of the selection down through it
+     * (a single cell copies the value from the cell above, like Ctrl+D in a spreadsheet)
+     */
+    fillDown(type) {
+        const grid = this.grids[type];
+        const range = this.range(type);
+        if (!range) return;
+
+        const sourceRow = range.top === range.bottom ? range.top - 1 : range.top;
+        if (sourceRow < 0) return;
+
+        const edits = [];
+        for (let col = range.left; col <= range.right; col++) {
+            const field = grid.columns[col];
+            const source = this.rowInput(type, grid.ids[sourceRow], field);
+            if (!source) continue;
+
+            for (let row = sourceRow + 1; row <= range.bottom; row++) {
+                edits.push({ id: grid.ids[row], field, value: source.value });
+            }
+        }
+
+        this.applyEdits(type, edits);
+    }
+
+    /**
+     * Copy a multi-cell selection as tab-separated rows
+     */
+    onCopy(type, e) {
+        const range = this.range(type);
+        if (!range || (range.top === range.bottom && range.left === range.right)) return;
+
+        const lines = [];
+        for (let row = range.top; row <= range.bottom; row++) {
+            const values = [];
+            for (let col = range.left; col <= range.right; col++) {
+                values.push(this.cellAt(type, { row, col })?.value ?? '');
+            }
+            lines.push(values.join('\t'));
+        }
+
+        e.clipboardData.setData('text/plain', lines.join('\n'));
+        e.preventDefault();
+    }
+
+    /**
+     * Paste a block from the selection's top-left; one value fills the whole selection
+     */
+    onPaste(type, e) {
+        const grid = this.grids[type];
+        const range = this.range(type);
+        const text = e.clipboardData?.getData('text/plain') || '';
+        if (!range) return;
+
+        const block = text.replace(/\r/g, '').replace(/\n$/, '').split('\n').map(line => line.split('\t'));
+        const single = block.length === 1 && block[0].length === 1;
+        const multiCell = range.top !== range.bottom || range.left !== range.right;
+
+        // One value into one cell: let the input paste it normally
+        if (single && !multiCell) return;
+        e.preventDefault();
+
+        const rows = single ? range.bottom - range.top + 1 : block.length;
+        const edits = [];
+        let skipped = 0;
+
+        for (let r = 0; r < rows && range.top + r < grid.ids.length; r++) {
+            const cols = single ? range.right - range.left + 1 : block[r].length;
+            for (let c = 0; c < cols && range.left + c < grid.columns.length; c++) {
+                const value = this.parseValue(single ? block[0][0] : block[r][c]);
+                if (value === null) {
+                    skipped++;
+                    continue;
+                }
+                edits.push({ id: grid.ids[range.top + r], field: grid.columns[range.left + c], value });
+            }
+        }
+
+        const applied = this.applyEdits(type, edits);
+        showToast(`Pasted ${applied.length} cell${applied.length === 1 ? '' : 's'}${skipped ? ` (${skipped} skipped: not a whole number)` : ''}`, skipped ? 'warning' : 'success');
+    }
+}
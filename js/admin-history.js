@@ -0,0 +1,271 @@
+/**
+ * Penuel Stopover - Admin Change History
+ * ============================================
+ * Lists every saved change (who, when, before/after) in the History tab
+ * and reverts a single change or a whole save through the backend.
+ */
+
+const HISTORY_TYPE_LABELS = {
+    restaurant: 'Restaurant',
+    supermarket: 'Supermarket',
+    service: 'Service Bay',
+    wash: 'Car Wash'
+};
+
+const HISTORY_FIELD_LABELS = {
+    price_kes: 'Price',
+    stock_level: 'Stock',
+    reorder_level: 'Reorder level',
+    supplier: 'Supplier',
+    available: 'Available',
+    archived: 'Archived',
+    name: 'Name',
+    category: 'Category',
+    description: 'Description',
+    image_url: 'Image URL',
+    subtitle: 'Subtitle',
+    icon: 'Icon',
+    duration_minutes: 'Duration (min)',
+    features: 'Features',
+    schedule: 'Scheduled changes',
+    phone: 'Phone',
+    email: 'Email',
+    status: 'Business status'
+};
+
+const HISTORY_ACTION_BADGES = {
+    create: ['Created', 'bg-success'],
+    update: ['Updated', 'bg-warning text-dark'],
+    archive: ['Archived', 'bg-secondary'],
+    restore: ['Restored', 'bg-info text-dark'],
+    delete: ['Deleted', 'bg-danger'],
+    setting: ['Setting', 'bg-primary']
+};
+
+class ChangeHistoryManager {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.listEl = document.getElementById('history-list');
+        this.entries = [];
+        this.loaded = false;
+    }
+
+    /**
+     * Load on first visit to the History tab; wire refresh and revert buttons
+     */
+    init() {
+        document.getElementById('history-tab')?.addEventListener('shown.bs.tab', () => {
+            if (!this.loaded) this.load();
+        });
+
+        document.getElementById('history-refresh-btn')?.addEventListener('click', () => this.load());
+
+        this.listEl?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-revert-save]');
+            if (!btn) return;
+
+            const changeIndex = btn.dataset.changeIndex === undefined ? null : Number(btn.dataset.changeIndex);
+            this.revert(btn.dataset.revertSave, changeIndex);
+        });
+    }
+
+    /**
+     * Fetch saves from the backend (newest first)
+     */
+    async load() {
+        if (!this.listEl) return;
+
+        this.listEl.innerHTML = '<p class="text-muted"><span class="spinner-border spinner-border-sm me-2"></span>Loading history...</p>';
+
+        try {
+            const response = await apiCall(PENUEL_CONFIG.ADMIN_HISTORY_ENDPOINT);
+            this.entries = response.history || [];
+            this.loaded = true;
+            this.render();
+
+        } catch (error) {
+            console.error('❌ Error loading history:', error);
+            this.listEl.innerHTML = '<p class="text-danger">Failed to load change history.</p>';
+        }
+    }
+
+    /**
+     * Reload after a save, but only once the tab has been opened
+     */
+    refresh() {
+        if (this.loaded) this.load();
+    }
+
+    // ========================================
+    // RENDERING
+    // ========================================
+
+    render() {
+        if (this.entries.length === 0) {
+            this.listEl.innerHTML = '<p class="text-muted">No changes have been saved yet.</p>';
+            return;
+        }
+
+        const savesById = new Map(this.entries.map(entry => [entry.id, entry]));
+        this.listEl.innerHTML = this.entries.map(entry => this.renderEntry(entry, savesById)).join('');
+    }
+
+    renderEntry(entry, savesById) {
+        const openChanges = entry.changes.filter(change => !change.reverted_by);
+        const canRevertAll = openChanges.length > 0 && openChanges.every(change => this.admin.canRevertChange(change));
+        const revertedSave = entry.revert_of ? savesById.get(entry.revert_of) : null;
+        const revertNote = entry.revert_of
+            ? `<span class="badge bg-light text-dark ms-2"><i class="fas fa-undo me-1"></i>Revert of ${revertedSave ? this.formatTime(revertedSave.timestamp) : 'an older save'}</span>`
+            : '';
+
+        return `
+            <div class="history-entry">
+                <div class="history-entry-header">
+                    <div>
+                        <strong><i class="fas fa-user me-2 text-success"></i>${escapeHtml(entry.user || 'Unknown')}</strong>
+                        <span class="text-muted ms-2">${this.formatTime(entry.timestamp)}</span>
+                        <span class="text-muted ms-2">· ${entry.changes.length} change${entry.changes.length === 1 ? '' : 's'}</span>
+                        ${revertNote}
+                    </div>
+                    ${canRevertAll ? `
+                        <button type="button" class="btn btn-outline-danger btn-sm" data-revert-save="${escapeHtml(entry.id)}">
+                            <i class="fas fa-undo me-2"></i>Revert entire save
+                        </button>
+                    ` : ''}
+                    ${openChanges.length === 0 ? '<span class="badge bg-secondary">Reverted</span>' : ''}
+                </div>
+                <div class="table-responsive">
+                    <table class="table table-sm align-middle history-table mb-0">
+                        <tbody>
+                            ${entry.changes.map((change, index) => this.renderChange(entry, change, index)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    renderChange(entry, change, index) {
+        const [label, badgeClass] = HISTORY_ACTION_BADGES[change.kind === 'setting' ? 'setting' : change.action] || HISTORY_ACTION_BADGES.update;
+        const subject = change.kind === 'setting'
+            ? this.settingLabel(change.key)
+            : `${escapeHtml(change.name || change.id)} <small class="text-muted">${HISTORY_TYPE_LABELS[change.type] || escapeHtml(change.type)}</small>`;
+
+        let action = '';
+        if (change.reverted_by) {
+            action = '<span class="badge bg-light text-muted">Reverted</span>';
+        } else if (this.admin.canRevertChange(change)) {
+            action = `
+                <button type="button" class="btn btn-link btn-sm text-danger p-0" data-revert-save="${escapeHtml(entry.id)}" data-change-index="${index}" title="Revert this change">
+                    <i class="fas fa-undo"></i>
+                </button>
+            `;
+        }
+
+        return `
+            <tr class="${change.reverted_by ? 'history-change-reverted' : ''}">
+                <td class="history-badge-cell"><span class="badge ${badgeClass}">${label}</span></td>
+                <td>${subject}</td>
+                <td>${this.renderDiff(change)}</td>
+                <td class="text-end">${action}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Field-by-field before → after; created/deleted items show a one-line summary
+     */
+    renderDiff(change) {
+        if (change.kind === 'setting') {
+            return this.diffLine(null, change.before, change.after);
+        }
+
+        if (change.before === null || change.after === null) {
+            const item = change.after || change.before;
+            return `<span class="text-muted">${escapeHtml(item.category || '')} · KES ${formatPrice(item.price_kes || 0)}</span>`;
+        }
+
+        return Object.keys(change.after)
+            .map(field => this.diffLine(HISTORY_FIELD_LABELS[field] || field, change.before[field], change.after[field]))
+            .join('');
+    }
+
+    diffLine(label, before, after) {
+        return `
+            <div class="history-diff">
+                ${label ? `<strong>${escapeHtml(label)}</strong>: ` : ''}
+                <span class="history-diff-from">${this.formatValue(before)}</span> →
+                <span class="history-diff-to">${this.formatValue(after)}</span>
+            </div>
+        `;
+    }
+
+    settingLabel(key) {
+        const [group, field] = key.split('.');
+        if (group === 'hours') return `Hours · ${escapeHtml(UNIT_LABELS[field] || field)}`;
+        return escapeHtml(HISTORY_FIELD_LABELS[key] || key);
+    }
+
+    formatValue(value) {
+        if (value === null || value === undefined || value === '') return '—';
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+        if (Array.isArray(value) && value.some(entry => entry && entry.effective_from)) return `${value.length} scheduled`;
+        if (Array.isArray(value)) return escapeHtml(value.join(', '));
+        if (typeof value === 'object' && 'open' in value) return escapeHtml(`${value.open} – ${value.close}`);
+        if (typeof value === 'object' && HOURS_DAYS[0] in value) return escapeHtml(this.admin.hoursEditor.describe(value));
+        if (typeof value === 'object' && 'mode' in value) return escapeHtml(this.admin.describeBusinessStatus(value));
+        if (typeof value === 'object') return escapeHtml(JSON.stringify(value));
+        return escapeHtml(String(value));
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleString('en-KE', {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    // ========================================
+    // REVERT
+    // ========================================
+
+    /**
+     * Revert one change (changeIndex) or a whole save (changeIndex null)
+     */
+    async revert(saveId, changeIndex) {
+        // Reverting reloads every tab, which would orphan unsaved edits
+        if (this.admin.changedItems.size > 0) {
+            showToast('Save or discard your unsaved changes before reverting', 'warning');
+            return;
+        }
+
+        const entry = this.entries.find(saved => saved.id === saveId);
+        if (!entry) return;
+
+        const message = changeIndex === null
+            ? `Revert all ${entry.changes.length} change(s) saved by ${entry.user} on ${this.formatTime(entry.timestamp)}?`
+            : 'Revert this change to its previous value?';
+
+        if (!confirm(message)) return;
+
+        try {
+            const response = await apiCall(PENUEL_CONFIG.ADMIN_REVERT_ENDPOINT, {
+                method: 'POST',
+                body: { saveId, changeIndex }
+            });
+
+            showSuccess(`↩️ Reverted ${response.reverted} change${response.reverted === 1 ? '' : 's'}`);
+
+            await this.admin.loadAllData();
+            await this.load();
+            await this.admin.syncWithAI();
+
+        } catch (error) {
+            console.error('❌ Revert error:', error);
+            showToast(error.message || 'Failed to revert change', 'error');
+        }
+    }
+}
@@ -0,0 +1,345 @@
+/**
+ * Penuel Stopover - Admin Operating Hours
+ * ============================================
+ * Edits settings.hours: a weekly schedule per business unit with closed
+ * days, split shifts, 24-hour operation, an emergency line and dated
+ * overrides for public holidays (the shape contact.html reads).
+ * Each edited unit is tracked as hours-<unit> holding its whole schedule.
+ */
+
+const HOURS_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const MAX_SHIFTS_PER_DAY = 3;
+const DEFAULT_SHIFT = { open: '07:00', close: '18:00' };
+const DEFAULT_SPLIT_SHIFT = { open: '16:00', close: '22:00' };
+
+class OperatingHoursEditor {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.container = document.getElementById('hours-editor');
+        this.activeUnit = Object.keys(UNIT_LABELS)[0];
+    }
+
+    init() {
+        this.container?.addEventListener('click', (e) => this.handleClick(e));
+        this.container?.addEventListener('change', (e) => this.handleChange(e));
+    }
+
+    canEdit() {
+        return this.admin.permissions.settings === 'edit';
+    }
+
+    // ========================================
+    // RENDERING
+    // ========================================
+
+    /**
+     * Render unit tabs and one schedule panel per unit
+     */
+    render(hours) {
+        if (!this.container) return;
+
+        const units = Object.keys(UNIT_LABELS);
+        if (!units.includes(this.activeUnit)) this.activeUnit = units[0];
+
+        this.container.innerHTML = `
+            <ul class="nav nav-pills hours-unit-tabs mb-3">
+                ${units.map(unit => `
+                    <li class="nav-item">
+                        <button type="button" class="nav-link ${unit === this.activeUnit ? 'active' : ''}" data-hours-unit="${unit}">
+                            ${UNIT_LABELS[unit]}
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+            ${units.map(unit => `
+                <div class="hours-unit-panel ${unit === this.activeUnit ? '' : 'd-none'}" data-unit="${unit}">
+                    ${this.renderUnit(unit, hours[unit] || {})}
+                </div>
+            `).join('')}
+        `;
+    }
+
+    renderUnit(unit, schedule) {
+        const editable = this.canEdit();
+        const overrides = schedule.overrides || [];
+
+        return `
+            <div class="form-check form-switch mb-3">
+                <input class="form-check-input hours-24h" type="checkbox" id="hours-24h-${unit}" ${schedule.open_24h ? 'checked' : ''}>
+                <label class="form-check-label" for="hours-24h-${unit}">Open 24 hours, every day</label>
+            </div>
+            <div class="hours-week ${schedule.open_24h ? 'd-none' : ''}">
+                ${HOURS_DAYS.map(day => this.renderDay(day, schedule[day])).join('')}
+            </div>
+            <div class="mb-3">
+                <label class="form-label" for="hours-emergency-${unit}">Emergency line</label>
+                <input type="text" class="form-control hours-emergency" id="hours-emergency-${unit}"
+                    value="${escapeHtml(schedule.emergency || '')}" placeholder="e.g. Call +254 700 000 000 (leave empty to hide)">
+            </div>
+            <label class="form-label">Holiday overrides</label>
+            <div class="hours-overrides">
+                ${overrides.map(override => this.renderOverride(override)).join('')}
+            </div>
+            ${overrides.length === 0 ? '<p class="text-muted small hours-overrides-empty">No holidays set. The weekly hours apply every day.</p>' : ''}
+            ${editable ? `
+                <button type="button" class="btn btn-outline-success btn-sm" data-hours-action="add-override">
+                    <i class="fas fa-calendar-plus me-1"></i>Add holiday
+                </button>
+            ` : ''}
+        `;
+    }
+
+    renderDay(day, value) {
+        return `
+            <div class="hours-editor-row hours-day" data-day="${day}">
+                <div>
+                    <label class="form-label">${day}</label>
+                </div>
+                ${this.renderClosedSwitch(value)}
+                ${this.renderShifts(value)}
+            </div>
+        `;
+    }
+
+    renderOverride(override) {
+        return `
+            <div class="hours-override-row">
+                <input type="date" class="form-control hours-override-date" value="${escapeHtml(override.date || '')}" aria-label="Date">
+                <input type="text" class="form-control hours-override-label" value="${escapeHtml(override.label || '')}" placeholder="e.g. Madaraka Day" aria-label="Holiday name">
+                ${this.renderClosedSwitch(override)}
+                ${this.renderShifts(override)}
+                ${this.canEdit() ? `
+                    <button type="button" class="btn btn-link btn-sm text-danger p-0" data-hours-action="remove-override" title="Remove holiday">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderClosedSwitch(value) {
+        return `
+            <div class="form-check form-switch">
+                <input class="form-check-input hours-closed" type="checkbox" ${value && value.closed ? 'checked' : ''}>
+                <label class="form-check-label">Closed</label>
+            </div>
+        `;
+    }
+
+    renderShifts(value) {
+        const closed = Boolean(value && value.closed);
+        const shifts = !value || closed ? [DEFAULT_SHIFT] : (value.shifts || [value]);
+
+        return `
+            <div class="hours-shifts ${closed ? 'd-none' : ''}">
+                ${shifts.map((shift, index) => this.renderShift(shift, index > 0)).join('')}
+                ${this.canEdit() ? `
+                    <button type="button" class="btn btn-link btn-sm p-0" data-hours-action="add-shift">
+                        <i class="fas fa-plus me-1"></i>Split shift
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderShift(shift, removable) {
+        // <input type="time"> has no 24:00; the last minute reads the same to visitors
+        const close = shift.close === '24:00' ? '23:59' : shift.close;
+
+        return `
+            <div class="hours-shift">
+                <input type="time" class="form-control hours-open" value="${escapeHtml(shift.open || '')}" aria-label="Opens">
+                <span>–</span>
+                <input type="time" class="form-control hours-close" value="${escapeHtml(close || '')}" aria-label="Closes">
+                ${removable && this.canEdit() ? `
+                    <button type="button" class="btn btn-link btn-sm text-danger p-0" data-hours-action="remove-shift" title="Remove shift">
+                        <i class="fas fa-times"></i>
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Put a restored draft schedule back into its unit panel
+     * Returns false for keys from the old flat editor (hours-Monday)
+     */
+    restore(unit, schedule) {
+        const panel = this.container?.querySelector(`.hours-unit-panel[data-unit="${unit}"]`);
+        if (!panel || !UNIT_LABELS[unit]) return false;
+
+        panel.innerHTML = this.renderUnit(unit, schedule);
+        return true;
+    }
+
+    // ========================================
+    // EVENTS
+    // ========================================
+
+    handleClick(e) {
+        const tab = e.target.closest('[data-hours-unit]');
+        if (tab) {
+            this.showUnit(tab.dataset.hoursUnit);
+            return;
+        }
+
+        const button = e.target.closest('[data-hours-action]');
+        const panel = e.target.closest('.hours-unit-panel');
+        if (!button || !panel || !this.canEdit()) return;
+
+        const action = button.dataset.hoursAction;
+
+        if (action === 'add-shift') {
+            const shifts = button.closest('.hours-shifts');
+            if (shifts.querySelectorAll('.hours-shift').length >= MAX_SHIFTS_PER_DAY) {
+                showToast(`A day can have at most ${MAX_SHIFTS_PER_DAY} shifts`, 'warning');
+                return;
+            }
+            button.insertAdjacentHTML('beforebegin', this.renderShift(DEFAULT_SPLIT_SHIFT, true));
+        } else if (action === 'remove-shift') {
+            button.closest('.hours-shift').remove();
+        } else if (action === 'add-override') {
+            panel.querySelector('.hours-overrides-empty')?.remove();
+            panel.querySelector('.hours-overrides').insertAdjacentHTML('beforeend', this.renderOverride({ closed: true }));
+            panel.querySelector('.hours-overrides .hours-override-row:last-child .hours-override-date').focus();
+            // Tracked once it has a date
+            return;
+        } else if (action === 'remove-override') {
+            button.closest('.hours-override-row').remove();
+        }
+
+        this.track(panel);
+    }
+
+    handleChange(e) {
+        const panel = e.target.closest('.hours-unit-panel');
+        if (!panel) return;
+
+        if (e.target.classList.contains('hours-closed')) {
+            e.target.closest('.hours-day, .hours-override-row').querySelector('.hours-shifts')
+                .classList.toggle('d-none', e.target.checked);
+        }
+
+        if (e.target.classList.contains('hours-24h')) {
+            panel.querySelector('.hours-week').classList.toggle('d-none', e.target.checked);
+        }
+
+        this.track(panel);
+    }
+
+    showUnit(unit) {
+        this.activeUnit = unit;
+
+        this.container.querySelectorAll('[data-hours-unit]').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.hoursUnit === unit);
+        });
+        this.container.querySelectorAll('.hours-unit-panel').forEach(panel => {
+            panel.classList.toggle('d-none', panel.dataset.unit !== unit);
+        });
+    }
+
+    /**
+     * Record the panel's schedule as a pending change, flagging bad shifts inline
+     */
+    track(panel) {
+        panel.querySelectorAll('.hours-shift').forEach(shift => {
+            const open = shift.querySelector('.hours-open');
+            const close = shift.querySelector('.hours-close');
+            const invalid = !open.value || !close.value || close.value <= open.value;
+
+            open.classList.toggle('is-invalid', invalid);
+            close.classList.toggle('is-invalid', invalid);
+        });
+
+        this.admin.changedItems.set(`hours-${panel.dataset.unit}`, this.readUnit(panel));
+    }
+
+    // ========================================
+    // READING
+    // ========================================
+
+    /**
+     * Schedule as entered in a unit panel (server validates the times)
+     */
+    readUnit(panel) {
+        const schedule = {};
+
+        panel.querySelectorAll('.hours-day').forEach(row => {
+            schedule[row.dataset.day] = this.readDay(row);
+        });
+
+        if (panel.querySelector('.hours-24h').checked) schedule.open_24h = true;
+
+        const emergency = panel.querySelector('.hours-emergency').value.trim();
+        if (emergency) schedule.emergency = emergency;
+
+        const overrides = [...panel.querySelectorAll('.hours-override-row')]
+            .filter(row => row.querySelector('.hours-override-date').value)
+            .map(row => ({
+                date: row.querySelector('.hours-override-date').value,
+                label: row.querySelector('.hours-override-label').value.trim(),
+                ...this.readDay(row)
+            }));
+
+        if (overrides.length > 0) schedule.overrides = overrides;
+
+        return schedule;
+    }
+
+    readDay(row) {
+        if (row.querySelector('.hours-closed').checked) return { closed: true };
+
+        const shifts = [...row.querySelectorAll('.hours-shift')].map(shift => ({
+            open: shift.querySelector('.hours-open').value,
+            close: shift.querySelector('.hours-close').value
+        }));
+
+        return shifts.length === 1 ? shifts[0] : { shifts };
+    }
+
+    // ========================================
+    // SUMMARIES
+    // ========================================
+
+    /**
+     * One-line summary of a schedule (history and conflict views)
+     * Consecutive days with the same hours are grouped: "Mon–Fri 07:00–18:00"
+     */
+    describe(schedule) {
+        const parts = [];
+
+        if (schedule.open_24h) {
+            parts.push('Open 24 hours');
+        } else {
+            const groups = [];
+            HOURS_DAYS.forEach(day => {
+                const text = this.describeDay(schedule[day]);
+                const last = groups[groups.length - 1];
+
+                if (last && last.text === text) {
+                    last.to = day;
+                } else {
+                    groups.push({ from: day, to: day, text });
+                }
+            });
+
+            groups.forEach(({ from, to, text }) => {
+                parts.push(`${from.slice(0, 3)}${to !== from ? `–${to.slice(0, 3)}` : ''} ${text}`);
+            });
+        }
+
+        (schedule.overrides || []).forEach(override => {
+            parts.push(`${override.label || 'Holiday'} ${override.date}: ${this.describeDay(override)}`);
+        });
+
+        if (schedule.emergency) parts.push(`Emergency: ${schedule.emergency}`);
+
+        return parts.join('; ');
+    }
+
+    describeDay(day) {
+        if (!day) return '—';
+        if (day.closed) return 'closed';
+        return (day.shifts || [day]).map(shift => `${shift.open}–${shift.close}`).join(', ');
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * Penuel Stopover - Admin Item Photos
+ * ============================================
+ * Upload a photo from the item editor: the admin pans and zooms it inside
+ * the card's frame, the browser crops and compresses it to a small JPEG
+ * (customers are often on slow rural connections) and the upload endpoint
+ * returns the URL that goes into image_url with the next save.
+ */
+
+// Output size per item type: menu cards are 4:3, product cards square
+const IMAGE_CROP_SIZES = {
+    restaurant: { width: 800, height: 600, label: '4:3' },
+    supermarket: { width: 600, height: 600, label: 'square' }
+};
+
+// JPEG qualities tried in turn until the file fits IMAGE_TARGET_BYTES
+const IMAGE_QUALITY_STEPS = [0.82, 0.72, 0.62, 0.52];
+const IMAGE_TARGET_BYTES = 120 * 1024;
+
+const IMAGE_MAX_ZOOM = 3;
+
+class ImageUploadManager {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.modalEl = document.getElementById('image-upload-modal');
+        this.canvas = document.getElementById('image-crop-canvas');
+        this.zoomEl = document.getElementById('image-crop-zoom');
+        this.infoEl = document.getElementById('image-crop-info');
+        this.uploadBtn = document.getElementById('image-upload-btn');
+        this.target = null;
+        this.image = null;
+        this.crop = { zoom: 1, x: 0, y: 0 };
+        this.drag = null;
+    }
+
+    init() {
+        this.zoomEl?.addEventListener('input', () => this.setZoom(Number(this.zoomEl.value)));
+        this.uploadBtn?.addEventListener('click', () => this.upload());
+
+        this.canvas?.addEventListener('pointerdown', (e) => {
+            this.drag = { x: e.clientX, y: e.clientY, crop: { ...this.crop } };
+            this.canvas.setPointerCapture?.(e.pointerId);
+        });
+        this.canvas?.addEventListener('pointermove', (e) => {
+            if (!this.drag) return;
+            // Screen pixels -> canvas pixels, then move the image with the pointer
+            const scale = this.canvas.width / (this.canvas.clientWidth || this.canvas.width);
+            this.crop.x = this.drag.crop.x + (e.clientX - this.drag.x) * scale;
+            this.crop.y = this.drag.crop.y + (e.clientY - this.drag.y) * scale;
+            this.draw();
+        });
+        ['pointerup', 'pointercancel'].forEach(event => {
+            this.canvas?.addEventListener(event, () => {
+                this.drag = null;
+            });
+        });
+    }
+
+    /**
+     * Whether items of this type have a photo on their public card
+     */
+    supports(type) {
+        return Boolean(IMAGE_CROP_SIZES[type]);
+    }
+
+    /**
+     * Upload button shown under the editor's image URL field
+     */
+    renderEditorButton(type) {
+        if (!this.supports(type)) return '';
+
+        return `
+            <div class="item-image-upload mt-2">
+                <label class="btn btn-outline-success btn-sm mb-0">
+                    <i class="fas fa-camera me-2"></i>Upload photo
+                    <input type="file" class="d-none item-image-input" accept="image/jpeg,image/png,image/webp">
+                </label>
+                <span class="form-text ms-2">Cropped ${IMAGE_CROP_SIZES[type].label} and compressed for slow connections.</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Load the chosen file into the crop modal; the URL lands in `urlInput`
+     */
+    async open(file, type, itemId, urlInput) {
+        if (!file) return;
+        if (!/^image\/(jpeg|png|webp)$/.test(file.type)) {
+            showToast('Choose a JPEG, PNG or WebP photo', 'error');
+            return;
+        }
+
+        try {
+            this.image = await this.loadImage(file);
+        } catch (error) {
+            showToast('That photo could not be opened', 'error');
+            return;
+        }
+
+        const size = IMAGE_CROP_SIZES[type];
+        this.target = { type, itemId, urlInput, size };
+        this.canvas.width = size.width;
+        this.canvas.height = size.height;
+        this.zoomEl.value = 1;
+        this.crop = { zoom: 1, x: 0, y: 0 };
+        this.uploadBtn.disabled = false;
+
+        this.draw();
+        bootstrap.Modal.getOrCreateInstance(this.modalEl).show();
+    }
+
+    loadImage(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Unreadable image'));
+            };
+            image.src = url;
+        });
+    }
+
+    // ========================================
+    // CROP
+    // ========================================
+
+    setZoom(zoom) {
+        this.crop.zoom = Math.min(Math.max(zoom || 1, 1), IMAGE_MAX_ZOOM);
+        this.draw();
+    }
+
+    /**
+     * Where the image sits on the canvas: it always covers the frame,
+     * so panning is clamped to the image edges
+     */
+    layout() {
+        const { width, height } = this.canvas;
+        const cover = Math.max(width / this.image.naturalWidth, height / this.image.naturalHeight);
+        const scale = cover * this.crop.zoom;
+        const drawWidth = this.image.naturalWidth * scale;
+        const drawHeight = this.image.naturalHeight * scale;
+
+        const maxX = (drawWidth - width) / 2;
+        const maxY = (drawHeight - height) / 2;
+        this.crop.x = Math.min(Math.max(this.crop.x, -maxX), maxX);
+        this.crop.y = Math.min(Math.max(this.crop.y, -maxY), maxY);
+
+        return {
+            x: (width - drawWidth) / 2 + this.crop.x,
+            y: (height - drawHeight) / 2 + this.crop.y,
+            width: drawWidth,
+            height: drawHeight
+        };
+    }
+
+    draw() {
+        if (!this.image || !this.canvas) return;
+
+        const context = this.canvas.getContext('2d');
+        const box = this.layout();
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        context.drawImage(this.image, box.x, box.y, box.width, box.height);
+
+        this.infoEl.textContent = `${this.canvas.width} × ${this.canvas.height} px · drag to position, zoom to crop closer`;
+    }
+
+    /**
+     * JPEG data URL of the cropped frame at the first quality that fits the target size
+     */
+    compress() {
+        let dataUrl = null;
+        for (const quality of IMAGE_QUALITY_STEPS) {
+            dataUrl = this.canvas.toDataURL('image/jpeg', quality);
+            if (this.dataUrlBytes(dataUrl) <= IMAGE_TARGET_BYTES) break;
+        }
+        return dataUrl;
+    }
+
+    dataUrlBytes(dataUrl) {
+        const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+        return Math.floor(base64.length * 3 / 4);
+    }
+
+    // ========================================
+    // UPLOAD
+    // ========================================
+
+    async upload() {
+        if (!this.target) return;
+
+        const { type, itemId, urlInput } = this.target;
+        const originalText = this.uploadBtn.innerHTML;
+        this.uploadBtn.disabled = true;
+        this.uploadBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Uploading...';
+
+        try {
+            const data = this.compress();
+            const response = await apiCall(PENUEL_CONFIG.ADMIN_UPLOAD_ENDPOINT, {
+                method: 'POST',
+                body: { type, id: itemId, data }
+            });
+
+            // Goes through the editor's normal input handling (validation, preview, changedItems)
+            urlInput.value = response.url;
+            urlInput.dispatchEvent(new Event('input', { bubbles: true }));
+
+            bootstrap.Modal.getOrCreateInstance(this.modalEl).hide();
+            showToast(`Photo uploaded (${Math.round(response.bytes / 1024)} KB). Save to publish it.`, 'success');
+
+        } catch (error) {
+            console.error('❌ Image upload error:', error);
+            showToast(error.message || 'Failed to upload the photo', 'error');
+        } finally {
+            this.uploadBtn.disabled = false;
+            this.uploadBtn.innerHTML = originalText;
+        }
+    }
+}
@@ -0,0 +1,394 @@
+/**
+ * Penuel Stopover - Admin Inquiry Inbox
+ * ============================================
+ * Inbox tab for messages sent from the contact form: filter by service
+ * type, status and search text, assign to a staff member, keep internal
+ * notes and reply to the customer through the backend. The tab shows how
+ * many inquiries the signed-in user has not opened yet.
+ */
+
+const INBOX_TYPE_LABELS = {
+    restaurant: 'Restaurant',
+    supermarket: 'Supermarket',
+    service_bay: 'Service Bay',
+    car_wash: 'Car Wash',
+    general: 'General'
+};
+
+const INBOX_STATUSES = {
+    new: { text: 'New', className: 'bg-danger' },
+    in_progress: { text: 'In progress', className: 'bg-warning text-dark' },
+    resolved: { text: 'Resolved', className: 'bg-success' }
+};
+
+const INBOX_POLL_INTERVAL = 60 * 1000;
+
+class InboxManager {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.listEl = document.getElementById('inbox-list');
+        this.detailEl = document.getElementById('inbox-detail');
+        this.counterEl = document.getElementById('inbox-unread-count');
+        this.inquiries = [];
+        this.staff = [];
+        this.selectedId = null;
+        this.loaded = false;
+    }
+
+    /**
+     * Load now for the unread counter, then poll; wire filters and the detail pane
+     */
+    init() {
+        if (!this.listEl) return;
+
+        this.fillTypeFilter();
+
+        document.getElementById('inbox-tab')?.addEventListener('shown.bs.tab', () => this.load());
+        document.getElementById('inbox-refresh-btn')?.addEventListener('click', () => this.load());
+        document.getElementById('inbox-search')?.addEventListener('input', () => this.renderList());
+        document.getElementById('inbox-type-filter')?.addEventListener('change', () => this.renderList());
+        document.getElementById('inbox-status-filter')?.addEventListener('change', () => this.renderList());
+
+        this.listEl.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-inquiry-id]');
+            if (row) this.select(row.dataset.inquiryId);
+        });
+
+        this.detailEl?.addEventListener('change', (e) => {
+            if (e.target.id === 'inbox-status') this.update({ status: e.target.value });
+            if (e.target.id === 'inbox-assignee') this.update({ assigned_to: e.target.value || null });
+        });
+
+        this.detailEl?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (e.target.id === 'inbox-note-form') this.addNote(e.target);
+            if (e.target.id === 'inbox-reply-form') this.sendReply(e.target);
+        });
+
+        this.load();
+
+        // Background refresh keeps the counter current; it does not count as activity
+        setInterval(() => {
+            if (!document.hidden) this.load({ quiet: true });
+        }, INBOX_POLL_INTERVAL);
+    }
+
+    fillTypeFilter() {
+        const select = document.getElementById('inbox-type-filter');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">All services</option>' + this.admin.permissions.inbox
+            .map(type => `<option value="${type}">${INBOX_TYPE_LABELS[type]}</option>`)
+            .join('');
+    }
+
+    /**
+     * Fetch inquiries (newest first); quiet loads keep the current view on errors
+     */
+    async load({ quiet = false } = {}) {
+        if (!quiet && !this.loaded) {
+            this.listEl.innerHTML = '<p class="text-muted"><span class="spinner-border spinner-border-sm me-2"></span>Loading inquiries...</p>';
+        }
+
+        try {
+            const response = await apiCall(PENUEL_CONFIG.ADMIN_INQUIRIES_ENDPOINT);
+            this.inquiries = response.inquiries || [];
+            this.staff = response.staff || [];
+            this.loaded = true;
+
+            this.renderList();
+            this.updateCounter();
+
+            // Don't re-render the open inquiry under someone typing a reply
+            if (!quiet) this.renderDetail();
+
+        } catch (error) {
+            if (quiet) {
+                console.warn('Inbox refresh failed:', error.message);
+                return;
+            }
+
+            console.error('❌ Error loading inquiries:', error);
+            this.listEl.innerHTML = '<p class="text-danger">Failed to load inquiries.</p>';
+        }
+    }
+
+    // ========================================
+    // LIST
+    // ========================================
+
+    /**
+     * Inquiries matching the filters, grouped by service type
+     */
+    renderList() {
+        if (!this.loaded) return;
+
+        const matches = this.filtered();
+        if (matches.length === 0) {
+            this.listEl.innerHTML = `<p class="text-muted">${this.inquiries.length === 0 ? 'No inquiries yet.' : 'No inquiries match these filters.'}</p>`;
+            return;
+        }
+
+        const groups = this.admin.permissions.inbox
+            .map(type => ({ type, inquiries: matches.filter(inquiry => this.typeOf(inquiry) === type) }))
+            .filter(group => group.inquiries.length > 0);
+
+        this.listEl.innerHTML = groups.map(group => `
+            <div class="inbox-group">
+                <h6 class="inbox-group-title">${INBOX_TYPE_LABELS[group.type]} <span class="text-muted">(${group.inquiries.length})</span></h6>
+                ${group.inquiries.map(inquiry => this.renderRow(inquiry)).join('')}
+            </div>
+        `).join('');
+    }
+
+    renderRow(inquiry) {
+        const status = INBOX_STATUSES[inquiry.status] || INBOX_STATUSES.new;
+        const classes = [
+            'inbox-row',
+            this.isUnread(inquiry) ? 'inbox-row-unread' : '',
+            inquiry.id === this.selectedId ? 'active' : ''
+        ].filter(Boolean).join(' ');
+
+        return `
+            <button type="button" class="${classes}" data-inquiry-id="${escapeHtml(inquiry.id)}">
+                <div class="inbox-row-header">
+                    <strong>${escapeHtml(inquiry.name || 'Unknown')}</strong>
+                    <span class="badge ${status.className}">${status.text}</span>
+                </div>
+                <div class="inbox-row-preview">${escapeHtml(inquiry.message || '')}</div>
+                <div class="small text-muted">
+                    ${this.formatTime(inquiry.received_at)}
+                    ${inquiry.assigned_to ? ` · <i class="fas fa-user-tag me-1"></i>${escapeHtml(this.staffName(inquiry.assigned_to))}` : ''}
+                </div>
+            </button>
+        `;
+    }
+
+    filtered() {
+        const search = (document.getElementById('inbox-search')?.value || '').trim().toLowerCase();
+        const type = document.getElementById('inbox-type-filter')?.value || '';
+        const status = document.getElementById('inbox-status-filter')?.value || '';
+
+        return this.inquiries.filter(inquiry => {
+            if (type && this.typeOf(inquiry) !== type) return false;
+            if (status && inquiry.status !== status) return false;
+            if (!search) return true;
+
+            const haystack = [
+                inquiry.name, inquiry.email, inquiry.phone, inquiry.message,
+                ...(inquiry.notes || []).map(note => note.text)
+            ].join(' ').toLowerCase();
+
+            return haystack.includes(search);
+        });
+    }
+
+    updateCounter() {
+        if (!this.counterEl) return;
+
+        const unread = this.inquiries.filter(inquiry => this.isUnread(inquiry)).length;
+        this.counterEl.textContent = unread > 99 ? '99+' : String(unread);
+        this.counterEl.classList.toggle('d-none', unread === 0);
+        this.counterEl.title = `${unread} unread inquir${unread === 1 ? 'y' : 'ies'}`;
+    }
+
+    // ========================================
+    // DETAIL
+    // ========================================
+
+    async select(id) {
+        this.selectedId = id;
+        this.renderList();
+        this.renderDetail();
+
+        const inquiry = this.find(id);
+        if (!inquiry || !this.isUnread(inquiry)) return;
+
+        try {
+            const response = await apiCall(PENUEL_CONFIG.ADMIN_INQUIRY_READ_ENDPOINT, {
+                method: 'POST',
+                body: { id }
+            });
+            this.replace(response.inquiry);
+            this.renderList();
+            this.updateCounter();
+
+        } catch (error) {
+            console.warn('Could not mark inquiry as read:', error.message);
+        }
+    }
+
+    renderDetail() {
+        if (!this.detailEl) return;
+
+        const inquiry = this.find(this.selectedId);
+        if (!inquiry) {
+            this.detailEl.innerHTML = '<p class="text-muted">Select an inquiry to read it.</p>';
+            return;
+        }
+
+        const assignees = this.staff.filter(member => member.inbox.includes(this.typeOf(inquiry)));
+        const firstName = String(inquiry.name || '').split(' ')[0];
+
+        this.detailEl.innerHTML = `
+            <div class="inbox-detail-header">
+                <div>
+                    <h5 class="mb-1">${escapeHtml(inquiry.name || 'Unknown')}</h5>
+                    <div class="small text-muted">
+                        ${INBOX_TYPE_LABELS[this.typeOf(inquiry)]} · received ${this.formatTime(inquiry.received_at)}
+                    </div>
+                    <div class="small">
+                        ${inquiry.email ? `<a href="mailto:${escapeHtml(inquiry.email)}">${escapeHtml(inquiry.email)}</a>` : ''}
+                        ${inquiry.phone ? ` · <a href="tel:${escapeHtml(inquiry.phone)}">${escapeHtml(inquiry.phone)}</a>` : ''}
+                    </div>
+                </div>
+                <div class="inbox-detail-controls">
+                    <select class="form-select form-select-sm" id="inbox-status" aria-label="Status">
+                        ${Object.entries(INBOX_STATUSES).map(([value, status]) => `
+                            <option value="${value}" ${inquiry.status === value ? 'selected' : ''}>${status.text}</option>
+                        `).join('')}
+                    </select>
+                    <select class="form-select form-select-sm" id="inbox-assignee" aria-label="Assigned to">
+                        <option value="">Unassigned</option>
+                        ${assignees.map(member => `
+                            <option value="${escapeHtml(member.username)}" ${inquiry.assigned_to === member.username ? 'selected' : ''}>
+                                ${escapeHtml(member.display_name)}
+                            </option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+
+            <div class="inbox-message">${escapeHtml(inquiry.message || '')}</div>
+
+            <h6 class="mt-4">Replies</h6>
+            ${inquiry.replies.length === 0 ? '<p class="text-muted small">No replies sent yet.</p>' : ''}
+            ${inquiry.replies.map(reply => `
+                <div class="inbox-entry inbox-reply">
+                    <div class="small text-muted">
+                        <i class="fas fa-paper-plane me-1"></i>${escapeHtml(this.staffName(reply.by))} to ${escapeHtml(reply.to)} · ${this.formatTime(reply.at)}
+                    </div>
+                    <div class="inbox-entry-text">${escapeHtml(reply.message)}</div>
+                </div>
+            `).join('')}
+            <form id="inbox-reply-form" class="mt-2">
+                <textarea class="form-control mb-2" id="inbox-reply-message" rows="4" maxlength="4000"
+                    ${inquiry.email ? '' : 'disabled'}>${inquiry.email && inquiry.replies.length === 0 ? `Hi ${escapeHtml(firstName)},\n\n` : ''}</textarea>
+                <button type="submit" class="btn btn-success btn-sm" ${inquiry.email ? '' : 'disabled'}>
+                    <i class="fas fa-paper-plane me-2"></i>Send reply${inquiry.email ? ` to ${escapeHtml(inquiry.email)}` : ''}
+                </button>
+            </form>
+
+            <h6 class="mt-4">Internal notes <small class="text-muted">(never sent to the customer)</small></h6>
+            ${inquiry.notes.map(note => `
+                <div class="inbox-entry inbox-note">
+                    <div class="small text-muted">${escapeHtml(this.staffName(note.by))} · ${this.formatTime(note.at)}</div>
+                    <div class="inbox-entry-text">${escapeHtml(note.text)}</div>
+                </div>
+            `).join('')}
+            <form id="inbox-note-form" class="inbox-note-form mt-2">
+                <input type="text" class="form-control form-control-sm" id="inbox-note-text" maxlength="1000" placeholder="Add a note for the team">
+                <button type="submit" class="btn btn-outline-secondary btn-sm">Add note</button>
+            </form>
+        `;
+    }
+
+    // ========================================
+    // ACTIONS
+    // ========================================
+
+    /**
+     * Change status or assignment, or add a note ({ note })
+     */
+    async update(changes) {
+        const inquiry = this.find(this.selectedId);
+        if (!inquiry) return false;
+
+        try {
+            const response = await apiCall(PENUEL_CONFIG.ADMIN_INQUIRY_UPDATE_ENDPOINT, {
+                method: 'POST',
+                body: { id: inquiry.id, ...changes }
+            });
+
+            this.replace(response.inquiry);
+            this.renderList();
+            this.renderDetail();
+            return true;
+
+        } catch (error) {
+            console.error('❌ Error updating inquiry:', error);
+            showToast(error.message || 'Failed to update inquiry', 'error');
+            // Put the selects back to the saved values (keep a typed note)
+            if (!('note' in changes)) this.renderDetail();
+            return false;
+        }
+    }
+
+    async addNote(form) {
+        const text = form.querySelector('#inbox-note-text').value.trim();
+        if (!text) return;
+
+        await this.update({ note: text });
+    }
+
+    async sendReply(form) {
+        const inquiry = this.find(this.selectedId);
+        const message = form.querySelector('#inbox-reply-message').value.trim();
+        if (!inquiry || !message) return;
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const response = await apiCall(PENUEL_CONFIG.ADMIN_INQUIRY_REPLY_ENDPOINT, {
+                method: 'POST',
+                body: { id: inquiry.id, message }
+            });
+
+            this.replace(response.inquiry);
+            this.renderList();
+            this.renderDetail();
+            showSuccess(`📧 Reply sent to ${inquiry.email}`);
+
+        } catch (error) {
+            console.error('❌ Error sending reply:', error);
+            showToast(error.message || 'Failed to send reply', 'error');
+            submitBtn.disabled = false;
+        }
+    }
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    find(id) {
+        return this.inquiries.find(inquiry => inquiry.id === id) || null;
+    }
+
+    replace(updated) {
+        const index = this.inquiries.findIndex(inquiry => inquiry.id === updated.id);
+        if (index !== -1) this.inquiries[index] = updated;
+    }
+
+    typeOf(inquiry) {
+        return INBOX_TYPE_LABELS[inquiry.serviceType] ? inquiry.serviceType : 'general';
+    }
+
+    isUnread(inquiry) {
+        return !(inquiry.read_by || []).includes(localStorage.getItem('penuel_admin_user'));
+    }
+
+    staffName(username) {
+        const member = this.staff.find(entry => entry.username === username);
+        return member ? member.display_name : username || 'Unknown';
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleString('en-KE', {
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+}
@@ -0,0 +1,231 @@
+/**
+ * Penuel Stopover - Admin Insights
+ * ============================================
+ * Insights tab: what visitors do on the public site, aggregated from the
+ * analytics events the pages post (page views, button clicks, item
+ * selections, chat volume and errors, daily special loads).
+ * Filter by date range and export the summary as CSV.
+ */
+
+const INSIGHTS_SELECTION_LABELS = {
+    menu: 'Menu',
+    product: 'Product',
+    service: 'Service',
+    wash_package: 'Wash package'
+};
+
+const INSIGHTS_PAGE_LABELS = {
+    index: 'Home',
+    retail: 'Dine & Shop',
+    services: 'Services',
+    contact: 'Contact'
+};
+
+// Quick ranges: days back from today, inclusive
+const INSIGHTS_PRESETS = [7, 30, 90];
+
+class InsightsManager {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.bodyEl = document.getElementById('insights-body');
+        this.fromEl = document.getElementById('insights-from');
+        this.toEl = document.getElementById('insights-to');
+        this.summary = null;
+        this.loaded = false;
+    }
+
+    /**
+     * Load on first visit to the Insights tab (last 7 days); wire the filters
+     */
+    init() {
+        document.getElementById('insights-tab')?.addEventListener('shown.bs.tab', () => {
+            if (!this.loaded) this.load();
+        });
+
+        this.setPreset(INSIGHTS_PRESETS[0]);
+
+        document.getElementById('insights-filter-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.load();
+        });
+
+        document.querySelectorAll('[data-insights-days]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.setPreset(Number(btn.dataset.insightsDays));
+                this.load();
+            });
+        });
+
+        document.getElementById('insights-export-btn')?.addEventListener('click', () => this.exportCsv());
+    }
+
+    setPreset(days) {
+        if (!this.fromEl || !this.toEl) return;
+
+        const to = new Date();
+        const from = new Date(to.getFullYear(), to.getMonth(), to.getDate() - (days - 1));
+        this.fromEl.value = this.dateKey(from);
+        this.toEl.value = this.dateKey(to);
+    }
+
+    async load() {
+        if (!this.bodyEl || !this.admin.permissions.insights) return;
+
+        const from = this.fromEl.value;
+        const to = this.toEl.value;
+        if (from && to && from > to) {
+            showToast('The start date must be before the end date', 'error');
+            return;
+        }
+
+        this.bodyEl.innerHTML = '<p class="text-muted"><span class="spinner-border spinner-border-sm me-2"></span>Loading insights...</p>';
+
+        try {
+            const params = new URLSearchParams();
+            if (from) params.set('from', from);
+            if (to) params.set('to', to);
+
+            this.summary = await apiCall(`${PENUEL_CONFIG.ADMIN_ANALYTICS_ENDPOINT}?${params}`);
+            this.loaded = true;
+            this.render();
+
+        } catch (error) {
+            console.error('❌ Error loading insights:', error);
+            this.bodyEl.innerHTML = `<p class="text-danger">${escapeHtml(error.message || 'Failed to load insights.')}</p>`;
+        }
+    }
+
+    // ========================================
+    // RENDERING
+    // ========================================
+
+    render() {
+        const summary = this.summary;
+
+        if (summary.total_events === 0) {
+            this.bodyEl.innerHTML = '<p class="text-muted">No visitor activity recorded in this period.</p>';
+            return;
+        }
+
+        const totalViews = summary.page_views.reduce((sum, entry) => sum + entry.count, 0);
+        const totalClicks = summary.days.reduce((sum, day) => sum + day.clicks, 0);
+        const retail = summary.selections.filter(entry => entry.group === 'retail');
+        const services = summary.selections.filter(entry => entry.group === 'services');
+
+        this.bodyEl.innerHTML = `
+            <div class="insights-stats">
+                ${this.renderStat('Page views', totalViews, 'fa-eye')}
+                ${this.renderStat('Button clicks', totalClicks, 'fa-hand-pointer')}
+                ${this.renderStat('Chat messages', summary.chat.messages, 'fa-comments',
+                    `${this.formatPercent(summary.chat.error_rate)} errors`)}
+                ${this.renderStat('Special loads', summary.specials.loads, 'fa-tags')}
+            </div>
+            <div class="row g-4">
+                <div class="col-lg-6">
+                    ${this.renderTable('Page views by page', ['Page', 'Views'],
+                        summary.page_views.map(entry => [INSIGHTS_PAGE_LABELS[entry.page] || entry.page, entry.count]))}
+                </div>
+                <div class="col-lg-6">
+                    ${this.renderTable('Button clicks', ['Button', 'Clicks'],
+                        summary.button_clicks.map(entry => [entry.label, entry.count]))}
+                </div>
+                <div class="col-lg-6">
+                    ${this.renderTable('Most selected menu items & products', ['Item', 'Selections'],
+                        retail.map(entry => [this.selectionLabel(entry), entry.count]))}
+                </div>
+                <div class="col-lg-6">
+                    ${this.renderTable('Most selected services & wash packages', ['Service', 'Selections'],
+                        services.map(entry => [this.selectionLabel(entry), entry.count]))}
+                </div>
+                <div class="col-lg-6">
+                    ${this.renderTable('Daily special loads', ['Special', 'Shown'],
+                        summary.specials.by_special.map(entry => [entry.name || `${entry.id} (removed)`, entry.count]))}
+                </div>
+                <div class="col-lg-6">
+                    ${this.renderTable('By day', ['Day', 'Views', 'Chats', 'Chat errors', 'Special loads'],
+                        summary.days.map(day => [day.date, day.page_views, day.chat_messages, day.chat_errors, day.offers_loaded]))}
+                </div>
+            </div>
+        `;
+    }
+
+    renderStat(label, value, icon, detail = '') {
+        return `
+            <div class="insights-stat">
+                <i class="fas ${icon} text-success"></i>
+                <div>
+                    <div class="insights-stat-value">${escapeHtml(value)}</div>
+                    <div class="insights-stat-label">${label}${detail ? ` · ${escapeHtml(detail)}` : ''}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Small table; the last column is numeric
+     */
+    renderTable(title, headers, rows) {
+        const body = rows.length === 0
+            ? `<tr><td colspan="${headers.length}" class="text-muted">No data</td></tr>`
+            : rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('');
+
+        return `
+            <div class="insights-card">
+                <h6>${title}</h6>
+                <table class="table table-sm insights-table mb-0">
+                    <thead><tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr></thead>
+                    <tbody>${body}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    selectionLabel(entry) {
+        return `${entry.name || entry.id} (${INSIGHTS_SELECTION_LABELS[entry.item_type] || entry.item_type})`;
+    }
+
+    formatPercent(rate) {
+        return `${Math.round((rate || 0) * 1000) / 10}%`;
+    }
+
+    // ========================================
+    // EXPORT
+    // ========================================
+
+    /**
+     * Download the loaded summary as section,name,value rows
+     */
+    exportCsv() {
+        const summary = this.summary;
+        if (!summary) {
+            showToast('Load insights before exporting', 'info');
+            return;
+        }
+
+        const rows = [
+            ...summary.page_views.map(entry => ['Page views', entry.page, entry.count]),
+            ...summary.button_clicks.map(entry => ['Button clicks', entry.label, entry.count]),
+            ...summary.selections.map(entry => ['Selections', this.selectionLabel(entry), entry.count]),
+            ['Chat', 'Messages', summary.chat.messages],
+            ['Chat', 'Errors', summary.chat.errors],
+            ['Chat', 'Error rate', this.formatPercent(summary.chat.error_rate)],
+            ...summary.specials.by_special.map(entry => ['Special loads', entry.name || entry.id, entry.count]),
+            ...summary.days.flatMap(day => [
+                ['Page views by day', day.date, day.page_views],
+                ['Chat messages by day', day.date, day.chat_messages],
+                ['Special loads by day', day.date, day.offers_loaded]
+            ])
+        ];
+
+        const csv = this.admin.csvManager;
+        const lines = [['section', 'name', 'value'].join(','), ...rows.map(row => row.map(value => csv.encodeCell(value)).join(','))];
+        const range = [summary.range.from, summary.range.to].filter(Boolean).join('-to-') || 'all-time';
+
+        csv.download(`penuel-insights-${range}.csv`, '\uFEFF' + lines.join('\r\n'));
+        showToast(`Exported ${rows.length} rows`, 'success');
+    }
+
+    dateKey(date) {
+        return date.toLocaleDateString('en-CA');
+    }
+}
@@ -0,0 +1,203 @@
+/**
+ * Penuel Stopover - Admin Item List View
+ * ============================================
+ * Search, category and stock filters, sorting and pagination for the
+ * item tabs. Rows are built once by AdminManager (and kept with their
+ * unsaved input state in itemRows); this only decides which of them are
+ * attached to the tab and in what order. Filters read pending values.
+ */
+
+const ITEM_LIST_PAGE_SIZE = 25;
+
+const ITEM_LIST_SORTS = {
+    '': 'Default order',
+    name: 'Name A–Z',
+    price_asc: 'Price: low to high',
+    price_desc: 'Price: high to low',
+    stock_asc: 'Stock: lowest first'
+};
+
+// Types whose rows carry a reorder level (low stock filter)
+const ITEM_LIST_STOCKED = ['restaurant', 'supermarket'];
+
+class ItemListView {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.state = {};
+        this.searchTimer = null;
+    }
+
+    /**
+     * Render the toolbar above each item tab and wire its controls
+     */
+    init() {
+        document.querySelectorAll('.item-list-toolbar').forEach(toolbar => {
+            const type = toolbar.dataset.itemType;
+            toolbar.innerHTML = this.renderToolbar(type);
+
+            toolbar.querySelector('[data-list-control="search"]').addEventListener('input', (e) => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.update(type, { search: e.target.value.trim() }), 200);
+            });
+
+            ['category', 'stock', 'sort'].forEach(control => {
+                toolbar.querySelector(`[data-list-control="${control}"]`)?.addEventListener('change', (e) => {
+                    this.update(type, { [control]: e.target.value });
+                });
+            });
+        });
+
+        document.querySelectorAll('.item-list-pager').forEach(pager => {
+            pager.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-page]');
+                if (!btn || btn.disabled) return;
+                this.update(pager.dataset.itemType, { page: Number(btn.dataset.page) }, false);
+            });
+        });
+    }
+
+    renderToolbar(type) {
+        const categories = ITEM_CATEGORIES[type].map(category => `
+            <option value="${category}">${category.charAt(0).toUpperCase() + category.slice(1)}</option>`).join('');
+        const stocked = ITEM_LIST_STOCKED.includes(type);
+
+        return `
+            <div class="input-group input-group-sm item-list-search">
+                <span class="input-group-text"><i class="fas fa-search"></i></span>
+                <input type="search" class="form-control" data-list-control="search" placeholder="Search by name, description${stocked ? ' or supplier' : ''}" aria-label="Search items">
+            </div>
+            <select class="form-select form-select-sm" data-list-control="category" aria-label="Category">
+                <option value="">All categories</option>
+                ${categories}
+            </select>
+            <select class="form-select form-select-sm" data-list-control="stock" aria-label="Stock">
+                <option value="">Any stock</option>
+                <option value="out">Out of stock</option>
+                ${stocked ? '<option value="low">Low stock</option>' : ''}
+            </select>
+            <select class="form-select form-select-sm" data-list-control="sort" aria-label="Sort">
+                ${Object.entries(ITEM_LIST_SORTS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+        `;
+    }
+
+    stateFor(type) {
+        if (!this.state[type]) this.state[type] = { search: '', category: '', stock: '', sort: '', page: 1 };
+        return this.state[type];
+    }
+
+    /**
+     * Change the list state; filter changes go back to the first page
+     */
+    update(type, changes, resetPage = true) {
+        Object.assign(this.stateFor(type), changes, resetPage ? { page: 1 } : {});
+        this.apply(type);
+    }
+
+    // ========================================
+    // FILTER, SORT & PAGE
+    // ========================================
+
+    /**
+     * Items of the tab matching the filters, in display order (with pending values)
+     */
+    getVisibleItems(type) {
+        const state = this.stateFor(type);
+        const search = (state.search || '').toLowerCase();
+
+        const items = (this.admin.itemsByType[type] || []).map((stored, index) => ({
+            index,
+            isNew: this.admin.changedItems.get(`${type}-${stored.id}`)?.action === 'create',
+            item: this.admin.csvManager.withPendingValues(type, stored)
+        }));
+
+        const matches = items.filter(({ item }) => {
+            if (search && ![item.name, item.description, item.supplier, item.category]
+                .some(text => String(text || '').toLowerCase().includes(search))) return false;
+            if (state.category && (item.category || '').toLowerCase() !== state.category) return false;
+            if (state.stock === 'out' && item.available !== false && Number(item.stock_level) !== 0) return false;
+            if (state.stock === 'low' && !needsReorder(item)) return false;
+            return true;
+        });
+
+        const compare = {
+            name: (a, b) => String(a.item.name).localeCompare(String(b.item.name)),
+            price_asc: (a, b) => (Number(a.item.price_kes) || 0) - (Number(b.item.price_kes) || 0),
+            price_desc: (a, b) => (Number(b.item.price_kes) || 0) - (Number(a.item.price_kes) || 0),
+            stock_asc: (a, b) => (Number(a.item.stock_level) || 0) - (Number(b.item.stock_level) || 0)
+        }[state.sort];
+
+        // Unsaved new items stay on top, as they were added
+        return matches.sort((a, b) => (b.isNew - a.isNew) || (compare ? compare(a, b) : 0) || a.index - b.index);
+    }
+
+    /**
+     * Attach the current page of matching rows to the tab
+     */
+    apply(type) {
+        const container = document.getElementById(ITEM_CONTAINERS[type]);
+        const state = this.stateFor(type);
+        if (!container) return;
+
+        const visible = this.getVisibleItems(type);
+        const pages = Math.max(1, Math.ceil(visible.length / ITEM_LIST_PAGE_SIZE));
+        state.page = Math.min(Math.max(state.page, 1), pages);
+
+        const start = (state.page - 1) * ITEM_LIST_PAGE_SIZE;
+        const pageItems = visible.slice(start, start + ITEM_LIST_PAGE_SIZE);
+
+        // An open add-item form stays where it is, above the rows
+        container.querySelectorAll('.item-row:not(.new-item-form), .item-list-empty').forEach(el => el.remove());
+        pageItems.forEach(({ item }) => {
+            const row = this.admin.findItemRow(type, item.id);
+            if (row) container.appendChild(row);
+        });
+
+        if (visible.length === 0 && (this.admin.itemsByType[type] || []).length > 0) {
+            container.insertAdjacentHTML('beforeend', '<p class="text-muted item-list-empty">No items match these filters.</p>');
+        }
+
+        this.renderPager(type, visible.length, start, pageItems.length, pages);
+        if (this.admin.gridEditor.isActive(type)) this.admin.gridEditor.render(type);
+    }
+
+    renderPager(type, total, start, shown, pages) {
+        const pager = document.querySelector(`.item-list-pager[data-item-type="${type}"]`);
+        if (!pager) return;
+
+        const page = this.state[type].page;
+        const all = (this.admin.itemsByType[type] || []).length;
+        const summary = total === 0
+            ? ''
+            : `Showing ${start + 1}–${start + shown} of ${total}${total < all ? ` (filtered from ${all})` : ''}`;
+
+        if (pages <= 1) {
+            pager.innerHTML = `<span class="small text-muted">${summary}</span>`;
+            return;
+        }
+
+        // First, last and the pages around the current one
+        const numbers = [...new Set([1, page - 1, page, page + 1, pages])]
+            .filter(number => number >= 1 && number <= pages)
+            .sort((a, b) => a - b);
+
+        const buttons = numbers.map((number, i) => `
+            ${i > 0 && number - numbers[i - 1] > 1 ? '<li class="page-item disabled"><span class="page-link">…</span></li>' : ''}
+            <li class="page-item ${number === page ? 'active' : ''}">
+                <button type="button" class="page-link" data-page="${number}">${number}</button>
+            </li>`).join('');
+
+        pager.innerHTML = `
+            <span class="small text-muted">${summary}</span>
+            <ul class="pagination pagination-sm mb-0">
+                <li class="page-item ${page === 1 ? 'disabled' : ''}">
+                    <button type="button" class="page-link" data-page="${page - 1}" ${page === 1 ? 'disabled' : ''} aria-label="Previous page">&laquo;</button>
+                </li>
+                ${buttons}
+                <li class="page-item ${page === pages ? 'disabled' : ''}">
+                    <button type="button" class="page-link" data-page="${page + 1}" ${page === pages ? 'disabled' : ''} aria-label="Next page">&raquo;</button>
+                </li>
+            </ul>
+        `;
+    }
+}
@@ -0,0 +1,235 @@
+/**
+ * Penuel Stopover - Admin Reorder List
+ * ============================================
+ * Reorder tab: menu items and products whose stock is below their
+ * reorder level, most urgent first, with a printable and exportable
+ * list grouped by supplier. Unsaved stock edits are taken into account.
+ */
+
+const REORDER_TYPES = {
+    restaurant: 'Restaurant',
+    supermarket: 'Supermarket'
+};
+
+const REORDER_CSV_COLUMNS = ['supplier', 'unit', 'id', 'name', 'stock_level', 'reorder_level', 'suggested_order'];
+
+const NO_SUPPLIER = 'No supplier set';
+
+class ReorderManager {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.listEl = document.getElementById('reorder-list');
+        this.countEl = document.getElementById('reorder-count');
+        this.tabEl = document.getElementById('reorder-tab');
+    }
+
+    init() {
+        this.tabEl?.addEventListener('shown.bs.tab', () => this.render());
+        document.getElementById('reorder-print-btn')?.addEventListener('click', () => this.print());
+        document.getElementById('reorder-export-btn')?.addEventListener('click', () => this.exportCsv());
+    }
+
+    /**
+     * Update the tab counter (and the list if it is open) after stock changes
+     */
+    refresh() {
+        const count = this.getEntries().length;
+
+        if (this.countEl) {
+            this.countEl.textContent = count;
+            this.countEl.classList.toggle('d-none', count === 0);
+        }
+
+        if (this.tabEl?.classList.contains('active')) this.render();
+    }
+
+    // ========================================
+    // DATA
+    // ========================================
+
+    /**
+     * Listed items below their reorder level, sorted by urgency
+     * (share of the reorder level still in stock, lowest first)
+     */
+    getEntries() {
+        const entries = [];
+
+        Object.keys(REORDER_TYPES)
+            .filter(type => this.admin.permissions && this.admin.canAccessType(type))
+            .forEach(type => {
+                (this.admin.itemsByType[type] || []).forEach(stored => {
+                    const change = this.admin.changedItems.get(`${type}-${stored.id}`);
+                    if (change && ['archive', 'delete'].includes(change.action)) return;
+
+                    const item = this.admin.csvManager.withPendingValues(type, stored);
+                    if (item.archived || !needsReorder(item)) return;
+
+                    const stock = Number(item.stock_level) || 0;
+                    const level = getReorderLevel(item);
+
+                    entries.push({
+                        type,
+                        item,
+                        stock,
+                        level,
+                        urgency: stock / level,
+                        suggested: level * 2 - stock,
+                        supplier: String(item.supplier || '').trim() || NO_SUPPLIER
+                    });
+                });
+            });
+
+        return entries.sort((a, b) => a.urgency - b.urgency || String(a.item.name).localeCompare(String(b.item.name)));
+    }
+
+    /**
+     * Entries grouped by supplier (alphabetical, items without one last)
+     */
+    groupBySupplier(entries) {
+        const groups = new Map();
+        entries.forEach(entry => {
+            if (!groups.has(entry.supplier)) groups.set(entry.supplier, []);
+            groups.get(entry.supplier).push(entry);
+        });
+
+        return [...groups.entries()].sort(([a], [b]) => {
+            if (a === NO_SUPPLIER) return 1;
+            if (b === NO_SUPPLIER) return -1;
+            return a.localeCompare(b);
+        });
+    }
+
+    // ========================================
+    // RENDERING
+    // ========================================
+
+    render() {
+        if (!this.listEl) return;
+
+        const entries = this.getEntries();
+        if (entries.length === 0) {
+            this.listEl.innerHTML = '<p class="text-muted">Everything is above its reorder level.</p>';
+            return;
+        }
+
+        this.listEl.innerHTML = `
+            <div class="table-responsive">
+                <table class="table align-middle reorder-table">
+                    <thead>
+                        <tr><th>Item</th><th>Unit</th><th>Supplier</th><th>Stock</th><th>Reorder below</th><th>Suggested order</th><th>Urgency</th></tr>
+                    </thead>
+                    <tbody>
+                        ${entries.map(entry => this.renderRow(entry)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderRow(entry) {
+        const left = Math.round(Math.min(entry.urgency, 1) * 100);
+
+        return `
+            <tr data-reorder-id="${escapeHtml(entry.item.id)}">
+                <td><strong>${escapeHtml(entry.item.name)}</strong></td>
+                <td>${REORDER_TYPES[entry.type]}</td>
+                <td>${escapeHtml(entry.supplier)}</td>
+                <td>${entry.stock === 0 ? '<span class="badge bg-danger">Out</span>' : entry.stock}</td>
+                <td>${entry.level}</td>
+                <td>${entry.suggested}</td>
+                <td>
+                    <div class="reorder-urgency" title="${left}% of the reorder level in stock">
+                        <div class="reorder-urgency-bar ${entry.stock === 0 ? 'is-out' : ''}" style="width: ${Math.max(left, 5)}%"></div>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    // ========================================
+    // PRINT & EXPORT
+    // ========================================
+
+    /**
+     * Open a printable list, one table per supplier
+     */
+    print() {
+        const entries = this.getEntries();
+        if (entries.length === 0) {
+            showToast('Nothing needs reordering', 'info');
+            return;
+        }
+
+        const popup = window.open('', '_blank');
+        if (!popup) {
+            showToast('Allow pop-ups for this site to print the reorder list', 'error');
+            return;
+        }
+
+        const date = new Date().toLocaleDateString('en-KE', { day: 'numeric', month: 'long', year: 'numeric' });
+        const sections = this.groupBySupplier(entries).map(([supplier, group]) => `
+            <h2>${escapeHtml(supplier)}</h2>
+            <table>
+                <thead><tr><th>Item</th><th>Unit</th><th>In stock</th><th>Reorder below</th><th>Order</th></tr></thead>
+                <tbody>
+                    ${group.map(entry => `
+                        <tr>
+                            <td>${escapeHtml(entry.item.name)}</td>
+                            <td>${REORDER_TYPES[entry.type]}</td>
+                            <td>${entry.stock}</td>
+                            <td>${entry.level}</td>
+                            <td>${entry.suggested}</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+        `).join('');
+
+        popup.document.write(`<!DOCTYPE html>
+            <html>
+            <head>
+                <title>Reorder list - ${date}</title>
+                <style>
+                    body { font-family: Arial, sans-serif; margin: 2rem; color: #212529; }
+                    h1 { font-size: 1.4rem; margin-bottom: 0; }
+                    h2 { font-size: 1.1rem; margin-top: 1.5rem; }
+                    table { width: 100%; border-collapse: collapse; }
+                    th, td { border: 1px solid #ccc; padding: 0.4rem 0.6rem; text-align: left; }
+                    th { background: #f1f3f5; }
+                </style>
+            </head>
+            <body>
+                <h1>Penuel Stopover - Reorder list</h1>
+                <p>${date}</p>
+                ${sections}
+            </body>
+            </html>`);
+        popup.document.close();
+        popup.focus();
+        popup.print();
+    }
+
+    /**
+     * Download the reorder list as CSV, grouped by supplier
+     */
+    exportCsv() {
+        const entries = this.getEntries();
+        if (entries.length === 0) {
+            showToast('Nothing needs reordering', 'info');
+            return;
+        }
+
+        const csv = this.admin.csvManager;
+        const lines = [REORDER_CSV_COLUMNS.join(',')];
+
+        this.groupBySupplier(entries).forEach(([supplier, group]) => {
+            group.forEach(entry => {
+                const row = [supplier, REORDER_TYPES[entry.type], entry.item.id, entry.item.name, entry.stock, entry.level, entry.suggested];
+                lines.push(row.map(value => csv.encodeCell(value)).join(','));
+            });
+        });
+
+        const date = new Date().toISOString().slice(0, 10);
+        csv.download(`penuel-reorder-list-${date}.csv`, '\uFEFF' + lines.join('\r\n'));
+        showToast(`Exported ${entries.length} item(s) to reorder`, 'success');
+    }
+}
@@ -0,0 +1,222 @@
+/**
+ * Penuel Stopover - Admin Scheduled Changes
+ * ============================================
+ * Price and availability changes that take effect later: the item editor
+ * takes an effective-from (and optional until) time in Nairobi time, the
+ * save stores it on the item, and the Scheduled tab lists what is pending
+ * or running so it can be reviewed and cancelled.
+ */
+
+const SCHEDULE_TYPE_LABELS = {
+    restaurant: 'Restaurant',
+    supermarket: 'Supermarket',
+    service: 'Service Bay',
+    wash: 'Car Wash'
+};
+
+class ScheduledChangesManager {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.listEl = document.getElementById('scheduled-list');
+        this.countEl = document.getElementById('scheduled-count');
+    }
+
+    init() {
+        document.getElementById('scheduled-tab')?.addEventListener('shown.bs.tab', () => this.render());
+    }
+
+    // ========================================
+    // ITEM EDITOR
+    // ========================================
+
+    /**
+     * Effective-from/until fields for the item editor (saved items only)
+     */
+    renderEditorSection(item, pending) {
+        if (String(item.id).startsWith('new-')) return '';
+
+        return `
+            <div class="col-12 item-schedule">
+                <span class="form-label small d-block">Schedule the price/availability change (Nairobi time)</span>
+                <div class="row g-2">
+                    <div class="col-md-6">
+                        <label class="form-label small text-muted">Effective from</label>
+                        <input type="datetime-local" class="form-control schedule-field" data-field="effective_from" value="${toNairobiInput(pending.effective_from)}">
+                        <div class="invalid-feedback"></div>
+                    </div>
+                    <div class="col-md-6">
+                        <label class="form-label small text-muted">Until (optional)</label>
+                        <input type="datetime-local" class="form-control schedule-field" data-field="effective_until" value="${toNairobiInput(pending.effective_until)}">
+                        <div class="invalid-feedback"></div>
+                    </div>
+                </div>
+                <div class="form-text">Leave empty to apply the new price and availability when you save. Stock changes always apply on save.</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Validate the editor's schedule fields and merge them into changedItems
+     */
+    trackEditorChange(item, type, row) {
+        const input = field => row.querySelector(`.item-editor .schedule-field[data-field="${field}"]`);
+        const from = fromNairobiInput(input('effective_from').value);
+        const until = fromNairobiInput(input('effective_until').value);
+        const errors = {};
+
+        if (until && !from) {
+            errors.effective_from = 'Set when the change starts';
+        } else if (until && until <= from) {
+            errors.effective_until = 'Must be after the start';
+        } else if (until && new Date(until) <= new Date()) {
+            errors.effective_until = 'This time has already passed';
+        }
+
+        ['effective_from', 'effective_until'].forEach(field => {
+            input(field).classList.toggle('is-invalid', !!errors[field]);
+            input(field).nextElementSibling.textContent = errors[field] || '';
+        });
+
+        // Price/stock/availability come from the row as usual
+        this.admin.trackChange(item.id, type, row);
+
+        const key = `${type}-${item.id}`;
+        this.admin.changedItems.set(key, {
+            ...this.admin.changedItems.get(key),
+            effective_from: from,
+            effective_until: from ? until : null
+        });
+        this.admin.updateRowState(row);
+    }
+
+    // ========================================
+    // SCHEDULED TAB
+    // ========================================
+
+    /**
+     * Scheduled entries that have not ended, soonest first
+     */
+    getEntries(now = new Date()) {
+        const entries = [];
+
+        Object.keys(SCHEDULE_TYPE_LABELS)
+            .filter(type => this.admin.permissions && this.admin.canAccessType(type))
+            .forEach(type => {
+                (this.admin.itemsByType[type] || []).forEach(item => {
+                    (item.schedule || []).forEach(entry => {
+                        if (entry.effective_until && new Date(entry.effective_until) <= now) return;
+                        entries.push({
+                            type,
+                            item,
+                            entry,
+                            active: new Date(entry.effective_from) <= now
+                        });
+                    });
+                });
+            });
+
+        return entries.sort((a, b) => a.entry.effective_from.localeCompare(b.entry.effective_from));
+    }
+
+    render() {
+        const entries = this.getEntries();
+
+        if (this.countEl) {
+            this.countEl.textContent = entries.length;
+            this.countEl.classList.toggle('d-none', entries.length === 0);
+        }
+
+        if (!this.listEl) return;
+
+        if (entries.length === 0) {
+            this.listEl.innerHTML = '<p class="text-muted">No scheduled price or availability changes.</p>';
+            return;
+        }
+
+        this.listEl.innerHTML = `
+            <div class="table-responsive">
+                <table class="table align-middle scheduled-table">
+                    <thead>
+                        <tr><th>Item</th><th>Unit</th><th>Change</th><th>From</th><th>Until</th><th>Status</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${entries.map((entry, index) => this.renderRow(entry, index)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        this.listEl.querySelectorAll('.cancel-schedule-btn').forEach(btn => {
+            const { type, item, entry } = entries[Number(btn.dataset.index)];
+            btn.addEventListener('click', () => this.cancel(type, item, entry, btn));
+        });
+    }
+
+    renderRow({ type, item, entry, active }, index) {
+        return `
+            <tr data-schedule-id="${escapeHtml(entry.id)}">
+                <td><strong>${escapeHtml(item.name)}</strong></td>
+                <td>${SCHEDULE_TYPE_LABELS[type]}</td>
+                <td>${this.describeChange(item, entry)}</td>
+                <td>${this.formatTime(entry.effective_from)}</td>
+                <td>${entry.effective_until ? this.formatTime(entry.effective_until) : '<span class="text-muted">Until changed</span>'}</td>
+                <td>${active
+                    ? '<span class="badge bg-success">Active now</span>'
+                    : '<span class="badge bg-warning text-dark">Pending</span>'}</td>
+                <td class="text-end">
+                    <button type="button" class="btn btn-outline-danger btn-sm cancel-schedule-btn" data-index="${index}" title="Cancel this change">
+                        <i class="fas fa-xmark"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+
+    describeChange(item, entry) {
+        const parts = [];
+        if (entry.price_kes !== undefined) {
+            parts.push(`KES ${formatPrice(item.price_kes || 0)} → <strong>KES ${formatPrice(entry.price_kes)}</strong>`);
+        }
+        if (entry.available !== undefined) {
+            parts.push(entry.available ? 'Back in stock' : 'Out of stock');
+        }
+        return parts.join('<br>');
+    }
+
+    formatTime(iso) {
+        return escapeHtml(new Date(iso).toLocaleString('en-KE', {
+            timeZone: 'Africa/Nairobi',
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        }));
+    }
+
+    /**
+     * Drop a scheduled change on the backend and refresh the item
+     */
+    async cancel(type, item, entry, btn) {
+        if (!confirm(`Cancel the scheduled change to "${item.name}"?`)) return;
+
+        btn.disabled = true;
+
+        try {
+            const response = await apiCall(PENUEL_CONFIG.ADMIN_SCHEDULE_CANCEL_ENDPOINT, {
+                method: 'POST',
+                body: { type, id: item.id, scheduleId: entry.id }
+            });
+
+            this.admin.replaceItem(type, response.item);
+            this.render();
+            this.admin.historyManager.refresh();
+            showToast(`Scheduled change to "${item.name}" cancelled`, 'success');
+
+        } catch (error) {
+            console.error('❌ Error cancelling scheduled change:', error);
+            btn.disabled = false;
+            showToast(error.message || 'Failed to cancel the scheduled change', 'error');
+        }
+    }
+}
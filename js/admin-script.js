@@ -6,6 +6,65 @@
  * Secure authentication required
  */
 
+// Item categories per admin type (must match the filter buttons on retail.html/services.html)
+const ITEM_CATEGORIES = {
+    restaurant: ['breakfast', 'lunch', 'dinner', 'drinks'],
+    supermarket: ['groceries', 'snacks', 'household'],
+    service: ['inspection', 'maintenance', 'repairs'],
+    wash: ['exterior', 'interior', 'premium']
+};
+
+const ITEM_CONTAINERS = {
+    restaurant: 'restaurant-items',
+    supermarket: 'supermarket-items',
+    service: 'service-items',
+    wash: 'wash-items'
+};
+
+// Public card fields editable per admin type
+const EDITOR_FIELDS = {
+    restaurant: ['name', 'category', 'description', 'image_url', 'supplier'],
+    supermarket: ['name', 'category', 'description', 'image_url', 'supplier'],
+    service: ['name', 'category', 'description', 'duration_minutes', 'features'],
+    wash: ['name', 'category', 'subtitle', 'icon', 'duration_minutes', 'features']
+};
+
+// Public card renderers used for the live preview
+const CARD_PREVIEWS = {
+    restaurant: { stylesheet: 'css/retail-style.css', render: item => retailManager.createMenuCard(item) },
+    supermarket: { stylesheet: 'css/retail-style.css', render: item => retailManager.createRetailCard(item) },
+    service: { stylesheet: 'css/services-style.css', render: item => servicesManager.createServiceCard(item) },
+    wash: { stylesheet: 'css/services-style.css', render: item => servicesManager.createWashCard(item) }
+};
+
+const MAX_FEATURES = 8;
+
+// Business status badge (settings.status)
+const STATUS_BADGES = {
+    open: { text: 'OPEN', className: 'bg-success' },
+    closed: { text: 'TEMPORARILY CLOSED', className: 'bg-danger' },
+    maintenance: { text: 'MAINTENANCE', className: 'bg-warning text-dark' }
+};
+
+// Business units with their own closures (settings.status) and hours (settings.hours)
+const UNIT_LABELS = {
+    restaurant: 'Restaurant',
+    supermarket: 'Supermarket',
+    service_bay: 'Service Bay',
+    car_wash: 'Car Wash'
+};
+
+// Dashboard permissions per role (returned with the token; mirrored in mock-server/routes/admin.js)
+// settings: 'edit' | 'view' | null (tab hidden); inbox: inquiry service types the role handles
+// bookings: service bay and car wash calendar
+const ADMIN_ROLES = {
+    owner: { label: 'Owner', types: ['restaurant', 'supermarket', 'service', 'wash'], prices: true, manageItems: true, settings: 'edit', history: true, inbox: Object.keys(INBOX_TYPE_LABELS), bookings: true, insights: true },
+    manager: { label: 'Manager', types: ['restaurant', 'supermarket', 'service', 'wash'], prices: true, manageItems: true, settings: 'view', history: true, inbox: Object.keys(INBOX_TYPE_LABELS), bookings: true, insights: true },
+    restaurant_staff: { label: 'Restaurant Staff', types: ['restaurant'], prices: false, manageItems: false, settings: null, history: false, inbox: ['restaurant'], bookings: false, insights: false },
+    shop_staff: { label: 'Shop Staff', types: ['supermarket'], prices: false, manageItems: false, settings: null, history: false, inbox: ['supermarket'], bookings: false, insights: false },
+    service_staff: { label: 'Service Bay Staff', types: ['service', 'wash'], prices: false, manageItems: false, settings: null, history: false, inbox: ['service_bay', 'car_wash'], bookings: true, insights: false }
+};
+
 class AdminManager {
     constructor() {
         this.authForm = document.getElementById('auth-form');
@@ -16,13 +75,45 @@ class AdminManager {
         this.logoutBtn = document.getElementById('logout-btn');
         this.isAuthenticated = false;
         this.adminToken = localStorage.getItem('penuel_admin_token');
-        this.changedItems = new Map();
+        // Every change is mirrored to a local draft (see admin-drafts.js)
+        this.changedItems = new DraftChangeMap(() => this.draftManager.save());
+        this.itemsByType = {};
+        // Rows per type by item id, including the ones filtered or paged out of view
+        this.itemRows = {};
+        this.settings = null;
+        this.role = null;
+        this.permissions = null;
+        this.csvManager = new CatalogCsvManager(this);
+        this.bulkPriceManager = new BulkPriceManager(this);
+        this.historyManager = new ChangeHistoryManager(this);
+        this.sessionManager = new AdminSessionManager(this);
+        this.conflictManager = new SaveConflictManager(this);
+        this.draftManager = new AdminDraftManager(this);
+        this.hoursEditor = new OperatingHoursEditor(this);
+        this.specialsManager = new SpecialsManager(this);
+        this.reorderManager = new ReorderManager(this);
+        this.scheduledChanges = new ScheduledChangesManager(this);
+        this.inboxManager = new InboxManager(this);
+        this.bookingCalendar = new BookingCalendar(this);
+        this.insightsManager = new InsightsManager(this);
+        this.aiSync = new AiSyncManager(this);
+        this.imageUploads = new ImageUploadManager(this);
+        this.listView = new ItemListView(this);
+        this.gridEditor = new ItemGridEditor(this);
+        this.twoFactor = new TwoFactorManager(this);
     }
 
     /**
      * Initialize admin manager
      */
     async init() {
+        // Explain an automatic logout (idle timeout) on the login screen
+        const logoutReason = sessionStorage.getItem('penuel_admin_logout_reason');
+        if (logoutReason) {
+            sessionStorage.removeItem('penuel_admin_logout_reason');
+            this.showAuthError(logoutReason);
+        }
+
         // Check if already authenticated
         if (this.adminToken) {
             await this.verifyToken();
@@ -36,6 +127,7 @@ class AdminManager {
      */
     setupAuthListeners() {
         this.authForm?.addEventListener('submit', (e) => this.handleLogin(e));
+        this.twoFactor.initLogin();
     }
 
     /**
@@ -64,47 +156,61 @@ class AdminManager {
                     username: username,
                     password: password,
                     timestamp: new Date().toISOString()
-                },
-                headers: {
-                    'x-api-key': PENUEL_CONFIG.API_KEY
                 }
             });
 
+            // Two-factor login: the password was right, the code comes next
+            if (response.success && response.two_factor_required) {
+                this.twoFactor.showCodeStep(username, response);
+                submitBtn.disabled = false;
+                return;
+            }
+
             if (!response.success || !response.token) {
                 throw new Error(response.message || 'Authentication failed');
             }
 
-            // Store token and username
-            localStorage.setItem('penuel_admin_token', response.token);
-            localStorage.setItem('penuel_admin_user', username);
-            this.adminToken = response.token;
-
-            // Show dashboard
-            this.showDashboard(username);
-            console.log('✅ Admin authenticated successfully');
+            this.completeLogin(username, response);
 
         } catch (error) {
             console.error('❌ Login error:', error);
-            this.showAuthError(error.message || 'Invalid credentials. Please try again.');
+            this.showAuthError(this.twoFactor.handleLoginError(error));
             const submitBtn = this.authForm.querySelector('button[type="submit"]');
-            submitBtn.disabled = false;
+            submitBtn.disabled = Boolean(this.twoFactor.lockTimer);
         }
     }
 
+    /**
+     * Store the token from a successful login and open the dashboard
+     */
+    completeLogin(username, response) {
+        if (!this.setRole(response.role)) {
+            this.twoFactor.showPasswordStep('This account has no dashboard role assigned. Please contact the owner.');
+            this.authForm.querySelector('button[type="submit"]').disabled = false;
+            return;
+        }
+
+        // Store token and username
+        localStorage.setItem('penuel_admin_token', response.token);
+        localStorage.setItem('penuel_admin_user', username);
+        this.adminToken = response.token;
+        this.sessionManager.start(response.expires_at);
+
+        // Show dashboard
+        this.showDashboard(username);
+        console.log('✅ Admin authenticated successfully');
+    }
+
     /**
      * Verify existing token with backend
      */
     async verifyToken() {
         try {
-            const response = await apiCall(PENUEL_CONFIG.ADMIN_VERIFY_ENDPOINT, {
-                headers: {
-                    'x-api-key': PENUEL_CONFIG.API_KEY,
-                    'x-admin-token': this.adminToken
-                }
-            });
+            const response = await apiCall(PENUEL_CONFIG.ADMIN_VERIFY_ENDPOINT);
 
-            if (response.success) {
+            if (response.success && this.setRole(response.role)) {
                 const username = localStorage.getItem('penuel_admin_user') || 'Manager';
+                this.sessionManager.start(response.expires_at);
                 this.showDashboard(username);
                 console.log('✅ Token verified');
             } else {
@@ -113,7 +219,15 @@ class AdminManager {
 
         } catch (error) {
             console.error('Token verification failed:', error);
-            this.logout();
+
+            if (error instanceof AuthError) {
+                this.logout();
+                return;
+            }
+
+            // Backend unreachable - keep the token and let the user retry
+            this.setupAuthListeners();
+            this.showAuthError('Unable to reach the server. Please try again.');
         }
     }
 
@@ -123,8 +237,9 @@ class AdminManager {
     async showDashboard(username) {
         this.authScreen.classList.add('d-none');
         this.adminDashboard.classList.remove('d-none');
-        document.getElementById('user-info').textContent = `Welcome, ${username}!`;
+        document.getElementById('user-info').textContent = `Welcome, ${username}! (${this.permissions.label})`;
 
+        this.applyRolePermissions();
         this.setupDashboardListeners();
         await this.loadAllData();
     }
@@ -136,6 +251,127 @@ class AdminManager {
         this.saveBtn?.addEventListener('click', () => this.saveAllChanges());
         this.discardBtn?.addEventListener('click', () => this.discardChanges());
         this.logoutBtn?.addEventListener('click', () => this.logout());
+
+        document.querySelectorAll('.add-item-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.showAddItemForm(btn.dataset.itemType));
+        });
+
+        this.csvManager.init();
+        this.bulkPriceManager.init();
+        this.historyManager.init();
+        this.conflictManager.init();
+        this.draftManager.init();
+        this.hoursEditor.init();
+        this.specialsManager.init();
+        this.reorderManager.init();
+        this.scheduledChanges.init();
+        this.inboxManager.init();
+        this.bookingCalendar.init();
+        this.insightsManager.init();
+        this.aiSync.init();
+        this.imageUploads.init();
+        this.listView.init();
+        this.gridEditor.init();
+        this.twoFactor.init();
+    }
+
+    // ========================================
+    // ROLES & PERMISSIONS
+    // ========================================
+
+    /**
+     * Adopt the role returned by auth/verify; false for unknown roles
+     */
+    setRole(role) {
+        this.role = role;
+        this.permissions = ADMIN_ROLES[role] || null;
+        return this.permissions !== null;
+    }
+
+    canAccessType(type) {
+        return this.permissions.types.includes(type);
+    }
+
+    /**
+     * Hide tabs and actions the role has no access to
+     */
+    applyRolePermissions() {
+        const visibleTabs = {
+            ...Object.fromEntries(Object.keys(ITEM_CONTAINERS).map(type => [type, this.canAccessType(type)])),
+            reorder: this.canAccessType('restaurant') || this.canAccessType('supermarket'),
+            scheduled: this.permissions.manageItems,
+            inbox: this.permissions.inbox.length > 0,
+            bookings: this.permissions.bookings,
+            specials: this.permissions.manageItems,
+            settings: Boolean(this.permissions.settings),
+            history: this.permissions.history,
+            insights: this.permissions.insights
+        };
+
+        Object.entries(visibleTabs).forEach(([tab, visible]) => {
+            document.getElementById(`${tab}-tab`)?.closest('li')?.classList.toggle('d-none', !visible);
+            document.getElementById(`${tab}-content`)?.classList.toggle('d-none', !visible);
+        });
+
+        // If the default tab is hidden, open the first one the role can see
+        const activeTab = document.querySelector('.nav-tabs .nav-link.active');
+        if (activeTab?.closest('li').classList.contains('d-none')) {
+            const firstTab = Object.keys(visibleTabs).find(tab => visibleTabs[tab]);
+            activeTab.classList.remove('active');
+            document.querySelector('.tab-pane.active')?.classList.remove('show', 'active');
+            document.getElementById(`${firstTab}-tab`)?.classList.add('active');
+            document.getElementById(`${firstTab}-content`)?.classList.add('show', 'active');
+        }
+
+        if (!this.permissions.prices) {
+            document.querySelectorAll('.bulk-price-btn').forEach(btn => btn.classList.add('d-none'));
+        }
+
+        if (!this.canSyncAI()) {
+            document.getElementById('ai-sync-indicator')?.classList.add('d-none');
+        }
+
+        if (!this.permissions.manageItems) {
+            document.querySelectorAll('.add-item-btn').forEach(btn => btn.classList.add('d-none'));
+            document.querySelectorAll('.import-csv-input').forEach(input => input.closest('label').classList.add('d-none'));
+        }
+    }
+
+    /**
+     * Whether the role may push the knowledge base to the AI engine (mirrors the server check)
+     */
+    canSyncAI() {
+        return Boolean(this.permissions.manageItems && this.permissions.prices);
+    }
+
+    /**
+     * Whether the role may save a pending change (mirrors the server check)
+     */
+    canSaveChange(key, change) {
+        if (key.startsWith('settings-') || key.startsWith('hours-')) {
+            return this.permissions.settings === 'edit';
+        }
+
+        if (!change || !change.type) return true;
+        if (!this.canAccessType(change.type)) return false;
+        if (change.action && !this.permissions.manageItems) return false;
+        if (change.effective_from && (change.action || !this.permissions.manageItems)) return false;
+
+        const item = (this.itemsByType[change.type] || []).find(entry => String(entry.id) === String(change.id));
+        if (!item) return true;
+
+        if (!this.permissions.prices && change.price !== undefined && Number(change.price) !== Number(item.price_kes)) return false;
+        if (!this.permissions.manageItems && EDITOR_FIELDS[change.type].some(field => change[field] !== undefined)) return false;
+
+        return true;
+    }
+
+    /**
+     * Reverting may recreate, delete or reprice items, so it needs full item rights
+     */
+    canRevertChange(change) {
+        if (change.kind === 'setting') return this.permissions.settings === 'edit';
+        return this.canAccessType(change.type) && this.permissions.manageItems && this.permissions.prices;
     }
 
     /**
@@ -145,33 +381,32 @@ class AdminManager {
         try {
             console.log('📊 Loading management data...');
 
-            const response = await apiCall(PENUEL_CONFIG.ADMIN_DATA_ENDPOINT, {
-                headers: {
-                    'x-admin-token': this.adminToken,
-                    'x-api-key': PENUEL_CONFIG.API_KEY
-                }
-            });
+            const response = await apiCall(PENUEL_CONFIG.ADMIN_DATA_ENDPOINT);
 
-            if (response.menu) {
+            if (response.menu && this.canAccessType('restaurant')) {
                 this.renderItems('restaurant-items', response.menu, 'restaurant');
             }
 
-            if (response.products) {
+            if (response.products && this.canAccessType('supermarket')) {
                 this.renderItems('supermarket-items', response.products, 'supermarket');
             }
 
-            if (response.services) {
+            if (response.services && this.canAccessType('service')) {
                 this.renderItems('service-items', response.services, 'service');
             }
 
-            if (response.wash_packages) {
+            if (response.wash_packages && this.canAccessType('wash')) {
                 this.renderItems('wash-items', response.wash_packages, 'wash');
             }
 
-            if (response.settings) {
+            if (response.settings && this.permissions.settings) {
+                this.settings = response.settings;
                 this.renderSettings(response.settings);
             }
 
+            this.reorderManager.refresh();
+            this.scheduledChanges.render();
+
             console.log('✅ Data loaded successfully');
 
         } catch (error) {
@@ -188,11 +423,21 @@ class AdminManager {
         if (!container || !Array.isArray(items)) return;
 
         container.innerHTML = '';
+        this.itemsByType[type] = [...items];
+        this.itemRows[type] = new Map();
 
-        items.forEach(item => {
-            const row = this.createItemRow(item, type);
-            container.appendChild(row);
-        });
+        items.forEach(item => this.createItemRow(item, type));
+        this.gridEditor.reset(type);
+
+        // Search, filters and paging decide which rows are attached
+        this.listView.apply(type);
+    }
+
+    /**
+     * Row for an item, whether or not it is currently shown
+     */
+    findItemRow(type, itemId) {
+        return this.itemRows[type]?.get(String(itemId)) || null;
     }
 
     /**
@@ -208,35 +453,643 @@ class AdminManager {
         const price = item.price_kes || 0;
         const isOutOfStock = !item.available || item.stock_level === 0;
 
+        // Menu items and products are restocked, so they get a reorder threshold
+        const stocked = type === 'restaurant' || type === 'supermarket';
+
+        if (item.archived) row.classList.add('item-row-archived');
+        if (stocked) row.classList.add('item-row-stocked');
+
         row.innerHTML = `
-            <div class="item-name">${escapeHtml(name)}</div>
+            <div class="item-title">
+                <input class="form-check-input item-select ${this.permissions.prices ? '' : 'd-none'}" type="checkbox" title="Select for Adjust Prices" aria-label="Select ${escapeHtml(name)}">
+                <div class="item-name">${escapeHtml(name)}</div>
+            </div>
             <div>
                 <label class="form-label small">Price (KES)</label>
-                <input type="number" class="form-control item-price" value="${price}" min="0" step="100">
+                <input type="number" class="form-control item-price" value="${price}" min="0" step="100" ${this.permissions.prices ? '' : 'readonly title="Your role cannot change prices"'}>
             </div>
             <div>
                 <label class="form-label small">Stock</label>
                 <input type="number" class="form-control item-stock" value="${item.stock_level || 0}" min="0">
             </div>
+            ${stocked ? `
+            <div>
+                <label class="form-label small">Reorder below</label>
+                <input type="number" class="form-control item-reorder" value="${getReorderLevel(item)}" min="0">
+            </div>` : ''}
             <div class="item-status">
                 <label class="form-label small">Out of Stock</label>
                 <div class="form-check form-switch">
                     <input class="form-check-input out-of-stock-check" type="checkbox" ${isOutOfStock ? 'checked' : ''}>
                 </div>
             </div>
-            <div class="status-badge ${isOutOfStock ? 'status-inactive' : 'status-active'}">
-                ${isOutOfStock ? 'INACTIVE' : 'ACTIVE'}
+            <div class="status-badge"></div>
+            <div class="item-actions ${this.permissions.manageItems ? '' : 'd-none'}">
+                <button type="button" class="btn btn-outline-success btn-sm edit-item-btn" title="Edit details">
+                    <i class="fas fa-pen-to-square"></i>
+                </button>
+                <button type="button" class="btn btn-outline-secondary btn-sm archive-item-btn"></button>
+                <button type="button" class="btn btn-outline-danger btn-sm delete-item-btn" title="Delete item">
+                    <i class="fas fa-trash"></i>
+                </button>
             </div>
+            <div class="item-editor d-none"></div>
         `;
 
-        // Track changes
-        row.querySelectorAll('input').forEach(input => {
+        // Track changes (the bulk selection checkbox is not an edit)
+        row.querySelectorAll('input:not(.item-select)').forEach(input => {
             input.addEventListener('change', () => this.trackChange(item.id, type, row));
         });
 
+        row.querySelector('.edit-item-btn').addEventListener('click', () => this.toggleItemEditor(item, type, row));
+
+        row.querySelector('.archive-item-btn').addEventListener('click', () => this.toggleArchive(item, type, row));
+        row.querySelector('.delete-item-btn').addEventListener('click', () => this.toggleDelete(item, type, row));
+
+        this.updateRowState(row);
+
+        if (!this.itemRows[type]) this.itemRows[type] = new Map();
+        this.itemRows[type].set(String(item.id), row);
         return row;
     }
 
+    /**
+     * Refresh badge, action buttons and input lock for a row
+     * Reflects pending actions (create/archive/restore/delete) before stored state
+     */
+    updateRowState(row) {
+        const change = this.changedItems.get(`${row.dataset.itemType}-${row.dataset.itemId}`);
+        const action = change && change.action;
+        const isArchived = row.classList.contains('item-row-archived');
+        const outOfStock = row.querySelector('.out-of-stock-check')?.checked;
+
+        const badge = row.querySelector('.status-badge');
+        const archiveBtn = row.querySelector('.archive-item-btn');
+        const deleteBtn = row.querySelector('.delete-item-btn');
+
+        let badgeClass = outOfStock ? 'status-inactive' : 'status-active';
+        let badgeText = outOfStock ? 'INACTIVE' : 'ACTIVE';
+
+        if (action === 'create') {
+            badgeClass = 'status-pending';
+            badgeText = 'NEW';
+        } else if (action === 'delete') {
+            badgeClass = 'status-inactive';
+            badgeText = 'DELETE ON SAVE';
+        } else if (action === 'archive') {
+            badgeClass = 'status-pending';
+            badgeText = 'ARCHIVE ON SAVE';
+        } else if (action === 'restore') {
+            badgeClass = 'status-pending';
+            badgeText = 'RESTORE ON SAVE';
+        } else if (isArchived) {
+            badgeClass = 'status-archived';
+            badgeText = 'ARCHIVED';
+        } else if (change && change.effective_from) {
+            badgeClass = 'status-pending';
+            badgeText = 'SCHEDULED';
+        }
+
+        badge.className = `status-badge ${badgeClass}`;
+        badge.textContent = badgeText;
+
+        const reorderInput = row.querySelector('.item-reorder');
+        if (reorderInput) {
+            const stockInput = row.querySelector('.item-stock');
+            const isLow = needsReorder({
+                stock_level: parseInt(stockInput.value) || 0,
+                reorder_level: parseInt(reorderInput.value)
+            });
+            stockInput.classList.toggle('is-low-stock', isLow);
+            stockInput.title = isLow ? 'Below the reorder level' : '';
+        }
+
+        // Archive button doubles as restore for archived items and undo for pending actions
+        const archivePending = action === 'archive' || action === 'restore';
+        archiveBtn.classList.toggle('d-none', action === 'create' || action === 'delete');
+        archiveBtn.title = archivePending ? 'Undo' : (isArchived ? 'Restore item' : 'Archive item');
+        archiveBtn.innerHTML = archivePending
+            ? '<i class="fas fa-rotate-left"></i>'
+            : `<i class="fas ${isArchived ? 'fa-box-open' : 'fa-box-archive'}"></i>`;
+
+        deleteBtn.title = action === 'delete' ? 'Undo delete' : 'Delete item';
+        deleteBtn.innerHTML = action === 'delete' ? '<i class="fas fa-rotate-left"></i>' : '<i class="fas fa-trash"></i>';
+        deleteBtn.classList.toggle('d-none', archivePending);
+
+        const locked = action === 'delete' || action === 'archive';
+        row.classList.toggle('item-row-pending-delete', action === 'delete');
+        row.querySelectorAll('input, select, textarea').forEach(input => {
+            input.disabled = locked;
+        });
+    }
+
+    /**
+     * Swap in a newer copy of an item (e.g. after a save conflict)
+     * Any pending change for it is re-applied to the new row
+     */
+    replaceItem(type, item) {
+        const items = this.itemsByType[type] || [];
+        const index = items.findIndex(entry => String(entry.id) === String(item.id));
+        if (index !== -1) items[index] = item;
+
+        const row = this.findItemRow(type, item.id);
+        if (row) row.replaceWith(this.createItemRow(item, type));
+
+        this.refreshItemRow(type, item.id);
+    }
+
+    /**
+     * Drop an item that no longer exists on the backend
+     */
+    removeItem(type, itemId) {
+        this.itemsByType[type] = (this.itemsByType[type] || []).filter(entry => String(entry.id) !== String(itemId));
+
+        this.findItemRow(type, itemId)?.remove();
+        this.itemRows[type]?.delete(String(itemId));
+    }
+
+    /**
+     * Sync a row's inputs with its pending change (after CSV import, bulk edits, ...)
+     */
+    refreshItemRow(type, itemId) {
+        const row = this.findItemRow(type, itemId);
+        const change = this.changedItems.get(`${type}-${itemId}`);
+        if (!row || !change) return;
+
+        if (change.price !== undefined) row.querySelector('.item-price').value = change.price;
+        if (change.stock !== undefined) row.querySelector('.item-stock').value = change.stock;
+        if (change.reorder_level !== undefined && row.querySelector('.item-reorder')) {
+            row.querySelector('.item-reorder').value = change.reorder_level;
+        }
+        if (change.outOfStock !== undefined) row.querySelector('.out-of-stock-check').checked = change.outOfStock;
+        if (change.name) row.querySelector('.item-name').textContent = change.name;
+
+        // Editor is rebuilt from the pending values next time it opens
+        const editor = row.querySelector('.item-editor');
+        editor.innerHTML = '';
+        editor.classList.add('d-none');
+        row.classList.remove('item-row-expanded');
+
+        this.updateRowState(row);
+        this.gridEditor.refresh(type);
+        this.reorderManager.refresh();
+    }
+
+    /**
+     * Expand or collapse the full item editor for a row
+     */
+    toggleItemEditor(item, type, row) {
+        const editor = row.querySelector('.item-editor');
+        const isOpening = editor.classList.contains('d-none');
+
+        if (isOpening && !editor.hasChildNodes()) {
+            this.renderItemEditor(item, type, row, editor);
+        }
+
+        editor.classList.toggle('d-none', !isOpening);
+        row.classList.toggle('item-row-expanded', isOpening);
+
+        if (isOpening) this.updateItemPreview(item, type, row);
+    }
+
+    /**
+     * Build editor fields for the public card attributes of an item
+     */
+    renderItemEditor(item, type, row, editor) {
+        const pending = this.changedItems.get(`${type}-${item.id}`) || {};
+        const value = field => (pending[field] !== undefined ? pending[field] : item[field]);
+
+        const fieldsHtml = EDITOR_FIELDS[type].map(field => {
+            switch (field) {
+                case 'category':
+                    return `
+                        <div class="col-md-6">
+                            <label class="form-label small">Category</label>
+                            <select class="form-select editor-field" data-field="category">
+                                ${ITEM_CATEGORIES[type].map(category => `
+                                    <option value="${category}" ${category === (value('category') || '').toLowerCase() ? 'selected' : ''}>
+                                        ${category.charAt(0).toUpperCase() + category.slice(1)}
+                                    </option>`).join('')}
+                            </select>
+                            <div class="invalid-feedback"></div>
+                        </div>`;
+                case 'description':
+                    return `
+                        <div class="col-12">
+                            <label class="form-label small">Description</label>
+                            <textarea class="form-control editor-field" data-field="description" rows="2" maxlength="300">${escapeHtml(value('description') || '')}</textarea>
+                            <div class="invalid-feedback"></div>
+                        </div>`;
+                case 'features':
+                    return `
+                        <div class="col-12">
+                            <label class="form-label small">Features (one per line)</label>
+                            <textarea class="form-control editor-field" data-field="features" rows="4">${escapeHtml((value('features') || []).join('\n'))}</textarea>
+                            <div class="invalid-feedback"></div>
+                        </div>`;
+                case 'duration_minutes':
+                    return `
+                        <div class="col-md-6">
+                            <label class="form-label small">Duration (minutes)</label>
+                            <input type="number" class="form-control editor-field" data-field="duration_minutes" min="5" max="600" step="5" value="${escapeHtml(value('duration_minutes') || '')}">
+                            <div class="invalid-feedback"></div>
+                        </div>`;
+                default: {
+                    const labels = { name: 'Name', image_url: 'Image URL', subtitle: 'Subtitle', icon: 'Icon (emoji)', supplier: 'Supplier' };
+                    const width = field === 'icon' ? 'col-md-3' : (field === 'image_url' ? 'col-12' : 'col-md-6');
+                    return `
+                        <div class="${width}">
+                            <label class="form-label small">${labels[field]}</label>
+                            <input type="${field === 'image_url' ? 'url' : 'text'}" class="form-control editor-field" data-field="${field}" value="${escapeHtml(value(field) || '')}">
+                            <div class="invalid-feedback"></div>
+                            ${field === 'image_url' ? this.imageUploads.renderEditorButton(type) : ''}
+                        </div>`;
+                }
+            }
+        }).join('');
+
+        editor.innerHTML = `
+            <div class="item-editor-form">
+                <div class="row g-3">${fieldsHtml}${this.scheduledChanges.renderEditorSection(item, pending)}</div>
+            </div>
+            <div class="item-editor-preview">
+                <span class="form-label small">Live preview</span>
+                <iframe class="item-preview-frame" sandbox="" title="Public card preview"></iframe>
+            </div>
+        `;
+
+        let previewTimer = null;
+        editor.querySelectorAll('.editor-field').forEach(field => {
+            field.addEventListener('input', () => {
+                this.trackDetailsChange(item, type, row);
+                clearTimeout(previewTimer);
+                previewTimer = setTimeout(() => this.updateItemPreview(item, type, row), 250);
+            });
+        });
+
+        editor.querySelector('.item-image-input')?.addEventListener('change', (e) => {
+            const urlInput = editor.querySelector('.editor-field[data-field="image_url"]');
+            this.imageUploads.open(e.target.files[0], type, item.id, urlInput);
+            e.target.value = '';
+        });
+
+        editor.querySelectorAll('.schedule-field').forEach(field => {
+            field.addEventListener('change', () => this.scheduledChanges.trackEditorChange(item, type, row));
+        });
+
+        // Price/stock edits change the card too
+        row.querySelectorAll('.item-price, .item-stock, .out-of-stock-check').forEach(input => {
+            input.addEventListener('change', () => this.updateItemPreview(item, type, row));
+        });
+    }
+
+    /**
+     * Read editor values into public card field names
+     */
+    readEditorValues(row) {
+        const values = {};
+
+        row.querySelectorAll('.item-editor .editor-field').forEach(field => {
+            const name = field.dataset.field;
+
+            if (name === 'features') {
+                values.features = field.value.split('\n').map(line => line.trim()).filter(Boolean);
+            } else if (name === 'duration_minutes') {
+                values.duration_minutes = field.value === '' ? null : Number(field.value);
+            } else {
+                values[name] = field.value.trim();
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Validate editor values; returns { field: message }
+     */
+    validateItemDetails(item, type, values) {
+        const errors = {};
+
+        if (values.name !== undefined) {
+            if (values.name.length < 2) {
+                errors.name = 'Name must be at least 2 characters';
+            } else if ((this.itemsByType[type] || []).some(other =>
+                other.id !== item.id && (other.name || '').toLowerCase() === values.name.toLowerCase())) {
+                errors.name = 'Another item already uses this name';
+            }
+        }
+
+        if (values.category !== undefined && !ITEM_CATEGORIES[type].includes(values.category)) {
+            errors.category = `Category must be one of: ${ITEM_CATEGORIES[type].join(', ')}`;
+        }
+
+        if (values.description !== undefined && values.description.length > 300) {
+            errors.description = 'Description must be 300 characters or less';
+        }
+
+        if (values.subtitle !== undefined && values.subtitle.length > 60) {
+            errors.subtitle = 'Subtitle must be 60 characters or less';
+        }
+
+        if (values.supplier !== undefined && values.supplier.length > 80) {
+            errors.supplier = 'Supplier must be 80 characters or less';
+        }
+
+        if (values.image_url && !/^(https?:\/\/|\/|img\/|uploads\/)\S+$/i.test(values.image_url)) {
+            errors.image_url = 'Use a full http(s) URL, a site path like img/dish.jpg or upload a photo';
+        }
+
+        if (values.icon !== undefined && (values.icon.length === 0 || [...values.icon].length > 4 || /[<>"'&]/.test(values.icon))) {
+            errors.icon = 'Use a single emoji';
+        }
+
+        if (values.duration_minutes !== undefined) {
+            const duration = values.duration_minutes;
+            if (!Number.isInteger(duration) || duration < 5 || duration > 600) {
+                errors.duration_minutes = 'Duration must be a whole number between 5 and 600';
+            }
+        }
+
+        if (values.features !== undefined) {
+            if (values.features.length > MAX_FEATURES) {
+                errors.features = `List at most ${MAX_FEATURES} features`;
+            } else if (values.features.some(feature => feature.length > 60)) {
+                errors.features = 'Each feature must be 60 characters or less';
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate editor input, flag invalid fields and merge values into changedItems
+     */
+    trackDetailsChange(item, type, row) {
+        const values = this.readEditorValues(row);
+        const errors = this.validateItemDetails(item, type, values);
+
+        row.querySelectorAll('.item-editor .editor-field').forEach(field => {
+            const message = errors[field.dataset.field];
+            field.classList.toggle('is-invalid', !!message);
+            field.nextElementSibling.textContent = message || '';
+        });
+
+        if (values.name) {
+            row.querySelector('.item-name').textContent = values.name;
+        }
+
+        const key = `${type}-${item.id}`;
+        this.changedItems.set(key, {
+            ...(this.changedItems.get(key) || { id: item.id, type: type }),
+            ...values
+        });
+    }
+
+    /**
+     * Render the public card for the row's current values into the preview frame
+     */
+    updateItemPreview(item, type, row) {
+        const frame = row.querySelector('.item-preview-frame');
+        if (!frame || row.querySelector('.item-editor').classList.contains('d-none')) return;
+
+        const preview = CARD_PREVIEWS[type];
+        const outOfStock = row.querySelector('.out-of-stock-check').checked;
+        const previewItem = {
+            ...item,
+            ...this.readEditorValues(row),
+            price_kes: parseInt(row.querySelector('.item-price').value) || 0,
+            stock_level: parseInt(row.querySelector('.item-stock').value) || 0,
+            available: !outOfStock
+        };
+
+        const cardHtml = preview.render(previewItem).outerHTML;
+
+        frame.srcdoc = `<!DOCTYPE html>
+            <html>
+            <head>
+                <link href="https://cdnjs.cloudflare.com/ajax/libs/bootstrap/5.3.0/css/bootstrap.min.css" rel="stylesheet">
+                <link href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css" rel="stylesheet">
+                <link href="${preview.stylesheet}" rel="stylesheet">
+            </head>
+            <body class="p-3 bg-light"><div class="row">${cardHtml.replace(/class="col-[^"]*"/, 'class="col-12"')}</div></body>
+            </html>`;
+    }
+
+    /**
+     * Show inline form for adding a new item to a tab
+     */
+    showAddItemForm(type) {
+        const container = document.getElementById(ITEM_CONTAINERS[type]);
+        if (!container) return;
+
+        // The form goes into the row list
+        this.gridEditor.close(type);
+
+        const existing = container.querySelector('.new-item-form');
+        if (existing) {
+            existing.querySelector('.new-item-name').focus();
+            return;
+        }
+
+        const categoryOptions = ITEM_CATEGORIES[type]
+            .map(category => `<option value="${category}">${category.charAt(0).toUpperCase() + category.slice(1)}</option>`)
+            .join('');
+
+        const form = document.createElement('form');
+        form.className = 'item-row new-item-form';
+        form.noValidate = true;
+
+        form.innerHTML = `
+            <div>
+                <label class="form-label small">Name</label>
+                <input type="text" class="form-control new-item-name" maxlength="80" placeholder="Item name">
+            </div>
+            <div>
+                <label class="form-label small">Category</label>
+                <select class="form-select new-item-category">${categoryOptions}</select>
+            </div>
+            <div>
+                <label class="form-label small">Price (KES)</label>
+                <input type="number" class="form-control new-item-price" min="0" step="10">
+            </div>
+            <div>
+                <label class="form-label small">Stock</label>
+                <input type="number" class="form-control new-item-stock" min="0" value="0">
+            </div>
+            <div class="item-actions">
+                <button type="submit" class="btn btn-success btn-sm">
+                    <i class="fas fa-plus me-1"></i>Add
+                </button>
+                <button type="button" class="btn btn-outline-secondary btn-sm cancel-new-item">Cancel</button>
+            </div>
+        `;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitNewItem(type, form);
+        });
+        form.querySelector('.cancel-new-item').addEventListener('click', () => form.remove());
+
+        container.prepend(form);
+        form.querySelector('.new-item-name').focus();
+    }
+
+    /**
+     * Validate the add-item form and queue the new item for saving
+     */
+    submitNewItem(type, form) {
+        const data = {
+            name: form.querySelector('.new-item-name').value.trim(),
+            category: form.querySelector('.new-item-category').value,
+            price: form.querySelector('.new-item-price').value,
+            stock: form.querySelector('.new-item-stock').value
+        };
+
+        const error = this.validateNewItem(type, data);
+        if (error) {
+            showToast(error, 'error');
+            return;
+        }
+
+        const row = this.queueNewItem(type, {
+            name: data.name,
+            category: data.category,
+            price_kes: parseInt(data.price),
+            stock_level: parseInt(data.stock),
+            available: true
+        });
+        form.replaceWith(row);
+
+        showToast(`"${data.name}" added. Save to publish it.`, 'info');
+    }
+
+    /**
+     * Register an unsaved item as a pending create and return its row
+     * Extra public card fields (description, features, ...) are sent with the create
+     */
+    queueNewItem(type, fields) {
+        const item = { ...fields, id: `new-${Date.now()}-${this.itemsByType[type]?.length || 0}` };
+        const { id, name, category, price_kes, stock_level, available, ...details } = item;
+
+        this.itemsByType[type] = [...(this.itemsByType[type] || []), item];
+        this.changedItems.set(`${type}-${id}`, {
+            ...details,
+            id: id,
+            type: type,
+            action: 'create',
+            name: name,
+            category: category,
+            price: price_kes,
+            stock: stock_level,
+            outOfStock: available === false
+        });
+
+        const row = this.createItemRow(item, type);
+        row.classList.add('item-row-new');
+        return row;
+    }
+
+    /**
+     * Validate a new item; returns an error message or null
+     */
+    validateNewItem(type, data) {
+        if (data.name.length < 2) {
+            return 'Item name must be at least 2 characters';
+        }
+
+        const duplicate = (this.itemsByType[type] || [])
+            .some(item => (item.name || '').toLowerCase() === data.name.toLowerCase());
+        if (duplicate) {
+            return `An item named "${data.name}" already exists`;
+        }
+
+        if (!ITEM_CATEGORIES[type].includes(data.category)) {
+            return 'Please choose a valid category';
+        }
+
+        const price = Number(data.price);
+        if (data.price === '' || !Number.isFinite(price) || price <= 0) {
+            return 'Please enter a price greater than 0';
+        }
+
+        const stock = Number(data.stock);
+        if (!Number.isInteger(stock) || stock < 0) {
+            return 'Stock must be a whole number of 0 or more';
+        }
+
+        return null;
+    }
+
+    /**
+     * Archive (or restore) an item, or undo a pending archive/restore
+     */
+    toggleArchive(item, type, row) {
+        const key = `${type}-${item.id}`;
+        const change = this.changedItems.get(key);
+
+        if (change && (change.action === 'archive' || change.action === 'restore')) {
+            this.clearPendingAction(key);
+        } else if (item.archived) {
+            this.setPendingAction(key, item, type, 'restore');
+        } else {
+            if (!confirm(`Archive "${item.name}"? It will be hidden from the website but can be restored later.`)) return;
+            this.setPendingAction(key, item, type, 'archive');
+        }
+
+        this.updateRowState(row);
+    }
+
+    /**
+     * Mark an item for deletion, undo a pending delete, or drop an unsaved new item
+     */
+    toggleDelete(item, type, row) {
+        const key = `${type}-${item.id}`;
+        const change = this.changedItems.get(key);
+
+        if (change && change.action === 'create') {
+            if (!confirm(`Remove unsaved item "${item.name}"?`)) return;
+            this.changedItems.delete(key);
+            this.itemsByType[type] = this.itemsByType[type].filter(i => i.id !== item.id);
+            this.removeItem(type, item.id);
+            return;
+        }
+
+        if (change && change.action === 'delete') {
+            this.clearPendingAction(key);
+        } else {
+            if (!confirm(`Permanently delete "${item.name}"? This cannot be undone after saving.`)) return;
+            this.setPendingAction(key, item, type, 'delete');
+        }
+
+        this.updateRowState(row);
+    }
+
+    /**
+     * Attach an action to an item's pending change (keeps any price/stock edits)
+     */
+    setPendingAction(key, item, type, action) {
+        const existing = this.changedItems.get(key) || { id: item.id, type: type };
+        this.changedItems.set(key, { ...existing, action: action });
+    }
+
+    /**
+     * Remove a pending action; drop the change entirely if nothing else was edited
+     * (price, stock and editor details such as name or description are kept)
+     */
+    clearPendingAction(key) {
+        const change = this.changedItems.get(key);
+        if (!change) return;
+
+        const { action, ...rest } = change;
+        const edited = Object.keys(rest).some(field => !['id', 'type', 'baseVersion'].includes(field));
+
+        if (edited) {
+            this.changedItems.set(key, rest);
+        } else {
+            this.changedItems.delete(key);
+        }
+    }
+
     /**
      * Render business settings
      */
@@ -251,6 +1104,9 @@ class AdminManager {
         // Operating hours
         this.renderHoursEditor(settings.hours || {});
 
+        // Open / closed / maintenance
+        this.renderBusinessStatus(settings.status || {});
+
         // Track setting changes
         phoneInput?.addEventListener('change', () => {
             this.changedItems.set('settings-phone', phoneInput.value);
@@ -259,48 +1115,116 @@ class AdminManager {
         emailInput?.addEventListener('change', () => {
             this.changedItems.set('settings-email', emailInput.value);
         });
+
+        // Managers can see settings but only the owner may change them
+        const readOnly = this.permissions.settings !== 'edit';
+        document.querySelectorAll('#settings-content input, #settings-content select').forEach(input => {
+            input.disabled = readOnly;
+        });
     }
 
     /**
-     * Render hours editor
+     * Render the business status form (site mode, message, unit closures)
      */
-    renderHoursEditor(hours) {
-        const container = document.getElementById('hours-editor');
-        if (!container) return;
+    renderBusinessStatus(status) {
+        const modeSelect = document.getElementById('status-mode');
+        const messageInput = document.getElementById('status-message');
+        const container = document.getElementById('status-units-editor');
+        if (!modeSelect || !messageInput || !container) return;
 
-        container.innerHTML = '';
+        modeSelect.value = STATUS_BADGES[status.mode] ? status.mode : 'open';
+        messageInput.value = status.message || '';
 
-        const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+        container.innerHTML = '';
 
-        days.forEach(day => {
-            const dayHours = hours[day] || { open: '07:00', close: '18:00' };
+        Object.entries(UNIT_LABELS).forEach(([unit, label]) => {
+            const closure = (status.units || {})[unit] || {};
 
             const row = document.createElement('div');
-            row.className = 'hours-editor-row';
+            row.className = 'status-unit-row';
+            row.dataset.unit = unit;
 
             row.innerHTML = `
                 <div>
-                    <label class="form-label">${day}</label>
+                    <label class="form-label" for="status-unit-${unit}">${label}</label>
                 </div>
-                <div>
-                    <input type="time" class="form-control hours-open" value="${dayHours.open}" data-day="${day}">
+                <div class="form-check form-switch">
+                    <input class="form-check-input status-unit-closed" type="checkbox" id="status-unit-${unit}" ${closure.closed ? 'checked' : ''}>
+                    <label class="form-check-label" for="status-unit-${unit}">Closed</label>
                 </div>
                 <div>
-                    <input type="time" class="form-control hours-close" value="${dayHours.close}" data-day="${day}">
+                    <input type="text" class="form-control status-unit-reason" placeholder="Reason, e.g. water shortage" value="${escapeHtml(closure.reason || '')}">
                 </div>
             `;
 
             container.appendChild(row);
+        });
 
-            row.querySelectorAll('input').forEach(input => {
-                input.addEventListener('change', () => {
-                    this.changedItems.set(`hours-${day}`, {
-                        open: row.querySelector('.hours-open').value,
-                        close: row.querySelector('.hours-close').value
-                    });
-                });
-            });
+        this.updateStatusBadge(modeSelect.value);
+
+        // Re-rendering replaces the rows, so bind the form fields only once
+        if (modeSelect.dataset.bound) return;
+        modeSelect.dataset.bound = 'true';
+
+        const track = () => {
+            this.changedItems.set('settings-status', this.readBusinessStatus());
+            this.updateStatusBadge(modeSelect.value);
+        };
+
+        modeSelect.addEventListener('change', track);
+        messageInput.addEventListener('change', track);
+        container.addEventListener('change', track);
+    }
+
+    /**
+     * Current business status as entered in the form
+     */
+    readBusinessStatus() {
+        const units = {};
+        document.querySelectorAll('#status-units-editor .status-unit-row').forEach(row => {
+            units[row.dataset.unit] = {
+                closed: row.querySelector('.status-unit-closed').checked,
+                reason: row.querySelector('.status-unit-reason').value.trim()
+            };
         });
+
+        return {
+            mode: document.getElementById('status-mode').value,
+            message: document.getElementById('status-message').value.trim(),
+            units: units
+        };
+    }
+
+    /**
+     * One-line summary of a business status (history and conflict views)
+     */
+    describeBusinessStatus(status) {
+        const parts = [(STATUS_BADGES[status.mode] || STATUS_BADGES.open).text.toLowerCase()];
+        if (status.message) parts[0] += ` (${status.message})`;
+
+        Object.entries(status.units || {}).forEach(([unit, closure]) => {
+            if (closure && closure.closed) {
+                parts.push(`${UNIT_LABELS[unit] || unit} closed${closure.reason ? ` — ${closure.reason}` : ''}`);
+            }
+        });
+
+        return parts.join('; ');
+    }
+
+    updateStatusBadge(mode) {
+        const badge = document.getElementById('status-text');
+        const style = STATUS_BADGES[mode] || STATUS_BADGES.open;
+        if (!badge) return;
+
+        badge.textContent = style.text;
+        badge.className = `badge ${style.className} ms-2`;
+    }
+
+    /**
+     * Render hours editor
+     */
+    renderHoursEditor(hours) {
+        this.hoursEditor.render(hours);
     }
 
     /**
@@ -310,26 +1234,23 @@ class AdminManager {
         const price = row.querySelector('.item-price').value;
         const stock = row.querySelector('.item-stock').value;
         const outOfStock = row.querySelector('.out-of-stock-check').checked;
+        const reorderInput = row.querySelector('.item-reorder');
 
-        this.changedItems.set(`${type}-${itemId}`, {
+        // Merge so pending actions (create/archive/...) and new-item fields survive edits
+        const key = `${type}-${itemId}`;
+        this.changedItems.set(key, {
+            ...(this.changedItems.get(key) || {}),
             id: itemId,
             type: type,
             price: parseInt(price) || 0,
             stock: parseInt(stock) || 0,
-            outOfStock: outOfStock
+            outOfStock: outOfStock,
+            ...(reorderInput ? { reorder_level: Math.max(0, parseInt(reorderInput.value) || 0) } : {})
         });
 
         // Update status badge
-        const badge = row.querySelector('.status-badge');
-        if (badge) {
-            if (outOfStock) {
-                badge.className = 'status-badge status-inactive';
-                badge.textContent = 'INACTIVE';
-            } else {
-                badge.className = 'status-badge status-active';
-                badge.textContent = 'ACTIVE';
-            }
-        }
+        this.updateRowState(row);
+        this.reorderManager.refresh();
 
         console.log('📝 Change tracked:', itemId, { price, stock, outOfStock });
     }
@@ -344,15 +1265,29 @@ class AdminManager {
                 return;
             }
 
+            const rows = Object.values(this.itemRows).flatMap(map => [...map.values()]);
+            if (rows.some(row => row.querySelector('.item-editor .is-invalid'))) {
+                showToast('Please fix the highlighted item fields before saving', 'error');
+                return;
+            }
+
+            const unauthorized = [...this.changedItems].filter(([key, change]) => !this.canSaveChange(key, change));
+            if (unauthorized.length > 0) {
+                showToast(`Your role cannot save ${unauthorized.length} of these changes. Discard them and try again.`, 'error');
+                return;
+            }
+
             const submitBtn = this.saveBtn;
             const originalText = submitBtn.innerHTML;
             submitBtn.disabled = true;
             submitBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Saving...';
 
-            // Prepare payload
+            // Prepare payload (each change carries the version it was based on)
             const payload = {
-                items: Array.from(this.changedItems.values()),
+                items: Array.from(this.changedItems.values()).map(change => this.withBaseVersion(change)),
                 settings: {},
+                settingsVersion: this.settings?.version,
+                user: localStorage.getItem('penuel_admin_user') || 'Manager',
                 timestamp: new Date().toISOString()
             };
 
@@ -367,23 +1302,23 @@ class AdminManager {
                 };
             }
 
+            if (this.changedItems.has('settings-status')) {
+                payload.settings.status = this.changedItems.get('settings-status');
+            }
+
             // Add hours if changed
             payload.hours = {};
             this.changedItems.forEach((value, key) => {
                 if (key.startsWith('hours-')) {
-                    const day = key.replace('hours-', '');
-                    payload.hours[day] = value;
+                    const unit = key.replace('hours-', '');
+                    payload.hours[unit] = value;
                 }
             });
 
             // Send to backend
             const response = await apiCall(PENUEL_CONFIG.ADMIN_SAVE_ENDPOINT, {
                 method: 'POST',
-                body: payload,
-                headers: {
-                    'x-admin-token': this.adminToken,
-                    'x-api-key': PENUEL_CONFIG.API_KEY
-                }
+                body: payload
             });
 
             if (!response.success) {
@@ -397,42 +1332,56 @@ class AdminManager {
             submitBtn.disabled = false;
             submitBtn.innerHTML = originalText;
 
-            // Optionally sync with AI
+            // Reload so new items get their permanent ids and deleted rows disappear
+            await this.loadAllData();
+            this.historyManager.refresh();
+
+            // Push the new prices and hours to the assistant (status shows in the header)
             await this.syncWithAI();
 
         } catch (error) {
             console.error('❌ Save error:', error);
-            showToast(error.message || 'Failed to save changes', 'error');
             const submitBtn = this.saveBtn;
             submitBtn.disabled = false;
             submitBtn.innerHTML = '<i class="fas fa-save me-2"></i>Save All Changes';
+
+            // Someone else saved the same records first: let the user pick per record
+            if (error instanceof ConflictError) {
+                this.conflictManager.show(error.conflicts);
+                return;
+            }
+
+            // Token expired mid-session: keep changedItems, sign in again, retry
+            if (error instanceof AuthError && error.status === 401) {
+                showToast('Your session expired. Sign in again to finish saving - your changes are kept.', 'warning');
+                if (await this.sessionManager.reauthenticate()) {
+                    await this.saveAllChanges();
+                }
+                return;
+            }
+
+            showToast(error.message || 'Failed to save changes', 'error');
         }
     }
 
     /**
-     * Sync updated data with AI engine
+     * Attach the loaded item's version so the backend can detect overwrites
      */
-    async syncWithAI() {
-        try {
-            console.log('🧠 Syncing with AI engine...');
+    withBaseVersion(change) {
+        if (!change || !change.type || change.action === 'create') return change;
+        if (change.baseVersion !== undefined) return change;
 
-            await apiCall(PENUEL_CONFIG.AI_SYNC_ENDPOINT, {
-                method: 'POST',
-                body: {
-                    action: 'update_knowledge',
-                    timestamp: new Date().toISOString()
-                },
-                headers: {
-                    'x-admin-token': this.adminToken,
-                    'x-api-key': PENUEL_CONFIG.API_KEY
-                }
-            });
-
-            console.log('✅ AI engine synced');
+        const item = (this.itemsByType[change.type] || []).find(entry => String(entry.id) === String(change.id));
+        return item && item.version !== undefined ? { ...change, baseVersion: item.version } : change;
+    }
 
-        } catch (error) {
-            console.error('AI sync warning (non-blocking):', error.message);
-        }
+    /**
+     * Sync updated data with AI engine
+     * Queues a background job; AiSyncManager follows it and reports failures
+     */
+    async syncWithAI() {
+        if (!this.canSyncAI()) return;
+        await this.aiSync.start('save');
     }
 
     /**
@@ -446,17 +1395,39 @@ class AdminManager {
 
         if (confirm('Are you sure you want to discard all unsaved changes?')) {
             this.changedItems.clear();
+            this.draftManager.allowUnload();
             location.reload();
         }
     }
 
     /**
-     * Logout user
+     * Logout user (reason is shown on the login screen, e.g. after an idle timeout)
      */
-    logout() {
+    async logout(reason = '') {
+        const pending = this.changedItems.size;
+        if (!reason && pending > 0 && !confirm(`You have ${pending} unsaved change${pending === 1 ? '' : 's'}. They will be kept as a draft on this computer for your next login. Log out anyway?`)) {
+            return;
+        }
+
+        this.sessionManager.stop();
+        this.draftManager.allowUnload();
+
+        // Revoke the token server-side so it can't be reused on a shared PC
+        try {
+            await apiCall(PENUEL_CONFIG.ADMIN_LOGOUT_ENDPOINT, { method: 'POST', timeout: 3000 });
+        } catch (error) {
+            console.warn('Logout request failed:', error.message);
+        }
+
         localStorage.removeItem('penuel_admin_token');
         localStorage.removeItem('penuel_admin_user');
-        window.location.href = 'index.html';
+
+        if (reason) {
+            sessionStorage.setItem('penuel_admin_logout_reason', reason);
+            window.location.href = 'admin.html';
+        } else {
+            window.location.href = 'index.html';
+        }
     }
 
     /**
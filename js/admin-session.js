@@ -0,0 +1,262 @@
+/**
+ * Penuel Stopover - Admin Session Manager
+ * ============================================
+ * Keeps the admin token alive while someone is working, warns then logs
+ * out an idle dashboard (shared counter PC), and re-authenticates in place
+ * when the backend rejects an expired token so pending edits survive.
+ */
+
+const IDLE_TIMEOUT_MS = 15 * 60 * 1000;     // log out after 15 minutes without input
+const IDLE_WARNING_MS = 60 * 1000;          // warn this long before logging out
+const REFRESH_MARGIN_MS = 2 * 60 * 1000;    // refresh the token this long before it expires
+const ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart'];
+
+class AdminSessionManager {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.warningModalEl = document.getElementById('idle-warning-modal');
+        this.reauthModalEl = document.getElementById('reauth-modal');
+        this.expiresAt = null;
+        this.lastActivity = Date.now();
+        this.timer = null;
+        this.warningShown = false;
+        this.refreshing = false;
+        this.reauthPromise = null;
+        this.reauthChallenge = null;
+    }
+
+    /**
+     * Begin tracking a session that expires at the given ISO timestamp
+     */
+    start(expiresAt) {
+        this.setExpiry(expiresAt);
+        this.lastActivity = Date.now();
+
+        if (this.timer) return;
+
+        ACTIVITY_EVENTS.forEach(eventName => {
+            document.addEventListener(eventName, () => this.recordActivity(), { passive: true });
+        });
+
+        this.warningModalEl?.querySelector('#idle-stay-btn')?.addEventListener('click', () => {
+            this.hideWarning();
+            this.lastActivity = Date.now();
+        });
+        this.warningModalEl?.querySelector('#idle-logout-btn')?.addEventListener('click', () => this.admin.logout());
+
+        this.reauthModalEl?.querySelector('#reauth-form')?.addEventListener('submit', (e) => this.submitReauth(e));
+        this.reauthModalEl?.addEventListener('hidden.bs.modal', () => this.finishReauth(false));
+
+        this.timer = setInterval(() => this.tick(), 1000);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    setExpiry(expiresAt) {
+        const time = expiresAt ? new Date(expiresAt).getTime() : NaN;
+        this.expiresAt = Number.isFinite(time) ? time : null;
+    }
+
+    /**
+     * Any input counts as activity, except while the idle warning is up
+     * (then only "Stay signed in" keeps the session)
+     */
+    recordActivity() {
+        if (!this.warningShown) {
+            this.lastActivity = Date.now();
+        }
+    }
+
+    /**
+     * Once a second: idle warning/logout and token refresh
+     */
+    tick() {
+        const now = Date.now();
+        const idleFor = now - this.lastActivity;
+
+        if (idleFor >= IDLE_TIMEOUT_MS) {
+            this.stop();
+            this.admin.logout('You were signed out after 15 minutes of inactivity.');
+            return;
+        }
+
+        if (idleFor >= IDLE_TIMEOUT_MS - IDLE_WARNING_MS) {
+            this.showWarning(Math.ceil((IDLE_TIMEOUT_MS - idleFor) / 1000));
+            return;
+        }
+
+        // Only keep the token alive for someone who is actually working
+        if (this.expiresAt && this.expiresAt - now <= REFRESH_MARGIN_MS && this.expiresAt > now) {
+            this.refresh();
+        }
+    }
+
+    // ========================================
+    // TOKEN REFRESH
+    // ========================================
+
+    /**
+     * Swap the token for a fresh one; failures are left to the 401 handling
+     */
+    async refresh() {
+        if (this.refreshing) return;
+        this.refreshing = true;
+
+        try {
+            const response = await apiCall(PENUEL_CONFIG.ADMIN_REFRESH_ENDPOINT, { method: 'POST' });
+
+            if (!response.success || !response.token) {
+                throw new Error(response.message || 'Token refresh failed');
+            }
+
+            this.storeToken(response.token, response.expires_at);
+            console.log('🔄 Admin session refreshed');
+
+        } catch (error) {
+            console.warn('Session refresh failed:', error.message);
+            // Don't hammer the backend; the next save will prompt for the password
+            this.expiresAt = null;
+
+        } finally {
+            this.refreshing = false;
+        }
+    }
+
+    storeToken(token, expiresAt) {
+        localStorage.setItem('penuel_admin_token', token);
+        this.admin.adminToken = token;
+        this.setExpiry(expiresAt);
+    }
+
+    // ========================================
+    // IDLE WARNING
+    // ========================================
+
+    showWarning(secondsLeft) {
+        const countdown = this.warningModalEl?.querySelector('#idle-countdown');
+        if (countdown) countdown.textContent = secondsLeft;
+
+        if (this.warningShown) return;
+        this.warningShown = true;
+
+        if (this.warningModalEl) {
+            bootstrap.Modal.getOrCreateInstance(this.warningModalEl, { backdrop: 'static', keyboard: false }).show();
+        }
+    }
+
+    hideWarning() {
+        this.warningShown = false;
+
+        if (this.warningModalEl) {
+            bootstrap.Modal.getOrCreateInstance(this.warningModalEl).hide();
+        }
+    }
+
+    // ========================================
+    // RE-AUTHENTICATION
+    // ========================================
+
+    /**
+     * Ask for the password again without leaving the dashboard
+     * Resolves true once a new token is stored, false if cancelled
+     */
+    reauthenticate() {
+        if (this.reauthPromise) return this.reauthPromise;
+
+        this.reauthPromise = new Promise(resolve => {
+            this.resolveReauth = resolve;
+        });
+
+        const username = localStorage.getItem('penuel_admin_user') || '';
+        this.reauthModalEl.querySelector('#reauth-username').value = username;
+        this.reauthModalEl.querySelector('#reauth-password').value = '';
+        this.reauthModalEl.querySelector('#reauth-error').classList.add('d-none');
+        this.showReauthCodeStep(null);
+
+        bootstrap.Modal.getOrCreateInstance(this.reauthModalEl, { backdrop: 'static' }).show();
+
+        return this.reauthPromise;
+    }
+
+    async submitReauth(e) {
+        e.preventDefault();
+
+        const username = this.reauthModalEl.querySelector('#reauth-username').value;
+        const password = this.reauthModalEl.querySelector('#reauth-password').value.trim();
+        const code = this.reauthModalEl.querySelector('#reauth-code').value.trim();
+        const errorEl = this.reauthModalEl.querySelector('#reauth-error');
+        const submitBtn = this.reauthModalEl.querySelector('button[type="submit"]');
+
+        if (this.reauthChallenge ? !code : !password) return;
+
+        submitBtn.disabled = true;
+
+        try {
+            const response = this.reauthChallenge
+                ? await this.admin.twoFactor.verify(this.reauthChallenge, code)
+                : await apiCall(PENUEL_CONFIG.ADMIN_AUTH_ENDPOINT, {
+                    method: 'POST',
+                    body: {
+                        username: username,
+                        password: password,
+                        timestamp: new Date().toISOString()
+                    }
+                });
+
+            // Two-factor login: ask for the code in the same dialog
+            if (response.success && response.two_factor_required) {
+                this.showReauthCodeStep(response.challenge);
+                errorEl.classList.add('d-none');
+                return;
+            }
+
+            if (!response.success || !response.token) {
+                throw new Error(response.message || 'Authentication failed');
+            }
+
+            // Same user, so the role (and therefore what is pending) stays valid
+            this.storeToken(response.token, response.expires_at);
+            this.lastActivity = Date.now();
+            this.finishReauth(true);
+            bootstrap.Modal.getOrCreateInstance(this.reauthModalEl).hide();
+
+        } catch (error) {
+            // Expired challenge or lockout: start again from the password
+            if (error.data?.challenge_expired || error.status === 429) this.showReauthCodeStep(null);
+
+            const lockedUntil = error.status === 429 && error.data?.locked_until;
+            errorEl.textContent = lockedUntil
+                ? `Too many failed attempts. Try again after ${new Date(lockedUntil).toLocaleTimeString('en-KE', { hour: '2-digit', minute: '2-digit' })}.`
+                : this.admin.twoFactor.handleLoginError(error);
+            errorEl.classList.remove('d-none');
+
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Switch the dialog between the password and the code (null: back to the password)
+     */
+    showReauthCodeStep(challenge) {
+        this.reauthChallenge = challenge;
+
+        const codeInput = this.reauthModalEl.querySelector('#reauth-code');
+        codeInput.value = '';
+        this.reauthModalEl.querySelector('#reauth-code-group').classList.toggle('d-none', !challenge);
+        this.reauthModalEl.querySelector('#reauth-password').readOnly = Boolean(challenge);
+
+        if (challenge) codeInput.focus();
+    }
+
+    finishReauth(success) {
+        if (!this.reauthPromise) return;
+
+        this.resolveReauth(success);
+        this.reauthPromise = null;
+        this.resolveReauth = null;
+    }
+}
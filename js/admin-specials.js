@@ -0,0 +1,338 @@
+/**
+ * Penuel Stopover - Admin Daily Specials
+ * ============================================
+ * Specials tab: create, edit, pause and delete the offers shown on the
+ * home page. Each special links to one menu item, product or service and
+ * runs inside a date range, optionally on some weekdays and a daily window,
+ * all in Nairobi time.
+ * Specials save straight to the backend (not through Save All Changes).
+ */
+
+const SPECIAL_ITEM_GROUPS = {
+    restaurant: 'Restaurant',
+    supermarket: 'Supermarket',
+    service: 'Service Bay',
+    wash: 'Car Wash'
+};
+
+class SpecialsManager {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.listEl = document.getElementById('specials-list');
+        this.modalEl = document.getElementById('special-modal');
+        this.formEl = document.getElementById('special-form');
+        this.specials = [];
+        this.editingId = null;
+        this.loaded = false;
+    }
+
+    /**
+     * Load on first visit to the Specials tab; wire the form and list actions
+     */
+    init() {
+        document.getElementById('specials-tab')?.addEventListener('shown.bs.tab', () => {
+            if (!this.loaded) this.load();
+        });
+
+        document.getElementById('add-special-btn')?.addEventListener('click', () => this.openForm(null));
+        this.formEl?.addEventListener('submit', (e) => this.save(e));
+
+        this.listEl?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-special-action]');
+            if (!btn) return;
+
+            const special = this.specials.find(entry => entry.id === btn.dataset.specialId);
+            if (!special) return;
+
+            if (btn.dataset.specialAction === 'edit') this.openForm(special);
+            if (btn.dataset.specialAction === 'toggle') this.submit({ ...special, active: special.active === false });
+            if (btn.dataset.specialAction === 'delete') this.remove(special);
+        });
+
+        const daysEl = document.getElementById('special-days');
+        if (daysEl) {
+            daysEl.innerHTML = HOURS_DAYS.map(day => `
+                <div class="form-check form-check-inline">
+                    <input class="form-check-input special-day" type="checkbox" id="special-day-${day}" value="${day}">
+                    <label class="form-check-label" for="special-day-${day}">${day.slice(0, 3)}</label>
+                </div>
+            `).join('');
+        }
+    }
+
+    async load() {
+        if (!this.listEl || !this.admin.permissions.manageItems) return;
+
+        this.listEl.innerHTML = '<p class="text-muted"><span class="spinner-border spinner-border-sm me-2"></span>Loading specials...</p>';
+
+        try {
+            const response = await apiCall(PENUEL_CONFIG.ADMIN_SPECIALS_ENDPOINT);
+            this.specials = response.specials || [];
+            this.loaded = true;
+            this.render();
+
+        } catch (error) {
+            console.error('❌ Error loading specials:', error);
+            this.listEl.innerHTML = '<p class="text-danger">Failed to load specials.</p>';
+        }
+    }
+
+    // ========================================
+    // RENDERING
+    // ========================================
+
+    render() {
+        if (this.specials.length === 0) {
+            this.listEl.innerHTML = '<p class="text-muted">No specials yet. Add one to feature it on the home page.</p>';
+            return;
+        }
+
+        const now = new Date();
+        const sorted = [...this.specials].sort((a, b) => String(a.starts_at).localeCompare(String(b.starts_at)));
+
+        this.listEl.innerHTML = `
+            <div class="table-responsive">
+                <table class="table align-middle specials-table">
+                    <thead>
+                        <tr><th>Special</th><th>Item</th><th>Discount</th><th>Runs</th><th>Status</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${sorted.map(special => this.renderRow(special, now)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderRow(special, now) {
+        const status = this.statusFor(special, now);
+        const id = escapeHtml(special.id);
+
+        return `
+            <tr>
+                <td>
+                    <strong>${escapeHtml(special.name)}</strong>
+                    ${special.description ? `<div class="small text-muted">${escapeHtml(special.description)}</div>` : ''}
+                </td>
+                <td>${escapeHtml(this.itemLabel(special.item))}</td>
+                <td>${escapeHtml(special.discount)}%</td>
+                <td class="small">
+                    ${this.formatDate(special.starts_at)} – ${this.formatDate(special.ends_at)}
+                    <div class="text-muted">${escapeHtml(this.describeSchedule(special))}</div>
+                </td>
+                <td><span class="badge ${status.className}">${status.text}</span></td>
+                <td class="text-end text-nowrap">
+                    <button type="button" class="btn btn-link btn-sm p-0 me-2" data-special-action="edit" data-special-id="${id}" title="Edit">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button type="button" class="btn btn-link btn-sm p-0 me-2" data-special-action="toggle" data-special-id="${id}"
+                        title="${special.active === false ? 'Resume' : 'Pause'}">
+                        <i class="fas ${special.active === false ? 'fa-play' : 'fa-pause'}"></i>
+                    </button>
+                    <button type="button" class="btn btn-link btn-sm text-danger p-0" data-special-action="delete" data-special-id="${id}" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+
+    statusFor(special, now) {
+        if (special.active === false) return { text: 'Paused', className: 'bg-secondary' };
+        if (new Date(special.ends_at) <= now) return { text: 'Expired', className: 'bg-light text-muted' };
+        if (getSpecialEndTime(special, now)) return { text: 'Live now', className: 'bg-success' };
+        return { text: 'Scheduled', className: 'bg-info text-dark' };
+    }
+
+    describeSchedule(special) {
+        const days = special.days && special.days.length > 0 && special.days.length < 7
+            ? special.days.map(day => day.slice(0, 3)).join(', ')
+            : 'Every day';
+
+        return special.daily_from && special.daily_until
+            ? `${days} · ${special.daily_from}–${special.daily_until}`
+            : days;
+    }
+
+    itemLabel(item) {
+        if (!item) return '—';
+
+        const found = (this.admin.itemsByType[item.type] || []).find(entry => String(entry.id) === String(item.id));
+        const name = found ? found.name : `${item.id} (removed)`;
+        return `${name} · ${SPECIAL_ITEM_GROUPS[item.type] || item.type}`;
+    }
+
+    formatDate(timestamp) {
+        return new Date(timestamp).toLocaleString('en-KE', {
+            timeZone: 'Africa/Nairobi',
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    // ========================================
+    // FORM
+    // ========================================
+
+    openForm(special) {
+        this.editingId = special ? special.id : null;
+        this.modalEl.querySelector('#special-modal-title').lastChild.textContent = special ? 'Edit Special' : 'New Special';
+        this.modalEl.querySelector('#special-form-error').classList.add('d-none');
+
+        this.fillItemOptions(special ? special.item : null);
+
+        const start = special ? new Date(special.starts_at) : new Date();
+        const end = special ? new Date(special.ends_at) : new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+
+        this.field('special-name').value = special ? special.name : '';
+        this.field('special-discount').value = special ? special.discount : '';
+        this.field('special-description').value = special ? special.description || '' : '';
+        this.field('special-starts').value = toNairobiInput(start.toISOString());
+        this.field('special-ends').value = toNairobiInput(end.toISOString());
+        this.field('special-daily-from').value = special?.daily_from || '';
+        this.field('special-daily-until').value = special?.daily_until || '';
+        this.field('special-active').checked = special ? special.active !== false : true;
+
+        this.modalEl.querySelectorAll('.special-day').forEach(input => {
+            input.checked = Boolean(special && (special.days || []).includes(input.value));
+        });
+
+        bootstrap.Modal.getOrCreateInstance(this.modalEl).show();
+    }
+
+    /**
+     * Listed (not archived) items, grouped by type
+     */
+    fillItemOptions(selected) {
+        const select = this.field('special-item');
+
+        select.innerHTML = '<option value="">Choose an item...</option>' + Object.entries(SPECIAL_ITEM_GROUPS)
+            .filter(([type]) => this.admin.canAccessType(type))
+            .map(([type, label]) => {
+                const items = (this.admin.itemsByType[type] || []).filter(item => !item.archived);
+                if (items.length === 0) return '';
+
+                return `
+                    <optgroup label="${label}">
+                        ${items.map(item => {
+                            const value = `${type}:${item.id}`;
+                            const isSelected = selected && selected.type === type && String(selected.id) === String(item.id);
+                            return `<option value="${escapeHtml(value)}" ${isSelected ? 'selected' : ''}>${escapeHtml(item.name)} (KES ${formatPrice(item.price_kes)})</option>`;
+                        }).join('')}
+                    </optgroup>
+                `;
+            }).join('');
+    }
+
+    readForm() {
+        const [type, ...idParts] = this.field('special-item').value.split(':');
+        const starts = this.field('special-starts').value;
+        const ends = this.field('special-ends').value;
+
+        return {
+            id: this.editingId || undefined,
+            name: this.field('special-name').value.trim(),
+            description: this.field('special-description').value.trim(),
+            item: type ? { type, id: idParts.join(':') } : null,
+            discount: Number(this.field('special-discount').value),
+            starts_at: fromNairobiInput(starts) || '',
+            ends_at: fromNairobiInput(ends) || '',
+            days: [...this.modalEl.querySelectorAll('.special-day:checked')].map(input => input.value),
+            daily_from: this.field('special-daily-from').value || null,
+            daily_until: this.field('special-daily-until').value || null,
+            active: this.field('special-active').checked
+        };
+    }
+
+    async save(e) {
+        e.preventDefault();
+
+        const errorEl = this.modalEl.querySelector('#special-form-error');
+        const special = this.readForm();
+
+        if (!special.name || !special.item) {
+            errorEl.textContent = 'Give the special a name and choose the item it applies to.';
+            errorEl.classList.remove('d-none');
+            return;
+        }
+
+        const submitBtn = this.formEl.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            await this.submit(special);
+            bootstrap.Modal.getOrCreateInstance(this.modalEl).hide();
+
+        } catch (error) {
+            errorEl.textContent = error.message || 'Failed to save special';
+            errorEl.classList.remove('d-none');
+
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Create or update a special; re-authenticates once on an expired session
+     */
+    async submit(special, retried = false) {
+        try {
+            const response = await apiCall(PENUEL_CONFIG.ADMIN_SPECIALS_ENDPOINT, {
+                method: 'POST',
+                body: { special }
+            });
+
+            const index = this.specials.findIndex(entry => entry.id === response.special.id);
+            if (index === -1) {
+                this.specials.push(response.special);
+            } else {
+                this.specials[index] = response.special;
+            }
+
+            this.render();
+            showSuccess(`🏷️ Saved special "${response.special.name}"`);
+
+        } catch (error) {
+            if (!retried && error instanceof AuthError && error.status === 401
+                && await this.admin.sessionManager.reauthenticate()) {
+                return this.submit(special, true);
+            }
+
+            // Inside the form the message is shown inline; list actions need a toast
+            if (!this.modalEl.classList.contains('show')) {
+                showToast(error.message || 'Failed to save special', 'error');
+            }
+            throw error;
+        }
+    }
+
+    async remove(special) {
+        if (!confirm(`Delete the special "${special.name}"? It disappears from the home page immediately.`)) return;
+
+        try {
+            await apiCall(PENUEL_CONFIG.ADMIN_SPECIALS_DELETE_ENDPOINT, {
+                method: 'POST',
+                body: { id: special.id }
+            });
+
+            this.specials = this.specials.filter(entry => entry.id !== special.id);
+            this.render();
+            showToast('Special deleted', 'info');
+
+        } catch (error) {
+            console.error('❌ Error deleting special:', error);
+            showToast(error.message || 'Failed to delete special', 'error');
+        }
+    }
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    field(id) {
+        return this.modalEl.querySelector(`#${id}`);
+    }
+}
@@ -0,0 +1,389 @@
+/**
+ * Penuel Stopover - Admin Two-Factor Login
+ * ============================================
+ * Optional TOTP second factor: the code step on the login screen (and in
+ * the session-expired prompt), the countdown shown while repeated failed
+ * attempts have locked the account, and enrollment from the dashboard's
+ * Security button (QR code, first code, one-time backup codes).
+ */
+
+const TWO_FACTOR_QR_SIZE = 180;
+
+// Warn about remaining attempts once this few are left
+const TWO_FACTOR_ATTEMPTS_WARNING = 2;
+
+class TwoFactorManager {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.passwordForm = document.getElementById('auth-form');
+        this.codeForm = document.getElementById('auth-2fa-form');
+        this.lockoutEl = document.getElementById('auth-lockout');
+        this.buttonEl = document.getElementById('two-factor-btn');
+        this.modalEl = document.getElementById('two-factor-modal');
+        this.bodyEl = document.getElementById('two-factor-body');
+        this.challenge = null;
+        this.lockTimer = null;
+        this.status = null;
+        this.backupCodes = [];
+    }
+
+    /**
+     * Login screen: the code step and its way back to the password
+     */
+    initLogin() {
+        this.codeForm?.addEventListener('submit', (e) => this.submitLoginCode(e));
+        document.getElementById('auth-2fa-back')?.addEventListener('click', () => this.showPasswordStep());
+    }
+
+    /**
+     * Dashboard: Security button and enrollment modal
+     */
+    init() {
+        this.buttonEl?.addEventListener('click', () => this.open());
+        this.bodyEl?.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-two-factor-action]')?.dataset.twoFactorAction;
+            if (action === 'setup') this.setup();
+            if (action === 'enable') this.enable();
+            if (action === 'backup-codes') this.regenerateBackupCodes();
+            if (action === 'disable') this.disable();
+            if (action === 'copy-codes') this.copyBackupCodes();
+            if (action === 'done') this.open();
+        });
+
+        this.loadStatus();
+    }
+
+    // ========================================
+    // LOGIN
+    // ========================================
+
+    /**
+     * Password accepted, now ask for the code
+     */
+    showCodeStep(username, response) {
+        this.challenge = { username, token: response.challenge };
+
+        this.passwordForm.classList.add('d-none');
+        this.codeForm.classList.remove('d-none');
+        this.codeForm.querySelector('#auth-2fa-error').classList.add('d-none');
+
+        const input = this.codeForm.querySelector('#auth-2fa-code');
+        input.value = '';
+        input.focus();
+    }
+
+    showPasswordStep(message) {
+        this.challenge = null;
+
+        this.codeForm.classList.add('d-none');
+        this.passwordForm.classList.remove('d-none');
+        this.passwordForm.querySelector('button[type="submit"]').disabled = Boolean(this.lockTimer);
+        document.getElementById('auth-password').value = '';
+
+        if (message) this.admin.showAuthError(message);
+    }
+
+    async submitLoginCode(e) {
+        e.preventDefault();
+
+        const code = this.codeForm.querySelector('#auth-2fa-code').value.trim();
+        const errorEl = this.codeForm.querySelector('#auth-2fa-error');
+        const submitBtn = this.codeForm.querySelector('button[type="submit"]');
+        if (!code || !this.challenge) return;
+
+        submitBtn.disabled = true;
+
+        try {
+            const { username } = this.challenge;
+            const response = await this.verify(this.challenge.token, code);
+            this.challenge = null;
+
+            this.admin.completeLogin(username, response);
+
+        } catch (error) {
+            console.error('❌ Two-factor verification error:', error);
+
+            if (error.data?.challenge_expired || error.status === 429) {
+                this.showPasswordStep(error.data?.challenge_expired ? error.message : null);
+                this.handleLoginError(error);
+                return;
+            }
+
+            errorEl.textContent = this.handleLoginError(error);
+            errorEl.classList.remove('d-none');
+
+        } finally {
+            submitBtn.disabled = Boolean(this.lockTimer);
+        }
+    }
+
+    /**
+     * Second step of a login; a used backup code is worth a reminder
+     */
+    async verify(challenge, code) {
+        const response = await apiCall(PENUEL_CONFIG.ADMIN_2FA_VERIFY_ENDPOINT, {
+            method: 'POST',
+            body: { challenge, code }
+        });
+
+        if (!response.success || !response.token) {
+            throw new Error(response.message || 'Verification failed');
+        }
+
+        if (response.backup_code_used) {
+            showToast(`Backup code used - ${response.backup_codes_left} left. Make new ones under Security.`, 'warning');
+        }
+
+        return response;
+    }
+
+    /**
+     * Message for a failed password or code; starts the countdown when locked out
+     */
+    handleLoginError(error) {
+        if (error.status === 429 && error.data?.locked_until) {
+            this.startLockout(error.data.locked_until);
+            return error.message;
+        }
+
+        const left = error.data?.attempts_left;
+        if (left !== undefined && left <= TWO_FACTOR_ATTEMPTS_WARNING) {
+            return `${error.message}. ${left} attempt${left === 1 ? '' : 's'} left before login is locked for a few minutes.`;
+        }
+
+        return error.message || 'Invalid credentials. Please try again.';
+    }
+
+    /**
+     * Disable login and count down to `lockedUntil` on the login screen
+     */
+    startLockout(lockedUntil) {
+        const until = new Date(lockedUntil).getTime();
+        const buttons = [this.passwordForm, this.codeForm].map(form => form?.querySelector('button[type="submit"]'));
+
+        const update = () => {
+            const seconds = Math.ceil((until - Date.now()) / 1000);
+
+            if (seconds <= 0) {
+                clearInterval(this.lockTimer);
+                this.lockTimer = null;
+                this.lockoutEl.classList.add('d-none');
+                buttons.forEach(btn => { if (btn) btn.disabled = false; });
+                return;
+            }
+
+            const minutes = Math.floor(seconds / 60);
+            this.lockoutEl.innerHTML = `<i class="fas fa-lock me-2"></i>Too many failed attempts. Try again in <strong>${minutes}:${String(seconds % 60).padStart(2, '0')}</strong>.`;
+        };
+
+        clearInterval(this.lockTimer);
+        this.lockTimer = setInterval(update, 1000);
+        this.lockoutEl.classList.remove('d-none');
+        buttons.forEach(btn => { if (btn) btn.disabled = true; });
+        update();
+    }
+
+    // ========================================
+    // ENROLLMENT
+    // ========================================
+
+    async loadStatus() {
+        try {
+            this.status = await apiCall(PENUEL_CONFIG.ADMIN_2FA_ENDPOINT);
+        } catch (error) {
+            console.warn('Two-factor status unavailable:', error.message);
+            return;
+        }
+
+        this.renderButton();
+    }
+
+    renderButton() {
+        if (!this.buttonEl || !this.status) return;
+
+        this.buttonEl.innerHTML = this.status.enabled
+            ? '<i class="fas fa-shield-halved me-2"></i>2FA on'
+            : '<i class="fas fa-shield-halved me-2"></i>Set up 2FA';
+        this.buttonEl.title = this.status.enabled
+            ? `Two-factor login is on (${this.status.backup_codes_left} backup codes left)`
+            : 'Two-factor login is off';
+    }
+
+    async open() {
+        this.bodyEl.innerHTML = '<p class="text-muted"><span class="spinner-border spinner-border-sm me-2"></span>Loading...</p>';
+        bootstrap.Modal.getOrCreateInstance(this.modalEl).show();
+
+        await this.loadStatus();
+        if (!this.status) {
+            this.bodyEl.innerHTML = '<p class="text-danger">Failed to load your two-factor settings.</p>';
+            return;
+        }
+
+        if (this.status.enabled) {
+            this.renderEnabled();
+        } else {
+            this.renderDisabled();
+        }
+    }
+
+    renderDisabled() {
+        this.bodyEl.innerHTML = `
+            <p>Two-factor login is <strong>off</strong>. Anyone with your password can change prices.</p>
+            <p class="text-muted small">
+                With it on, signing in also needs a 6-digit code from an authenticator app on your phone
+                (Google Authenticator, Microsoft Authenticator, Authy, ...).
+            </p>
+            <button type="button" class="btn btn-success" data-two-factor-action="setup">
+                <i class="fas fa-qrcode me-2"></i>Set up two-factor login
+            </button>
+        `;
+    }
+
+    renderEnabled() {
+        const since = this.status.enrolled_at
+            ? ` since ${new Date(this.status.enrolled_at).toLocaleDateString('en-KE', { day: 'numeric', month: 'short', year: 'numeric' })}`
+            : '';
+        const left = this.status.backup_codes_left;
+
+        this.bodyEl.innerHTML = `
+            <p>Two-factor login is <strong>on</strong>${since}.</p>
+            <p class="small ${left <= TWO_FACTOR_ATTEMPTS_WARNING ? 'text-danger' : 'text-muted'}">${left} unused backup code${left === 1 ? '' : 's'} left.</p>
+            <label for="two-factor-manage-code" class="form-label">Current code to make changes</label>
+            <input type="text" class="form-control mb-3" id="two-factor-manage-code" inputmode="numeric" autocomplete="one-time-code" maxlength="12" placeholder="123456 or a backup code">
+            <div id="two-factor-error" class="alert alert-danger d-none" role="alert"></div>
+            <div class="d-flex gap-2 flex-wrap">
+                <button type="button" class="btn btn-outline-success" data-two-factor-action="backup-codes">
+                    <i class="fas fa-key me-2"></i>New backup codes
+                </button>
+                <button type="button" class="btn btn-outline-danger" data-two-factor-action="disable">
+                    <i class="fas fa-power-off me-2"></i>Turn off
+                </button>
+            </div>
+        `;
+    }
+
+    async setup() {
+        try {
+            const response = await apiCall(PENUEL_CONFIG.ADMIN_2FA_SETUP_ENDPOINT, { method: 'POST' });
+            this.renderSetup(response);
+        } catch (error) {
+            console.error('❌ Two-factor setup error:', error);
+            showToast(error.message || 'Failed to start two-factor setup', 'error');
+        }
+    }
+
+    /**
+     * QR code (with the key spelled out for manual entry) and the confirm step
+     */
+    renderSetup({ secret, otpauth_url: otpauthUrl }) {
+        this.bodyEl.innerHTML = `
+            <ol class="small ps-3">
+                <li>Open your authenticator app and scan this code.</li>
+                <li>Enter the 6-digit code the app shows to confirm.</li>
+            </ol>
+            <div class="two-factor-qr" id="two-factor-qr"></div>
+            <p class="small text-muted text-center mb-1">Can't scan? Enter this key:</p>
+            <p class="two-factor-secret text-center"><code>${escapeHtml(secret.match(/.{1,4}/g).join(' '))}</code></p>
+            <label for="two-factor-enable-code" class="form-label">Code from the app</label>
+            <input type="text" class="form-control mb-3" id="two-factor-enable-code" inputmode="numeric" autocomplete="one-time-code" maxlength="6" placeholder="123456">
+            <div id="two-factor-error" class="alert alert-danger d-none" role="alert"></div>
+            <button type="button" class="btn btn-success w-100" data-two-factor-action="enable">
+                <i class="fas fa-shield-halved me-2"></i>Turn on two-factor login
+            </button>
+        `;
+
+        const qrEl = this.bodyEl.querySelector('#two-factor-qr');
+        if (typeof QRCode !== 'undefined') {
+            new QRCode(qrEl, { text: otpauthUrl, width: TWO_FACTOR_QR_SIZE, height: TWO_FACTOR_QR_SIZE, correctLevel: QRCode.CorrectLevel.M });
+        } else {
+            qrEl.innerHTML = '<p class="small text-muted">The QR code could not be loaded - enter the key below instead.</p>';
+        }
+    }
+
+    async enable() {
+        const code = this.bodyEl.querySelector('#two-factor-enable-code').value.trim();
+        if (!code) return;
+
+        try {
+            const response = await apiCall(PENUEL_CONFIG.ADMIN_2FA_ENABLE_ENDPOINT, { method: 'POST', body: { code } });
+            this.renderBackupCodes(response.backup_codes, 'Two-factor login is now on.');
+            this.loadStatus();
+            console.log('🔐 Two-factor login enabled');
+        } catch (error) {
+            this.showError(error.message || 'Failed to turn on two-factor login');
+        }
+    }
+
+    async regenerateBackupCodes() {
+        const code = this.bodyEl.querySelector('#two-factor-manage-code').value.trim();
+        if (!code) {
+            this.showError('Enter a current code first');
+            return;
+        }
+
+        try {
+            const response = await apiCall(PENUEL_CONFIG.ADMIN_2FA_BACKUP_CODES_ENDPOINT, { method: 'POST', body: { code } });
+            this.renderBackupCodes(response.backup_codes, 'Your old backup codes no longer work.');
+            this.loadStatus();
+        } catch (error) {
+            this.showError(this.handleLoginError(error));
+        }
+    }
+
+    async disable() {
+        const code = this.bodyEl.querySelector('#two-factor-manage-code').value.trim();
+        if (!code) {
+            this.showError('Enter a current code first');
+            return;
+        }
+        if (!confirm('Turn off two-factor login? Your password alone will be enough to sign in.')) return;
+
+        try {
+            await apiCall(PENUEL_CONFIG.ADMIN_2FA_DISABLE_ENDPOINT, { method: 'POST', body: { code } });
+            showToast('Two-factor login turned off', 'success');
+            this.open();
+        } catch (error) {
+            this.showError(this.handleLoginError(error));
+        }
+    }
+
+    /**
+     * Backup codes are only ever shown here, right after they are made
+     */
+    renderBackupCodes(codes, intro) {
+        this.backupCodes = codes;
+        this.bodyEl.innerHTML = `
+            <p><strong>${escapeHtml(intro)}</strong></p>
+            <p class="small text-muted">
+                Save these backup codes somewhere safe. Each one signs you in once if your phone is lost.
+                They will not be shown again.
+            </p>
+            <ul class="two-factor-backup-codes">
+                ${codes.map(code => `<li><code>${escapeHtml(code)}</code></li>`).join('')}
+            </ul>
+            <div class="d-flex gap-2">
+                <button type="button" class="btn btn-outline-secondary" data-two-factor-action="copy-codes">
+                    <i class="fas fa-copy me-2"></i>Copy
+                </button>
+                <button type="button" class="btn btn-success ms-auto" data-two-factor-action="done">I have saved them</button>
+            </div>
+        `;
+    }
+
+    async copyBackupCodes() {
+        try {
+            await navigator.clipboard.writeText(this.backupCodes.join('\n'));
+            showToast('Backup codes copied', 'success');
+        } catch (error) {
+            showToast('Copy failed - write the codes down instead', 'warning');
+        }
+    }
+
+    showError(message) {
+        const errorEl = this.bodyEl.querySelector('#two-factor-error');
+        if (!errorEl) return;
+
+        errorEl.textContent = message;
+        errorEl.classList.remove('d-none');
+    }
+}
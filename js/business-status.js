@@ -0,0 +1,118 @@
+/**
+ * Penuel Stopover - Business Status
+ * ============================================
+ * Fetches the site-wide status set in the admin dashboard
+ * (open / temporarily closed / maintenance, plus per-unit closures)
+ * and shows it as a banner at the top of every public page.
+ *
+ * Page managers read it through businessStatus.getUnitStatus(unit) and
+ * re-render on the 'penuel:status' document event once it has loaded.
+ */
+
+const BUSINESS_UNITS = {
+    restaurant: 'Restaurant',
+    supermarket: 'Supermarket',
+    service_bay: 'Service Bay',
+    car_wash: 'Car Wash'
+};
+
+const DEFAULT_STATUS = { mode: 'open', message: '', units: {} };
+
+class BusinessStatusManager {
+    constructor() {
+        this.status = { ...DEFAULT_STATUS };
+        this.loaded = false;
+    }
+
+    /**
+     * Load the status and render the banner
+     * A failed request leaves the site in its normal (open) state
+     */
+    async init() {
+        try {
+            const response = await apiCall(PENUEL_CONFIG.STATUS_ENDPOINT);
+            this.status = { ...DEFAULT_STATUS, ...(response.status || {}) };
+            this.loaded = true;
+
+            console.log('✅ Business status:', this.status.mode);
+
+            this.renderBanner();
+            document.dispatchEvent(new CustomEvent('penuel:status', { detail: this.status }));
+
+        } catch (error) {
+            console.error('❌ Error fetching business status:', error.message);
+        }
+    }
+
+    /**
+     * Effective status of one unit: { open, label, reason }
+     * A site-wide closure or maintenance overrides every unit
+     */
+    getUnitStatus(unit) {
+        const { mode, message, units } = this.status;
+
+        if (mode === 'closed') {
+            return { open: false, label: 'Temporarily Closed', reason: message };
+        }
+
+        if (mode === 'maintenance') {
+            return { open: false, label: 'Under Maintenance', reason: message };
+        }
+
+        const closure = (units || {})[unit];
+        if (closure && closure.closed) {
+            return { open: false, label: 'Closed', reason: closure.reason || '' };
+        }
+
+        return { open: true, label: 'Open', reason: '' };
+    }
+
+    /**
+     * Units closed on their own while the site is open
+     */
+    getUnitClosures() {
+        return Object.entries(this.status.units || {})
+            .filter(([unit, closure]) => BUSINESS_UNITS[unit] && closure && closure.closed)
+            .map(([unit, closure]) => ({ unit, label: BUSINESS_UNITS[unit], reason: closure.reason || '' }));
+    }
+
+    renderBanner() {
+        document.getElementById('site-status-banner')?.remove();
+
+        const { mode, message } = this.status;
+        const closures = this.getUnitClosures();
+        let html = '';
+        let alertClass = 'alert-warning';
+
+        if (mode === 'closed') {
+            alertClass = 'alert-danger';
+            html = `<strong><i class="fas fa-door-closed me-2"></i>We are temporarily closed.</strong> ${escapeHtml(message)}`;
+        } else if (mode === 'maintenance') {
+            html = `<strong><i class="fas fa-tools me-2"></i>Maintenance in progress.</strong> ${escapeHtml(message)}`;
+        } else if (closures.length > 0) {
+            html = closures.map(({ label, reason }) =>
+                `<span class="d-inline-block mx-2"><strong>${escapeHtml(label)} closed</strong>${reason ? ` — ${escapeHtml(reason)}` : ''}</span>`
+            ).join('');
+        }
+
+        if (!html) return;
+
+        const banner = document.createElement('div');
+        banner.id = 'site-status-banner';
+        banner.className = `alert ${alertClass} text-center rounded-0 mb-0 py-2`;
+        banner.setAttribute('role', 'status');
+        banner.innerHTML = html;
+
+        document.body.prepend(banner);
+    }
+}
+
+// ========================================
+// INITIALIZE BUSINESS STATUS
+// ========================================
+
+const businessStatus = new BusinessStatusManager();
+
+document.addEventListener('DOMContentLoaded', () => {
+    businessStatus.init();
+});
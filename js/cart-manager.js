@@ -0,0 +1,572 @@
+/**
+ * Penuel Stopover - Click & Collect Cart
+ * ============================================
+ * Supermarket cart kept in localStorage, so it follows the traveler from
+ * page to page (and tab to tab). A floating button opens the cart drawer,
+ * where quantities are adjusted (never above the stock level or the
+ * per-product limit), a pickup time and phone number are chosen and the
+ * order is placed. The order reference shown on confirmation is what they
+ * quote at the counter.
+ *
+ * The retail page adds products through cartManager.add(product, quantity)
+ * and re-renders its cards on the 'penuel:cart' document event.
+ */
+
+const CART_STORAGE_KEY = 'penuel_cart';
+const CART_LAST_ORDER_KEY = 'penuel_last_order';
+const CART_STYLESHEET = 'css/cart.css';
+
+class CartManager {
+    constructor() {
+        this.items = this.load();
+        this.slots = null;
+        this.lastOrder = this.loadLastOrder();
+        this.confirmation = null;
+        this.submitting = false;
+        this.toggleEl = null;
+        this.drawerEl = null;
+        this.bodyEl = null;
+    }
+
+    init() {
+        this.loadStylesheet();
+        this.renderShell();
+
+        // Another tab changed the cart
+        window.addEventListener('storage', (e) => {
+            if (e.key !== CART_STORAGE_KEY) return;
+            this.items = this.load();
+            this.refresh();
+        });
+
+        document.addEventListener('penuel:status', () => this.refresh());
+
+        this.refresh();
+    }
+
+    loadStylesheet() {
+        if (document.querySelector(`link[href*="${CART_STYLESHEET}"]`)) return;
+
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = CART_STYLESHEET;
+        document.head.appendChild(link);
+    }
+
+    /**
+     * Floating cart button and the (Bootstrap offcanvas) drawer
+     */
+    renderShell() {
+        this.toggleEl = document.createElement('button');
+        this.toggleEl.type = 'button';
+        this.toggleEl.className = 'cart-toggle';
+        this.toggleEl.addEventListener('click', () => this.open());
+
+        this.drawerEl = document.createElement('div');
+        this.drawerEl.className = 'offcanvas offcanvas-end cart-drawer';
+        this.drawerEl.id = 'cart-drawer';
+        this.drawerEl.tabIndex = -1;
+        this.drawerEl.setAttribute('aria-labelledby', 'cart-drawer-title');
+        this.drawerEl.innerHTML = `
+            <div class="offcanvas-header">
+                <h5 class="offcanvas-title" id="cart-drawer-title"><i class="fas fa-basket-shopping text-success me-2"></i>Click &amp; Collect</h5>
+                <button type="button" class="btn-close" data-bs-dismiss="offcanvas" aria-label="Close"></button>
+            </div>
+            <div class="offcanvas-body" id="cart-drawer-body"></div>
+        `;
+        this.bodyEl = this.drawerEl.querySelector('#cart-drawer-body');
+
+        this.bodyEl.addEventListener('click', (e) => this.handleDrawerClick(e));
+        this.bodyEl.addEventListener('change', (e) => {
+            const line = e.target.closest('.cart-line');
+            if (line && e.target.classList.contains('cart-line-qty')) {
+                this.setQuantity(line.dataset.id, Number(e.target.value));
+            }
+        });
+        this.bodyEl.addEventListener('submit', (e) => this.submitOrder(e));
+
+        document.body.append(this.toggleEl, this.drawerEl);
+    }
+
+    // ========================================
+    // CART STATE
+    // ========================================
+
+    load() {
+        try {
+            const items = JSON.parse(localStorage.getItem(CART_STORAGE_KEY) || '[]');
+            return Array.isArray(items) ? items.filter(item => item && item.id && item.quantity > 0) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    loadLastOrder() {
+        try {
+            return JSON.parse(localStorage.getItem(CART_LAST_ORDER_KEY) || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    save() {
+        localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(this.items));
+        this.refresh();
+    }
+
+    /**
+     * Update the button and drawer, and tell the page the cart changed
+     */
+    refresh() {
+        this.renderToggle();
+        if (this.drawerEl?.classList.contains('show')) this.renderDrawer();
+
+        document.dispatchEvent(new CustomEvent('penuel:cart', { detail: { count: this.count() } }));
+    }
+
+    count() {
+        return this.items.reduce((sum, item) => sum + item.quantity, 0);
+    }
+
+    total() {
+        return this.items.reduce((sum, item) => sum + item.price_kes * item.quantity, 0);
+    }
+
+    quantityOf(id) {
+        return this.items.find(item => String(item.id) === String(id))?.quantity || 0;
+    }
+
+    /**
+     * Most of a product (or cart line) one order can take: its stock, up to the per-product limit
+     */
+    maxQuantity(item) {
+        return Math.min(Math.max(0, Number(item.stock_level) || 0), PENUEL_CONFIG.MAX_ORDER_QUANTITY);
+    }
+
+    /**
+     * How many more of a product fit in the cart (its limit minus what is already in)
+     */
+    remainingFor(product) {
+        return Math.max(0, this.maxQuantity(product) - this.quantityOf(product.id));
+    }
+
+    /**
+     * Why no more of an item can be added
+     */
+    limitMessage(item) {
+        return this.maxQuantity(item) < (Number(item.stock_level) || 0)
+            ? `At most ${PENUEL_CONFIG.MAX_ORDER_QUANTITY} ${item.name} per order`
+            : `Only ${this.maxQuantity(item)} ${item.name} available`;
+    }
+
+    /**
+     * Whether orders can be placed at all right now: { open, reason }
+     */
+    orderingStatus() {
+        const unit = typeof businessStatus !== 'undefined' ? businessStatus.getUnitStatus('supermarket') : null;
+        if (unit && !unit.open) {
+            return { open: false, reason: unit.reason || `The supermarket is ${unit.label.toLowerCase()}.` };
+        }
+        if (this.slots && !this.slots.accepting) {
+            return { open: false, reason: this.slots.reason };
+        }
+        return { open: true, reason: '' };
+    }
+
+    canOrder(product) {
+        return product.available !== false && Number(product.stock_level) > 0 && this.orderingStatus().open;
+    }
+
+    /**
+     * Add a quantity of a product, capped by its stock level
+     */
+    add(product, quantity = 1) {
+        const wanted = Math.max(1, Math.floor(Number(quantity) || 1));
+        const added = Math.min(wanted, this.remainingFor(product));
+
+        if (!this.canOrder(product) || added <= 0) {
+            showToast(this.canOrder(product) ? this.limitMessage(product) : `No more ${product.name} available to order`, 'warning');
+            return 0;
+        }
+
+        const line = this.items.find(item => String(item.id) === String(product.id));
+        if (line) {
+            line.quantity += added;
+            Object.assign(line, this.lineDetails(product));
+        } else {
+            this.items.push({ id: product.id, quantity: added, ...this.lineDetails(product) });
+        }
+
+        this.save();
+        trackPageInteraction('cart_add', { itemId: product.id, itemName: product.name, quantity: added });
+
+        if (added < wanted) {
+            const limit = this.maxQuantity(product) < product.stock_level
+                ? `At most ${PENUEL_CONFIG.MAX_ORDER_QUANTITY} ${product.name} per order`
+                : `Only ${added} more ${product.name} available`;
+            showToast(`${limit} - added ${added}`, 'warning');
+        } else {
+            showToast(`Added ${added} × ${product.name} to your cart`, 'success');
+        }
+
+        return added;
+    }
+
+    /**
+     * Product details a cart line keeps for the other pages
+     */
+    lineDetails(product) {
+        return {
+            name: product.name,
+            price_kes: Number(product.price_kes) || 0,
+            stock_level: Number(product.stock_level) || 0,
+            image_url: product.image_url || ''
+        };
+    }
+
+    setQuantity(id, quantity) {
+        const line = this.items.find(item => String(item.id) === String(id));
+        if (!line) return;
+
+        const capped = Math.min(Math.max(0, Math.floor(Number(quantity) || 0)), this.maxQuantity(line));
+        if (capped < quantity) showToast(this.limitMessage(line), 'warning');
+
+        if (capped === 0) {
+            this.remove(id);
+            return;
+        }
+
+        line.quantity = capped;
+        this.save();
+    }
+
+    remove(id) {
+        this.items = this.items.filter(item => String(item.id) !== String(id));
+        this.save();
+    }
+
+    /**
+     * Bring cart lines in line with a freshly loaded catalog (prices in effect now,
+     * stock levels); products no longer available are dropped
+     */
+    syncCatalog(products) {
+        const notes = [];
+
+        this.items = this.items.filter(line => {
+            const product = products.find(entry => String(entry.id) === String(line.id));
+            if (!product || product.available === false || !(Number(product.stock_level) > 0)) {
+                notes.push(`${line.name} is no longer available`);
+                return false;
+            }
+
+            Object.assign(line, this.lineDetails(product));
+            if (line.quantity > this.maxQuantity(line)) {
+                line.quantity = this.maxQuantity(line);
+                notes.push(line.quantity < line.stock_level
+                    ? `at most ${line.quantity} ${line.name} per order`
+                    : `only ${line.stock_level} ${line.name} left`);
+            }
+            return true;
+        });
+
+        if (notes.length > 0) {
+            showToast(`Cart updated: ${notes.join(', ')}`, 'warning', 6000);
+        }
+
+        this.save();
+    }
+
+    // ========================================
+    // DRAWER
+    // ========================================
+
+    renderToggle() {
+        const count = this.count();
+
+        // Always offered on the shop page, elsewhere once something is in the cart
+        this.toggleEl.classList.toggle('d-none', count === 0 && getPageName() !== 'retail');
+        this.toggleEl.setAttribute('aria-label', `Open cart (${count} item${count === 1 ? '' : 's'})`);
+        this.toggleEl.innerHTML = `
+            <i class="fas fa-basket-shopping"></i>
+            ${count > 0 ? `<span class="cart-count">${count}</span>` : ''}
+        `;
+    }
+
+    open() {
+        this.renderDrawer();
+        bootstrap.Offcanvas.getOrCreateInstance(this.drawerEl).show();
+        this.loadSlots();
+    }
+
+    /**
+     * Pickup times are fetched each time the drawer opens (they move with the clock)
+     */
+    async loadSlots() {
+        try {
+            this.slots = await apiCall(PENUEL_CONFIG.ORDER_SLOTS_ENDPOINT);
+        } catch (error) {
+            console.error('❌ Error fetching pickup times:', error.message);
+            this.slots = null;
+        }
+
+        if (!this.confirmation) this.renderDrawer();
+    }
+
+    renderDrawer() {
+        if (this.confirmation) {
+            this.bodyEl.innerHTML = this.renderConfirmation(this.confirmation);
+            return;
+        }
+
+        const lastOrder = this.lastOrder && new Date(this.lastOrder.pickup_at) > new Date()
+            ? `<div class="alert alert-success small cart-last-order">
+                    Your order <strong>${escapeHtml(this.lastOrder.reference)}</strong> is due for pickup ${escapeHtml(this.formatSlot(this.lastOrder.pickup_at))}.
+               </div>`
+            : '';
+
+        if (this.items.length === 0) {
+            this.bodyEl.innerHTML = `
+                ${lastOrder}
+                <p class="text-muted">Your cart is empty.</p>
+                <a href="retail.html#supermarket-unit" class="btn btn-outline-success">Browse the supermarket</a>
+            `;
+            return;
+        }
+
+        const lines = this.items.map(item => `
+            <div class="cart-line" data-id="${escapeHtml(item.id)}">
+                <div class="cart-line-info">
+                    <strong>${escapeHtml(item.name)}</strong>
+                    <span class="text-muted small">KES ${formatPrice(item.price_kes)} each</span>
+                </div>
+                <div class="input-group input-group-sm cart-line-stepper">
+                    <button type="button" class="btn btn-outline-success" data-cart-action="decrease" aria-label="One less">−</button>
+                    <input type="number" class="form-control text-center cart-line-qty" value="${item.quantity}" min="0" max="${this.maxQuantity(item)}" aria-label="Quantity of ${escapeHtml(item.name)}">
+                    <button type="button" class="btn btn-outline-success" data-cart-action="increase" aria-label="One more" ${item.quantity >= this.maxQuantity(item) ? 'disabled' : ''}>+</button>
+                </div>
+                <span class="cart-line-total">KES ${formatPrice(item.price_kes * item.quantity)}</span>
+                <button type="button" class="btn btn-link text-danger p-0" data-cart-action="remove" aria-label="Remove ${escapeHtml(item.name)}">
+                    <i class="fas fa-trash-alt"></i>
+                </button>
+            </div>`).join('');
+
+        this.bodyEl.innerHTML = `
+            ${lastOrder}
+            <div class="cart-lines">${lines}</div>
+            <div class="cart-total">
+                <span>Total</span>
+                <strong>KES ${formatPrice(this.total())}</strong>
+            </div>
+            <p class="text-muted small">Pay at the supermarket counter when you collect.</p>
+            ${this.renderCheckoutForm()}
+        `;
+    }
+
+    renderCheckoutForm() {
+        const status = this.orderingStatus();
+        if (!status.open) {
+            return `<div class="alert alert-warning">${escapeHtml(status.reason)}</div>`;
+        }
+
+        let slotOptions = '<option value="">Loading pickup times...</option>';
+        if (this.slots) {
+            slotOptions = this.slots.slots.length === 0
+                ? '<option value="">No pickup times available</option>'
+                : '<option value="">Choose a time</option>' + this.slots.slots.map(slot => `
+                    <option value="${slot}">${escapeHtml(this.formatSlot(slot))}</option>`).join('');
+        }
+
+        return `
+            <form class="cart-checkout-form" novalidate>
+                <h6>Pickup details</h6>
+                <div class="mb-2">
+                    <label for="cart-name" class="form-label small">Name (optional)</label>
+                    <input type="text" class="form-control" id="cart-name" name="name" maxlength="80" autocomplete="name">
+                </div>
+                <div class="mb-2">
+                    <label for="cart-phone" class="form-label small">Phone number</label>
+                    <div class="input-group has-validation">
+                        <span class="input-group-text">${PENUEL_CONFIG.COUNTRY_CODE}</span>
+                        <input type="tel" class="form-control" id="cart-phone" name="phone" placeholder="712 345 678" autocomplete="tel-national" required>
+                        <div class="invalid-feedback" data-error-for="phone"></div>
+                    </div>
+                </div>
+                <div class="mb-3">
+                    <label for="cart-pickup" class="form-label small">Pickup time</label>
+                    <select class="form-select" id="cart-pickup" name="pickup_at" required>${slotOptions}</select>
+                    <div class="invalid-feedback" data-error-for="pickup_at"></div>
+                </div>
+                <div class="alert alert-danger d-none cart-error" role="alert"></div>
+                <button type="submit" class="btn btn-success w-100" ${this.submitting ? 'disabled' : ''}>
+                    <i class="fas fa-check me-2"></i>Place order · KES ${formatPrice(this.total())}
+                </button>
+            </form>
+        `;
+    }
+
+    renderConfirmation(order) {
+        return `
+            <div class="cart-confirmation text-center">
+                <i class="fas fa-circle-check text-success cart-confirmation-icon"></i>
+                <h5 class="mt-3">Order placed</h5>
+                <p class="text-muted mb-1">Your order reference</p>
+                <p class="cart-reference">${escapeHtml(order.reference)}</p>
+                <p>Pickup <strong>${escapeHtml(this.formatSlot(order.pickup_at))}</strong> at the supermarket counter.<br>
+                   Show this reference and pay when you collect.</p>
+            </div>
+            <ul class="list-unstyled small cart-confirmation-items">
+                ${order.items.map(item => `
+                    <li><span>${item.quantity} × ${escapeHtml(item.name)}</span><span>KES ${formatPrice(item.line_total_kes)}</span></li>`).join('')}
+                <li class="fw-bold"><span>Total</span><span>KES ${formatPrice(order.total_kes)}</span></li>
+            </ul>
+            <p class="small text-muted">We'll call ${escapeHtml(order.phone)} if anything changes.</p>
+            <button type="button" class="btn btn-outline-success w-100" data-cart-action="done">Done</button>
+        `;
+    }
+
+    /**
+     * Pickup time as the supermarket's clock shows it (Nairobi), wherever the traveler's phone is set
+     */
+    formatSlot(iso) {
+        const date = new Date(iso);
+        const dayOf = value => value.toLocaleDateString('en-CA', { timeZone: 'Africa/Nairobi' });
+        const time = date.toLocaleTimeString('en-KE', { timeZone: 'Africa/Nairobi', hour: '2-digit', minute: '2-digit' });
+
+        if (dayOf(date) === dayOf(new Date())) return `today ${time}`;
+        if (dayOf(date) === dayOf(new Date(Date.now() + 24 * 60 * 60 * 1000))) return `tomorrow ${time}`;
+        return `${date.toLocaleDateString('en-KE', { timeZone: 'Africa/Nairobi', weekday: 'short', day: 'numeric', month: 'short' })} ${time}`;
+    }
+
+    handleDrawerClick(e) {
+        const action = e.target.closest('[data-cart-action]')?.dataset.cartAction;
+        const id = e.target.closest('.cart-line')?.dataset.id;
+
+        if (action === 'increase') this.setQuantity(id, this.quantityOf(id) + 1);
+        if (action === 'decrease') this.setQuantity(id, this.quantityOf(id) - 1);
+        if (action === 'remove') this.remove(id);
+        if (action === 'done') {
+            this.confirmation = null;
+            this.renderDrawer();
+        }
+    }
+
+    // ========================================
+    // ORDER
+    // ========================================
+
+    async submitOrder(e) {
+        e.preventDefault();
+        if (this.submitting) return;
+
+        const form = e.target;
+        const phone = form.querySelector('#cart-phone').value.trim();
+        const pickupAt = form.querySelector('#cart-pickup').value;
+        const errors = {};
+
+        if (!validatePhone(phone)) errors.phone = 'Enter a valid 9-digit phone number';
+        if (!pickupAt) errors.pickup_at = 'Choose a pickup time';
+        if (this.showFieldErrors(form, errors)) return;
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const originalText = submitBtn.innerHTML;
+        this.submitting = true;
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Placing order...';
+
+        try {
+            const response = await apiCall(PENUEL_CONFIG.ORDER_ENDPOINT, {
+                method: 'POST',
+                body: {
+                    items: this.items.map(({ id, quantity }) => ({ id, quantity })),
+                    name: form.querySelector('#cart-name').value.trim(),
+                    phone: getPhoneWithCountryCode(phone),
+                    pickup_at: pickupAt,
+                    timestamp: new Date().toISOString()
+                }
+            });
+
+            const order = response.order;
+            console.log('✅ Order placed:', order.reference);
+            trackPageInteraction('order_placed', { reference: order.reference, total: order.total_kes, items: order.items.length });
+
+            this.lastOrder = { reference: order.reference, pickup_at: order.pickup_at };
+            localStorage.setItem(CART_LAST_ORDER_KEY, JSON.stringify(this.lastOrder));
+
+            this.confirmation = order;
+            this.items = [];
+            this.save();
+            this.renderDrawer();
+
+        } catch (error) {
+            console.error('❌ Order error:', error);
+            this.handleOrderError(form, error);
+
+        } finally {
+            this.submitting = false;
+            if (form.isConnected) {
+                submitBtn.disabled = false;
+                submitBtn.innerHTML = originalText;
+            }
+        }
+    }
+
+    /**
+     * Field errors from the backend, stock that ran out, or a general failure
+     */
+    handleOrderError(form, error) {
+        if (error instanceof ValidationError && this.showFieldErrors(form, error.errors) && !error.errors.items) {
+            return;
+        }
+
+        const shortages = error.data?.shortages;
+        if (error instanceof ConflictError && Array.isArray(shortages)) {
+            // Keep the cart orderable: cut each line to what is left
+            shortages.forEach(({ id, available_quantity: available }) => {
+                const line = this.items.find(item => String(item.id) === String(id));
+                if (line) line.stock_level = available;
+            });
+            this.items = this.items.filter(line => line.stock_level > 0);
+            this.items.forEach(line => { line.quantity = Math.min(line.quantity, this.maxQuantity(line)); });
+            this.save();
+            this.renderDrawer();
+
+            const names = shortages.map(({ name, available_quantity: available }) =>
+                available > 0 ? `only ${available} ${name || 'items'} left` : `${name || 'an item'} sold out`);
+            showToast(`Your cart was updated: ${names.join(', ')}. Check it and place the order again.`, 'warning', 8000);
+            return;
+        }
+
+        if (error.data?.ordering_closed) this.loadSlots();
+
+        const errorEl = form.querySelector('.cart-error');
+        errorEl.textContent = error.errors?.items || error.message || 'Failed to place the order. Please try again.';
+        errorEl.classList.remove('d-none');
+    }
+
+    /**
+     * Mark invalid fields; true when there was anything to show
+     */
+    showFieldErrors(form, errors) {
+        form.querySelectorAll('.is-invalid').forEach(el => el.classList.remove('is-invalid'));
+
+        Object.entries(errors || {}).forEach(([field, message]) => {
+            const feedback = form.querySelector(`[data-error-for="${field}"]`);
+            if (!feedback) return;
+
+            feedback.textContent = message;
+            form.querySelector(`[name="${field}"]`)?.classList.add('is-invalid');
+        });
+
+        return Object.keys(errors || {}).length > 0;
+    }
+}
+
+// ========================================
+// INITIALIZE CART
+// ========================================
+
+const cartManager = new CartManager();
+
+document.addEventListener('DOMContentLoaded', () => {
+    cartManager.init();
+});
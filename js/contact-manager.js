@@ -11,12 +11,14 @@ class ContactManager {
         this.inquiryForm = document.getElementById('inquiry-form');
         this.hoursData = null;
         this.currentStatus = {};
+        this.todayOccasion = {};
     }
 
     /**
      * Initialize contact manager
      */
     async init() {
+        trackPageInteraction('page_view');
         this.setupEventListeners();
         await this.fetchOperatingHours();
         this.checkCurrentStatus();
@@ -43,6 +45,9 @@ class ContactManager {
 
         // Update status periodically (every minute)
         setInterval(() => this.checkCurrentStatus(), 60000);
+
+        // Admin closures override the hours-based status
+        document.addEventListener('penuel:status', () => this.updateStatusDisplay());
     }
 
     /**
@@ -72,31 +77,62 @@ class ContactManager {
     }
 
     /**
-     * Check if business units are currently open/closed
+     * Check if business units are currently open/closed (by the Nairobi clock, not the visitor's)
      */
     checkCurrentStatus() {
         if (!this.hoursData) return;
 
         const now = new Date();
-        const currentTime = now.getHours() * 100 + now.getMinutes(); // Format: 1430 for 2:30 PM
-        const dayOfWeek = now.toLocaleDateString('en-US', { weekday: 'long' });
+        const nairobi = new Date(now.getTime() + NAIROBI_OFFSET_MS);
+        const currentTime = nairobi.getUTCHours() * 100 + nairobi.getUTCMinutes(); // Format: 1430 for 2:30 PM
 
         Object.entries(this.hoursData).forEach(([unit, hours]) => {
-            const dayHours = hours[dayOfWeek] || hours['default'];
-            
-            if (dayHours && dayHours.open && dayHours.close) {
-                const openTime = this.timeStringToNumber(dayHours.open);
-                const closeTime = this.timeStringToNumber(dayHours.close);
-                
-                const isOpen = currentTime >= openTime && currentTime < closeTime;
-                this.currentStatus[unit] = isOpen ? 'open' : 'closed';
-            }
+            const today = this.getHoursForDate(hours, now);
+            if (!today) return;
+
+            // Split shifts: open if now falls inside any of them
+            const isOpen = today.shifts.some(shift =>
+                currentTime >= this.timeStringToNumber(shift.open) && currentTime < this.timeStringToNumber(shift.close));
+
+            this.currentStatus[unit] = isOpen ? 'open' : 'closed';
+            this.todayOccasion[unit] = today.label;
         });
 
         // Update status display on page
         this.updateStatusDisplay();
     }
 
+    /**
+     * Hours that apply on a date: { closed, shifts, label }
+     * A holiday override for the date wins over the weekly schedule; the day is taken in Nairobi
+     */
+    getHoursForDate(hours, date) {
+        const isoDate = date.toLocaleDateString('en-CA', { timeZone: 'Africa/Nairobi' }); // YYYY-MM-DD
+        const override = (hours.overrides || []).find(entry => entry.date === isoDate);
+        const label = override ? override.label : '';
+
+        if (!override && hours.open_24h) {
+            return { closed: false, shifts: [{ open: '00:00', close: '24:00' }], label };
+        }
+
+        const dayHours = override || hours[date.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'Africa/Nairobi' })] || hours['default'];
+        if (!dayHours) return null;
+        if (dayHours.closed) return { closed: true, shifts: [], label };
+
+        return { closed: false, shifts: dayHours.shifts || [dayHours], label };
+    }
+
+    /**
+     * "06:00 - 14:00, 16:00 - 22:00" or "Closed"
+     */
+    formatDayHours(dayHours) {
+        if (dayHours.closed) return 'Closed';
+
+        return (dayHours.shifts || [dayHours])
+            .map(shift => `${shift.open} - ${shift.close}`)
+            .join(', ');
+    }
+
     /**
      * Convert time string (HH:MM) to number (HHMM)
      */
@@ -137,29 +173,49 @@ class ContactManager {
         const col = document.createElement('div');
         col.className = 'col-md-6 col-lg-3';
 
-        const status = this.currentStatus[unit] || 'open';
-        const statusClass = status === 'open' ? 'status-open' : 'status-closed';
-        const statusText = status === 'open' ? '✓ Open Now' : '✗ Closed';
+        const { statusClass, statusText } = this.getStatusDisplay(unit);
 
         let hoursHtml = '';
         const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-        
-        days.forEach(day => {
-            const dayHours = hours[day];
-            if (dayHours && dayHours.open && dayHours.close) {
+
+        if (hours.open_24h) {
+            hoursHtml += `
+                <div class="time-slot">
+                    <strong>Open 24 hours</strong>, every day
+                </div>
+            `;
+        } else {
+            days.forEach(day => {
+                const dayHours = hours[day];
+                if (dayHours && (dayHours.closed || dayHours.shifts || (dayHours.open && dayHours.close))) {
+                    hoursHtml += `
+                        <div class="time-slot">
+                            <strong>${day.substring(0, 3)}</strong> ${this.formatDayHours(dayHours)}
+                        </div>
+                    `;
+                }
+            });
+        }
+
+        // Upcoming public holidays with different hours
+        const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Africa/Nairobi' });
+        (hours.overrides || [])
+            .filter(override => override.date >= today)
+            .slice(0, 3)
+            .forEach(override => {
+                const date = new Date(`${override.date}T00:00:00`).toLocaleDateString('en-KE', { day: 'numeric', month: 'short' });
                 hoursHtml += `
                     <div class="time-slot">
-                        <strong>${day.substring(0, 3)}</strong> ${dayHours.open} - ${dayHours.close}
+                        <strong>${escapeHtml(override.label || 'Holiday')} (${date})</strong> ${this.formatDayHours(override)}
                     </div>
                 `;
-            }
-        });
+            });
 
         // Add default/emergency hours
         if (hours.emergency) {
             hoursHtml += `
                 <div class="time-slot">
-                    <strong>24/7 Emergency:</strong> ${hours.emergency}
+                    <strong>24/7 Emergency:</strong> ${escapeHtml(hours.emergency)}
                 </div>
             `;
         }
@@ -169,7 +225,7 @@ class ContactManager {
                 <div class="hours-icon">${config.icon}</div>
                 <h5>${config.label}</h5>
                 ${hoursHtml}
-                <div class="${statusClass}">${statusText}</div>
+                <div class="${statusClass}">${escapeHtml(statusText)}</div>
             </div>
         `;
 
@@ -183,21 +239,39 @@ class ContactManager {
         this.hoursContainer?.querySelectorAll('.hours-card').forEach((card, index) => {
             const units = ['restaurant', 'supermarket', 'service_bay', 'car_wash'];
             const unit = units[index];
-            const status = this.currentStatus[unit];
-            
-            if (status) {
-                const statusEl = card.querySelector('[class*="status-"]');
-                if (statusEl) {
-                    const statusClass = status === 'open' ? 'status-open' : 'status-closed';
-                    const statusText = status === 'open' ? '✓ Open Now' : '✗ Closed';
-                    
-                    statusEl.className = statusClass;
-                    statusEl.textContent = statusText;
-                }
+            const statusEl = card.querySelector('[class*="status-"]');
+
+            if (statusEl) {
+                const { statusClass, statusText } = this.getStatusDisplay(unit);
+
+                statusEl.className = statusClass;
+                statusEl.textContent = statusText;
             }
         });
     }
 
+    /**
+     * Status line for a unit card
+     * A closure set in the admin dashboard wins over the opening hours
+     */
+    getStatusDisplay(unit) {
+        const override = typeof businessStatus !== 'undefined' ? businessStatus.getUnitStatus(unit) : null;
+
+        if (override && !override.open) {
+            return {
+                statusClass: 'status-closed',
+                statusText: `✗ ${override.label}${override.reason ? ` — ${override.reason}` : ''}`
+            };
+        }
+
+        const status = this.currentStatus[unit] || 'open';
+        const occasion = this.todayOccasion[unit] ? ` · ${this.todayOccasion[unit]}` : '';
+        return {
+            statusClass: status === 'open' ? 'status-open' : 'status-closed',
+            statusText: (status === 'open' ? '✓ Open Now' : '✗ Closed') + occasion
+        };
+    }
+
     /**
      * Handle inquiry form submission
      */
@@ -230,10 +304,7 @@ class ContactManager {
             // Send to N8N
             const response = await apiCall(PENUEL_CONFIG.INQUIRY_ENDPOINT, {
                 method: 'POST',
-                body: formData,
-                headers: {
-                    'x-api-key': PENUEL_CONFIG.API_KEY
-                }
+                body: formData
             });
 
             if (!response.success) {
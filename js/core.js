@@ -0,0 +1,632 @@
+/**
+ * Penuel Stopover - Core Runtime
+ * ============================================
+ * Shared configuration, state and helpers used by every page manager
+ * Provides apiCall (JSON, timeouts, retries, typed errors, auth headers)
+ * Must be loaded before any *-manager.js / admin-script.js
+ */
+
+// ========================================
+// ENVIRONMENT CONFIGURATION
+// ========================================
+
+const PENUEL_ENVIRONMENTS = {
+    development: {
+        WEBHOOK_BASE: 'http://localhost:5678/webhook',
+        SITE_API_BASE: 'http://localhost:5678/api',
+        API_KEY: 'penuel-local-dev-key'
+    },
+    production: {
+        WEBHOOK_BASE: 'https://your-n8n-instance.com/webhook',
+        SITE_API_BASE: '/api',
+        API_KEY: 'YOUR_N8N_API_KEY'
+    }
+};
+
+/**
+ * Resolve the active environment
+ * window.PENUEL_ENV can force one (set it in an inline script before core.js)
+ */
+function detectEnvironment() {
+    if (window.PENUEL_ENV && PENUEL_ENVIRONMENTS[window.PENUEL_ENV]) {
+        return window.PENUEL_ENV;
+    }
+
+    const host = window.location.hostname;
+    const isLocal = window.location.protocol === 'file:' ||
+        host === 'localhost' || host === '127.0.0.1' || host === '';
+
+    return isLocal ? 'development' : 'production';
+}
+
+const PENUEL_CONFIG = (() => {
+    const env = detectEnvironment();
+    const { WEBHOOK_BASE, SITE_API_BASE, API_KEY } = PENUEL_ENVIRONMENTS[env];
+    const ADMIN_BASE = `${WEBHOOK_BASE}/penuel-admin`;
+
+    return Object.freeze({
+        ENV: env,
+        API_KEY: API_KEY,
+        ADMIN_BASE: ADMIN_BASE,
+
+        // Public endpoints
+        RETAIL_ENDPOINT: `${WEBHOOK_BASE}/penuel-retail`,
+        SERVICES_ENDPOINT: `${WEBHOOK_BASE}/penuel-services`,
+        HOURS_ENDPOINT: `${WEBHOOK_BASE}/penuel-hours`,
+        STATUS_ENDPOINT: `${WEBHOOK_BASE}/penuel-status`,
+        INQUIRY_ENDPOINT: `${WEBHOOK_BASE}/penuel-inquiry`,
+        ORDER_ENDPOINT: `${WEBHOOK_BASE}/penuel-order`,
+        ORDER_SLOTS_ENDPOINT: `${WEBHOOK_BASE}/penuel-order/slots`,
+        CHAT_ENDPOINT: `${WEBHOOK_BASE}/penuel-chat`,
+        SPECIALS_ENDPOINT: `${SITE_API_BASE}/daily-specials`,
+        ANALYTICS_ENDPOINT: `${SITE_API_BASE}/analytics`,
+
+        // Admin endpoints (x-admin-token is attached automatically)
+        ADMIN_AUTH_ENDPOINT: `${ADMIN_BASE}/auth`,
+        ADMIN_2FA_VERIFY_ENDPOINT: `${ADMIN_BASE}/auth/2fa`,
+        ADMIN_VERIFY_ENDPOINT: `${ADMIN_BASE}/verify`,
+        ADMIN_REFRESH_ENDPOINT: `${ADMIN_BASE}/refresh`,
+        ADMIN_LOGOUT_ENDPOINT: `${ADMIN_BASE}/logout`,
+        ADMIN_DATA_ENDPOINT: `${ADMIN_BASE}/data`,
+        ADMIN_SAVE_ENDPOINT: `${ADMIN_BASE}/save`,
+        AI_SYNC_ENDPOINT: `${ADMIN_BASE}/ai-sync`,
+        AI_SYNC_STATUS_ENDPOINT: `${ADMIN_BASE}/ai-sync/status`,
+        AI_SYNC_PREVIEW_ENDPOINT: `${ADMIN_BASE}/ai-sync/preview`,
+        ADMIN_HISTORY_ENDPOINT: `${ADMIN_BASE}/history`,
+        ADMIN_REVERT_ENDPOINT: `${ADMIN_BASE}/revert`,
+        ADMIN_SCHEDULE_CANCEL_ENDPOINT: `${ADMIN_BASE}/schedule/cancel`,
+        ADMIN_SPECIALS_ENDPOINT: `${ADMIN_BASE}/specials`,
+        ADMIN_SPECIALS_DELETE_ENDPOINT: `${ADMIN_BASE}/specials/delete`,
+        ADMIN_INQUIRIES_ENDPOINT: `${ADMIN_BASE}/inquiries`,
+        ADMIN_INQUIRY_READ_ENDPOINT: `${ADMIN_BASE}/inquiries/read`,
+        ADMIN_INQUIRY_UPDATE_ENDPOINT: `${ADMIN_BASE}/inquiries/update`,
+        ADMIN_INQUIRY_REPLY_ENDPOINT: `${ADMIN_BASE}/inquiries/reply`,
+        ADMIN_BOOKINGS_ENDPOINT: `${ADMIN_BASE}/bookings`,
+        ADMIN_ANALYTICS_ENDPOINT: `${ADMIN_BASE}/analytics`,
+        ADMIN_UPLOAD_ENDPOINT: `${ADMIN_BASE}/uploads`,
+        ADMIN_2FA_ENDPOINT: `${ADMIN_BASE}/2fa`,
+        ADMIN_2FA_SETUP_ENDPOINT: `${ADMIN_BASE}/2fa/setup`,
+        ADMIN_2FA_ENABLE_ENDPOINT: `${ADMIN_BASE}/2fa/enable`,
+        ADMIN_2FA_BACKUP_CODES_ENDPOINT: `${ADMIN_BASE}/2fa/backup-codes`,
+        ADMIN_2FA_DISABLE_ENDPOINT: `${ADMIN_BASE}/2fa/disable`,
+
+        // Request behaviour
+        REQUEST_TIMEOUT: 10000,
+        MAX_RETRIES: 2,
+        RETRY_BASE_DELAY: 500,
+
+        // Click & collect: most of one product per order (MAX_LINE_QUANTITY in mock-server/lib/orders.js)
+        MAX_ORDER_QUANTITY: 99,
+
+        // Locale
+        COUNTRY_CODE: '+254',
+        CURRENCY: 'KES'
+    });
+})();
+
+// ========================================
+// SHARED APPLICATION STATE
+// ========================================
+
+const APP_STATE = {
+    menu: [],
+    filteredMenu: [],
+    products: [],
+    filteredProducts: [],
+    services: [],
+    filteredServices: [],
+    washPackages: [],
+    filteredWashPackages: []
+};
+
+// ========================================
+// TYPED API ERRORS
+// ========================================
+
+/**
+ * Base class for every failure surfaced by apiCall
+ */
+class ApiError extends Error {
+    constructor(message, { status = 0, url = '', data = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.url = url;
+        this.data = data;
+    }
+}
+
+/**
+ * Request never reached the server (offline, DNS, CORS, timeout)
+ */
+class NetworkError extends ApiError {
+    constructor(message, { url = '', timedOut = false } = {}) {
+        super(message, { url });
+        this.name = 'NetworkError';
+        this.timedOut = timedOut;
+    }
+}
+
+/**
+ * Server answered with a non-2xx status
+ */
+class HttpError extends ApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'HttpError';
+    }
+}
+
+/**
+ * Missing, invalid or expired credentials (401/403)
+ */
+class AuthError extends HttpError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * Request payload rejected by the server (400/422)
+ * `errors` carries field-level messages when the backend provides them
+ */
+class ValidationError extends HttpError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'ValidationError';
+        this.errors = (details.data && details.data.errors) || {};
+    }
+}
+
+/**
+ * Save rejected because the data changed since it was loaded (409)
+ * `conflicts` lists the records that moved underneath the client
+ */
+class ConflictError extends HttpError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'ConflictError';
+        this.conflicts = (details.data && details.data.conflicts) || [];
+    }
+}
+
+// ========================================
+// API CLIENT
+// ========================================
+
+const ADMIN_TOKEN_KEY = 'penuel_admin_token';
+
+/**
+ * Call a backend endpoint and return the parsed JSON body
+ *
+ * Options:
+ *   method   - HTTP method (default GET)
+ *   body     - object to JSON-encode (strings/FormData are sent as-is)
+ *   headers  - extra headers, merged over the automatic ones
+ *   timeout  - ms before the request is aborted (default REQUEST_TIMEOUT)
+ *   retries  - retry attempts on network/5xx/429 errors
+ *              (default MAX_RETRIES for GET, 0 otherwise)
+ *
+ * x-api-key is always sent; x-admin-token is sent for ADMIN_BASE urls
+ * when a token is stored. Throws NetworkError, HttpError, AuthError, ValidationError or ConflictError.
+ */
+async function apiCall(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const retries = options.retries ?? (method === 'GET' ? PENUEL_CONFIG.MAX_RETRIES : 0);
+
+    let attempt = 0;
+
+    while (true) {
+        try {
+            return await performRequest(url, method, options);
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error)) {
+                throw error;
+            }
+
+            const delay = PENUEL_CONFIG.RETRY_BASE_DELAY * Math.pow(2, attempt) + Math.random() * 100;
+            attempt++;
+            console.warn(`⏳ Retrying ${method} ${url} in ${Math.round(delay)}ms (attempt ${attempt}/${retries})`);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Execute a single HTTP request
+ */
+async function performRequest(url, method, options) {
+    const headers = buildHeaders(url, options);
+    const controller = new AbortController();
+    const timeout = options.timeout || PENUEL_CONFIG.REQUEST_TIMEOUT;
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    let body = options.body;
+    if (body !== undefined && body !== null && typeof body === 'object' && !(body instanceof FormData)) {
+        body = JSON.stringify(body);
+        headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+    }
+
+    let response;
+    try {
+        response = await fetch(url, {
+            method: method,
+            headers: headers,
+            body: method === 'GET' ? undefined : body,
+            signal: controller.signal
+        });
+    } catch (error) {
+        const timedOut = error.name === 'AbortError';
+        throw new NetworkError(
+            timedOut ? `Request timed out after ${timeout}ms` : 'Network error. Please check your connection.',
+            { url, timedOut }
+        );
+    } finally {
+        clearTimeout(timer);
+    }
+
+    const data = await parseResponseBody(response);
+
+    if (!response.ok) {
+        throw createHttpError(response.status, url, data);
+    }
+
+    return data;
+}
+
+/**
+ * Build request headers with automatic credentials
+ */
+function buildHeaders(url, options) {
+    const headers = {
+        'Accept': 'application/json',
+        'x-api-key': PENUEL_CONFIG.API_KEY
+    };
+
+    const adminToken = localStorage.getItem(ADMIN_TOKEN_KEY);
+    if (adminToken && url.startsWith(PENUEL_CONFIG.ADMIN_BASE)) {
+        headers['x-admin-token'] = adminToken;
+    }
+
+    return Object.assign(headers, options.headers || {});
+}
+
+/**
+ * Parse JSON response body, tolerating empty or non-JSON replies
+ */
+async function parseResponseBody(response) {
+    const text = await response.text();
+    if (!text) return {};
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return { message: text };
+    }
+}
+
+/**
+ * Map HTTP status to the matching error class
+ */
+function createHttpError(status, url, data) {
+    const message = (data && (data.message || data.error)) || `HTTP ${status}`;
+    const details = { status, url, data };
+
+    if (status === 401 || status === 403) {
+        return new AuthError(message, details);
+    }
+
+    if (status === 400 || status === 422) {
+        return new ValidationError(message, details);
+    }
+
+    if (status === 409) {
+        return new ConflictError(message, details);
+    }
+
+    return new HttpError(message, details);
+}
+
+/**
+ * Only transient failures are worth retrying
+ */
+function isRetryable(error) {
+    if (error instanceof NetworkError) return true;
+    if (error instanceof AuthError || error instanceof ValidationError) return false;
+    return error instanceof HttpError && (error.status >= 500 || error.status === 429);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ========================================
+// UI FEEDBACK
+// ========================================
+
+const TOAST_CLASSES = {
+    success: 'alert-success',
+    error: 'alert-danger',
+    warning: 'alert-warning',
+    info: 'alert-info'
+};
+
+/**
+ * Show a transient notification in the top-right corner
+ */
+function showToast(message, type = 'info', duration = 4000) {
+    let container = document.getElementById('penuel-toast-container');
+
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'penuel-toast-container';
+        container.className = 'position-fixed top-0 end-0 p-3';
+        container.style.zIndex = '2000';
+        container.style.maxWidth = '360px';
+        document.body.appendChild(container);
+    }
+
+    const toast = document.createElement('div');
+    toast.className = `alert ${TOAST_CLASSES[type] || TOAST_CLASSES.info} shadow-sm mb-2`;
+    toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    toast.textContent = message;
+    container.appendChild(toast);
+
+    setTimeout(() => toast.remove(), duration);
+}
+
+/**
+ * Shorthand for a success toast
+ */
+function showSuccess(message) {
+    showToast(message, 'success');
+}
+
+// ========================================
+// ANALYTICS
+// ========================================
+
+// Events are batched and posted to ANALYTICS_ENDPOINT (admin Insights tab reads them)
+const analyticsQueue = [];
+
+/**
+ * Page name for analytics: file name without .html ('index' for the site root)
+ */
+function getPageName() {
+    const file = window.location.pathname.split('/').pop();
+    return file.replace(/\.html$/, '') || 'index';
+}
+
+function trackPageInteraction(action, metadata = {}) {
+    const event = {
+        type: 'page_interaction',
+        action: action,
+        timestamp: new Date().toISOString(),
+        page: getPageName(),
+        metadata: metadata
+    };
+
+    analyticsQueue.push(event);
+}
+
+function flushAnalytics() {
+    if (analyticsQueue.length === 0) return;
+
+    const eventsToSend = [...analyticsQueue];
+    analyticsQueue.length = 0;
+
+    fetch(PENUEL_CONFIG.ANALYTICS_ENDPOINT, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ events: eventsToSend }),
+        keepalive: true
+    }).catch(error => console.log('Analytics send failed:', error.message));
+}
+
+// Flush analytics periodically
+setInterval(flushAnalytics, 30000);
+
+// Flush on page unload
+window.addEventListener('beforeunload', flushAnalytics);
+
+// ========================================
+// FORMATTING & VALIDATION HELPERS
+// ========================================
+
+/**
+ * Escape a value for safe interpolation into HTML
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a KES amount with thousands separators (e.g. 1,250)
+ */
+function formatPrice(amount) {
+    const value = Number(amount) || 0;
+    return value.toLocaleString('en-KE', { maximumFractionDigits: 0 });
+}
+
+// Stock level below which an item shows as low stock and needs reordering
+const DEFAULT_REORDER_LEVEL = 5;
+
+function getReorderLevel(item) {
+    const level = Number(item.reorder_level);
+    return Number.isInteger(level) && level >= 0 ? level : DEFAULT_REORDER_LEVEL;
+}
+
+/**
+ * True when a stocked item (menu item or product) has dropped below its reorder level
+ */
+function needsReorder(item) {
+    return (Number(item.stock_level) || 0) < getReorderLevel(item);
+}
+
+// East Africa Time has no daylight saving, so the offset is fixed
+const NAIROBI_OFFSET = '+03:00';
+const NAIROBI_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+/**
+ * ISO time -> datetime-local value in Nairobi time
+ */
+function toNairobiInput(iso) {
+    if (!iso) return '';
+    return new Date(new Date(iso).getTime() + NAIROBI_OFFSET_MS).toISOString().slice(0, 16);
+}
+
+/**
+ * datetime-local value entered in Nairobi time -> ISO time (null when empty or invalid)
+ */
+function fromNairobiInput(value) {
+    if (!value) return null;
+    const date = new Date(`${value}:00${NAIROBI_OFFSET}`);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Start of the Nairobi day `date` falls on, plus `minutes`
+ */
+function nairobiDayAt(date, minutes = 0) {
+    const local = new Date(date.getTime() + NAIROBI_OFFSET_MS);
+    return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) + minutes * 60000 - NAIROBI_OFFSET_MS);
+}
+
+/**
+ * When a daily special stops running, or null if it isn't running at `now`
+ * Days of week and the daily window are in Nairobi time, wherever the visitor's clock is set
+ */
+function getSpecialEndTime(special, now = new Date()) {
+    const startsAt = new Date(special.starts_at);
+    const endsAt = new Date(special.ends_at);
+    const days = Array.isArray(special.days) ? special.days : [];
+    const runsOn = date => days.length === 0
+        || days.includes(date.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'Africa/Nairobi' }));
+
+    if (special.active === false || !(now >= startsAt && now < endsAt) || !runsOn(now)) {
+        return null;
+    }
+
+    let end;
+    if (special.daily_from && special.daily_until) {
+        const time = new Date(now.getTime() + NAIROBI_OFFSET_MS).toISOString().slice(11, 16);
+        if (time < special.daily_from || time >= special.daily_until) return null;
+
+        const [hours, minutes] = special.daily_until.split(':').map(Number);
+        end = nairobiDayAt(now, hours * 60 + minutes);
+    } else if (days.length > 0 && days.length < 7) {
+        // Runs until midnight after the last consecutive valid day
+        end = nairobiDayAt(now, 24 * 60);
+        while (runsOn(end) && end < endsAt) {
+            end = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+        }
+    } else {
+        end = endsAt;
+    }
+
+    return end < endsAt ? end : endsAt;
+}
+
+/**
+ * Item with the scheduled price/availability in effect at `now` applied
+ * Entry times are absolute (entered in Nairobi time on the dashboard); later starts win
+ */
+function getEffectiveItem(item, now = new Date()) {
+    const active = (item.schedule || [])
+        .filter(entry => new Date(entry.effective_from) <= now
+            && (!entry.effective_until || new Date(entry.effective_until) > now))
+        .sort((a, b) => a.effective_from.localeCompare(b.effective_from));
+
+    if (active.length === 0) return item;
+
+    const effective = { ...item };
+    active.forEach(entry => {
+        if (entry.price_kes !== undefined) effective.price_kes = entry.price_kes;
+        if (entry.available !== undefined) effective.available = entry.available;
+    });
+    return effective;
+}
+
+/**
+ * Next time after `now` a scheduled change starts or ends for any of the items, or null
+ */
+function getNextScheduleChange(items, now = new Date()) {
+    const times = items
+        .flatMap(item => (item.schedule || []).flatMap(entry => [entry.effective_from, entry.effective_until]))
+        .filter(Boolean)
+        .map(time => new Date(time))
+        .filter(time => time > now);
+
+    return times.length > 0 ? new Date(Math.min(...times)) : null;
+}
+
+/**
+ * Call onChange when the next scheduled change for the items starts or ends
+ * Returns the timer id; waits at most a day (setTimeout can't wait weeks)
+ */
+function watchScheduledChanges(items, onChange) {
+    const next = getNextScheduleChange(items);
+    if (!next) return null;
+
+    return setTimeout(onChange, Math.min(next - Date.now() + 1000, 24 * 60 * 60 * 1000));
+}
+
+/**
+ * Scroll to and highlight the card named in the URL hash (#item-menu-001)
+ * Cards are rendered after fetching, so pages call this once they are in
+ */
+function revealLinkedCard() {
+    const id = decodeURIComponent(window.location.hash.slice(1));
+    if (!id.startsWith('item-')) return;
+
+    const card = document.getElementById(id);
+    if (!card) return;
+
+    card.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+    card.classList.add('card-linked');
+    setTimeout(() => card.classList.remove('card-linked'), 3000);
+}
+
+/**
+ * Basic email shape check
+ */
+function validateEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(String(email || '').trim());
+}
+
+/**
+ * Kenyan mobile number: 9 local digits, with or without a leading zero or country code
+ */
+function validatePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    const countryDigits = PENUEL_CONFIG.COUNTRY_CODE.replace('+', '');
+    const local = digits.startsWith(countryDigits) ? digits.slice(countryDigits.length) : digits.replace(/^0/, '');
+
+    return /^[17]\d{8}$/.test(local);
+}
+
+/**
+ * Normalise a local number to international format (+2547XXXXXXXX)
+ */
+function getPhoneWithCountryCode(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    const countryDigits = PENUEL_CONFIG.COUNTRY_CODE.replace('+', '');
+
+    if (digits.startsWith(countryDigits)) {
+        return `+${digits}`;
+    }
+
+    return `${PENUEL_CONFIG.COUNTRY_CODE}${digits.replace(/^0/, '')}`;
+}
+
+console.log(`⚙️ Penuel core loaded (${PENUEL_CONFIG.ENV})`);
@@ -14,12 +14,15 @@ class RetailManager {
         this.activeMenuCategory = 'all';
         this.activeRetailCategory = 'all';
         this.debounceTimer = null;
+        this.catalog = { menu: [], products: [] };
+        this.scheduleTimer = null;
     }
 
     /**
      * Initialize retail manager
      */
     async init() {
+        trackPageInteraction('page_view');
         this.setupEventListeners();
         await this.fetchRetailData();
     }
@@ -38,6 +41,13 @@ class RetailManager {
             btn.addEventListener('click', (e) => this.handleRetailCategoryFilter(e));
         });
 
+        // Cart caps and "in your cart" notes follow the cart (and supermarket closures)
+        ['penuel:cart', 'penuel:status'].forEach(eventName => {
+            document.addEventListener(eventName, () => {
+                if (this.catalog.products.length > 0) this.renderRetailItems();
+            });
+        });
+
         // Back to top button
         window.addEventListener('scroll', () => this.handleBackToTop());
         document.querySelector('.back-to-top')?.addEventListener('click', (e) => {
@@ -62,16 +72,11 @@ class RetailManager {
                 throw new Error('Invalid response format from n8n');
             }
 
-            // Update APP_STATE with retail data
-            APP_STATE.menu = response.menu || [];
-            APP_STATE.filteredMenu = [...APP_STATE.menu];
-            APP_STATE.products = response.products || [];
-            APP_STATE.filteredProducts = [...APP_STATE.products];
+            this.catalog = { menu: response.menu || [], products: response.products || [] };
+            console.log(`✅ Fetched ${this.catalog.menu.length} menu items and ${this.catalog.products.length} products`);
 
-            console.log(`✅ Fetched ${APP_STATE.menu.length} menu items and ${APP_STATE.products.length} products`);
-
-            this.renderMenuItems();
-            this.renderRetailItems();
+            this.applyScheduledChanges();
+            revealLinkedCard();
 
         } catch (error) {
             console.error('❌ Error fetching retail data:', error.message);
@@ -81,6 +86,28 @@ class RetailManager {
         }
     }
 
+    /**
+     * Update APP_STATE with the prices and availability in effect now and re-render;
+     * runs again when the next scheduled change starts or ends
+     */
+    applyScheduledChanges() {
+        const now = new Date();
+        APP_STATE.menu = this.catalog.menu.map(item => getEffectiveItem(item, now));
+        APP_STATE.products = this.catalog.products.map(item => getEffectiveItem(item, now));
+
+        // Prices or stock may have changed since things were put in the cart
+        if (typeof cartManager !== 'undefined') cartManager.syncCatalog(APP_STATE.products);
+
+        this.applyMenuFilters();
+        this.applyRetailFilters();
+
+        clearTimeout(this.scheduleTimer);
+        this.scheduleTimer = watchScheduledChanges(
+            [...this.catalog.menu, ...this.catalog.products],
+            () => this.applyScheduledChanges()
+        );
+    }
+
     /**
      * Handle restaurant menu category filter
      */
@@ -183,13 +210,14 @@ class RetailManager {
     createMenuCard(item) {
         const col = document.createElement('div');
         col.className = 'col-lg-4 col-md-6';
+        if (item.id) col.id = `item-${item.id}`;
 
         const imageUrl = item.image_url || 'https://via.placeholder.com/400x300?text=Menu+Item';
         const price = item.price_kes || 0;
         const itemName = item.name || 'Unknown Item';
         const description = item.description || 'Fresh and delicious';
         const category = item.category || '';
-        const stockStatus = this.getStockStatus(item.available || true, item.stock_level || 0);
+        const stockStatus = this.getStockStatus(item.available !== false, item.stock_level || 0, getReorderLevel(item));
 
         col.innerHTML = `
             <div class="menu-card h-100">
@@ -230,13 +258,14 @@ class RetailManager {
     createRetailCard(product) {
         const col = document.createElement('div');
         col.className = 'col-lg-3 col-md-6 col-sm-6';
+        if (product.id) col.id = `item-${product.id}`;
 
         const imageUrl = product.image_url || 'https://via.placeholder.com/300x300?text=Product';
         const price = product.price_kes || 0;
         const productName = product.name || 'Unknown Product';
         const description = product.description || 'Essential supplies';
         const category = product.category || '';
-        const stockStatus = this.getStockStatus(product.available || true, product.stock_level || 0);
+        const stockStatus = this.getStockStatus(product.available !== false, product.stock_level || 0, getReorderLevel(product));
 
         col.innerHTML = `
             <div class="retail-card h-100">
@@ -261,6 +290,7 @@ class RetailManager {
                         ${stockStatus.text}
                     </span>
                 </div>
+                ${this.renderCartControls(product)}
             </div>
         `;
 
@@ -268,18 +298,71 @@ class RetailManager {
             this.selectProduct(product);
         });
 
+        col.querySelector('.card-cart')?.addEventListener('click', (e) => {
+            // Ordering is separate from selecting the product for the chat
+            e.stopPropagation();
+
+            const input = col.querySelector('.cart-qty-input');
+            const step = Number(e.target.closest('[data-qty-step]')?.dataset.qtyStep || 0);
+            if (step) {
+                input.value = Math.min(Math.max(Number(input.value) + step, 1), Number(input.max));
+            }
+
+            if (e.target.closest('.add-to-cart-btn')) {
+                cartManager.add(product, Number(input.value));
+            }
+        });
+
         return col;
     }
 
     /**
-     * Get stock status for display
+     * Quantity and "Add to cart" on a product card, capped by what is left to order
+     * (not shown where the cart isn't loaded, e.g. the admin card preview)
+     */
+    renderCartControls(product) {
+        if (typeof cartManager === 'undefined') return '';
+
+        const remaining = cartManager.remainingFor(product);
+        const inCart = cartManager.quantityOf(product.id);
+        const note = inCart ? `<span class="card-cart-note">${inCart} in your cart</span>` : '';
+
+        if (!cartManager.canOrder(product) || remaining === 0) {
+            const reason = !cartManager.orderingStatus().open ? 'Not taking orders'
+                : inCart >= PENUEL_CONFIG.MAX_ORDER_QUANTITY ? 'Order limit reached'
+                    : inCart ? 'All stock in your cart' : 'Out of stock';
+            return `
+                <div class="card-cart">
+                    <button type="button" class="btn btn-outline-secondary btn-sm w-100" disabled>${reason}</button>
+                    ${note}
+                </div>
+            `;
+        }
+
+        return `
+            <div class="card-cart">
+                <div class="input-group input-group-sm cart-qty">
+                    <button type="button" class="btn btn-outline-success" data-qty-step="-1" aria-label="Fewer">−</button>
+                    <input type="number" class="form-control text-center cart-qty-input" value="1" min="1" max="${remaining}" aria-label="Quantity of ${escapeHtml(product.name)}">
+                    <button type="button" class="btn btn-outline-success" data-qty-step="1" aria-label="More">+</button>
+                </div>
+                <button type="button" class="btn btn-success btn-sm add-to-cart-btn">
+                    <i class="fas fa-cart-plus me-1"></i>Add to cart
+                </button>
+                ${note}
+            </div>
+        `;
+    }
+
+    /**
+     * Get stock status for display; low stock uses the item's reorder level
      */
-    getStockStatus(available, stockLevel) {
+    getStockStatus(available, stockLevel, reorderLevel = DEFAULT_REORDER_LEVEL) {
         if (!available || stockLevel === 0) {
             return { text: 'Out of Stock', cssClass: 'out-of-stock' };
         }
 
-        if (stockLevel < 5) {
+        if (stockLevel < reorderLevel) {
             return { text: 'Low Stock', cssClass: 'low-stock' };
         }
 
@@ -294,6 +377,7 @@ class RetailManager {
 
         // Send to chat context for AI awareness
         this.updateChatContext('menu', item);
+        trackPageInteraction('item_selected', { itemType: 'menu', itemId: item.id, itemName: item.name });
 
         // Optional: Show toast confirmation
         showToast(`Selected: ${item.name} - KES ${formatPrice(item.price_kes)}`, 'info');
@@ -307,6 +391,7 @@ class RetailManager {
 
         // Send to chat context for AI awareness
         this.updateChatContext('product', product);
+        trackPageInteraction('item_selected', { itemType: 'product', itemId: product.id, itemName: product.name });
 
         // Optional: Show toast confirmation
         showToast(`Selected: ${product.name} - KES ${formatPrice(product.price_kes)}`, 'info');
@@ -147,7 +147,7 @@ function handleSendMessage() {
 }
 
 function sendChatMessage(message, container) {
-    const n8nEndpoint = 'https://your-n8n-instance.com/webhook/penuel-chat';
+    const n8nEndpoint = typeof PENUEL_CONFIG !== 'undefined' ? PENUEL_CONFIG.CHAT_ENDPOINT : 'https://your-n8n-instance.com/webhook/penuel-chat';
 
     const payload = {
         message: message,
@@ -230,19 +230,40 @@ function updateSendButton(isLoading) {
 // 4. DYNAMIC DATA BRIDGE - HERO OFFERS
 // ============================================
 
+// Public page and anchor for each admin item type (cards carry id="item-<id>")
+const SPECIAL_ITEM_PAGES = {
+    restaurant: 'retail.html',
+    supermarket: 'retail.html',
+    service: 'services.html',
+    wash: 'services.html'
+};
+
+const offersState = {
+    specials: [],
+    timer: null
+};
+
 function injectHeroOffers() {
     const heroOffers = document.getElementById('hero-offers');
     
     if (!heroOffers) return;
 
-    const offersEndpoint = '/api/daily-specials';
+    const offersEndpoint = typeof PENUEL_CONFIG !== 'undefined' ? PENUEL_CONFIG.SPECIALS_ENDPOINT : '/api/daily-specials';
 
     fetch(offersEndpoint, { signal: AbortSignal.timeout(5000) })
         .then(response => response.json())
         .then(data => {
             if (data.specials && Array.isArray(data.specials) && data.specials.length > 0) {
-                renderOffers(heroOffers, data.specials);
-                trackPageInteraction('offers_loaded', { count: data.specials.length });
+                offersState.specials = data.specials;
+                renderOffers(heroOffers);
+                trackPageInteraction('offers_loaded', {
+                    count: data.specials.length,
+                    specialIds: data.specials.map(special => special.id)
+                });
+
+                // Tick the countdowns; re-render when an offer ends or a new one starts
+                clearInterval(offersState.timer);
+                offersState.timer = setInterval(() => updateOfferCountdowns(heroOffers), 1000);
             }
         })
         .catch(error => {
@@ -250,17 +271,73 @@ function injectHeroOffers() {
         });
 }
 
-function renderOffers(container, specials) {
+/**
+ * Render the specials running right now (all values escaped)
+ */
+function renderOffers(container) {
+    const now = new Date();
+    const live = offersState.specials
+        .map(special => ({ special, endsAt: getSpecialEndTime(special, now) }))
+        .filter(({ endsAt }) => endsAt !== null);
+
+    container.dataset.liveIds = live.map(({ special }) => special.id).join(',');
+
+    if (live.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
     let html = '<div class="alert alert-info"><strong>🎉 Today\'s Specials:</strong><br>';
     
-    specials.forEach((special, index) => {
-        html += `<span class="badge bg-warning text-dark me-2 mb-2">${special.name}${special.discount ? ` - ${special.discount}% OFF` : ''}</span>`;
+    live.forEach(({ special, endsAt }) => {
+        const page = SPECIAL_ITEM_PAGES[special.item?.type];
+        const href = page ? `${page}#item-${encodeURIComponent(special.item.id)}` : '#';
+        const title = special.description || special.item?.name || '';
+
+        html += `
+            <a href="${escapeHtml(href)}" class="badge bg-warning text-dark text-decoration-none me-2 mb-2" title="${escapeHtml(title)}">
+                ${escapeHtml(special.name)}${special.discount ? ` - ${escapeHtml(special.discount)}% OFF` : ''}
+                <span class="fw-normal">· ends in <span class="offer-countdown" data-ends-at="${endsAt.getTime()}">${formatCountdown(endsAt - now)}</span></span>
+            </a>
+        `;
     });
     
     html += '</div>';
     container.innerHTML = html;
 }
 
+function updateOfferCountdowns(container) {
+    const now = new Date();
+    const liveIds = offersState.specials
+        .filter(special => getSpecialEndTime(special, now) !== null)
+        .map(special => special.id)
+        .join(',');
+
+    if (liveIds !== container.dataset.liveIds) {
+        renderOffers(container);
+        return;
+    }
+
+    container.querySelectorAll('.offer-countdown').forEach(el => {
+        el.textContent = formatCountdown(Number(el.dataset.endsAt) - now.getTime());
+    });
+}
+
+/**
+ * 2d 4h / 3h 12m / 12m 05s
+ */
+function formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
 // ============================================
 // 5. SCROLL ANIMATIONS
 // ============================================
@@ -293,7 +370,14 @@ function initScrollAnimations() {
 // 6. PAGE INTERACTION TRACKING
 // ============================================
 
-const analyticsQueue = [];
+// analyticsQueue, trackPageInteraction and flushAnalytics live in core.js
+
+/**
+ * Record the page view; button clicks are tracked in loadDynamicContent
+ */
+function trackPageInteractions() {
+    trackPageInteraction('page_view');
+}
 
 function trackChatInteraction(action, metadata = {}) {
     const event = {
@@ -312,41 +396,6 @@ function trackChatInteraction(action, metadata = {}) {
     }
 }
 
-function trackPageInteraction(action, metadata = {}) {
-    const event = {
-        type: 'page_interaction',
-        action: action,
-        timestamp: new Date().toISOString(),
-        page: 'index',
-        metadata: metadata
-    };
-    
-    analyticsQueue.push(event);
-}
-
-function flushAnalytics() {
-    if (analyticsQueue.length === 0) return;
-
-    const analyticsEndpoint = '/api/analytics';
-    const eventsToSend = [...analyticsQueue];
-    analyticsQueue.length = 0;
-
-    fetch(analyticsEndpoint, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ events: eventsToSend }),
-        keepalive: true
-    }).catch(error => console.log('Analytics send failed:', error.message));
-}
-
-// Flush analytics periodically
-setInterval(flushAnalytics, 30000);
-
-// Flush on page unload
-window.addEventListener('beforeunload', flushAnalytics);
-
 // ============================================
 // 7. LOAD DYNAMIC CONTENT
 // ============================================
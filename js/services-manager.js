@@ -13,12 +13,15 @@ class ServicesManager {
         this.washFilters = document.querySelectorAll('#wash-filters .btn-outline-success');
         this.activeServiceCategory = 'all';
         this.activeWashCategory = 'all';
+        this.catalog = { services: [], washPackages: [] };
+        this.scheduleTimer = null;
     }
 
     /**
      * Initialize services manager
      */
     async init() {
+        trackPageInteraction('page_view');
         this.setupEventListeners();
         await this.fetchServicesData();
     }
@@ -37,6 +40,12 @@ class ServicesManager {
             btn.addEventListener('click', (e) => this.handleWashCategoryFilter(e));
         });
 
+        // Site-wide / per-unit closures arrive after the first render
+        document.addEventListener('penuel:status', () => {
+            if (APP_STATE.services.length > 0) this.renderServices();
+            if (APP_STATE.washPackages.length > 0) this.renderWashPackages();
+        });
+
         // Back to top button
         window.addEventListener('scroll', () => this.handleBackToTop());
         document.querySelector('.back-to-top')?.addEventListener('click', (e) => {
@@ -48,34 +57,25 @@ class ServicesManager {
     /**
      * Fetch services data from n8n backend
      * Returns: { services: [], wash_packages: [] }
-     * Headers include x-api-key for security
+     * x-api-key header is injected by apiCall
      */
     async fetchServicesData() {
         try {
             this.showServicesLoading();
             this.showWashLoading();
 
-            // Fetch services data with API key header
-            const response = await apiCall(PENUEL_CONFIG.SERVICES_ENDPOINT, {
-                headers: {
-                    'x-api-key': PENUEL_CONFIG.API_KEY
-                }
-            });
+            // Fetch services data
+            const response = await apiCall(PENUEL_CONFIG.SERVICES_ENDPOINT);
 
             if (!response.services || !response.wash_packages) {
                 throw new Error('Invalid response format from n8n');
             }
 
-            // Update APP_STATE with services data
-            APP_STATE.services = response.services || [];
-            APP_STATE.filteredServices = [...APP_STATE.services];
-            APP_STATE.washPackages = response.wash_packages || [];
-            APP_STATE.filteredWashPackages = [...APP_STATE.washPackages];
+            this.catalog = { services: response.services || [], washPackages: response.wash_packages || [] };
+            console.log(`✅ Fetched ${this.catalog.services.length} services and ${this.catalog.washPackages.length} wash packages`);
 
-            console.log(`✅ Fetched ${APP_STATE.services.length} services and ${APP_STATE.washPackages.length} wash packages`);
-
-            this.renderServices();
-            this.renderWashPackages();
+            this.applyScheduledChanges();
+            revealLinkedCard();
 
         } catch (error) {
             console.error('❌ Error fetching services data:', error.message);
@@ -85,6 +85,25 @@ class ServicesManager {
         }
     }
 
+    /**
+     * Update APP_STATE with the prices and availability in effect now and re-render;
+     * runs again when the next scheduled change starts or ends
+     */
+    applyScheduledChanges() {
+        const now = new Date();
+        APP_STATE.services = this.catalog.services.map(service => getEffectiveItem(service, now));
+        APP_STATE.washPackages = this.catalog.washPackages.map(pkg => getEffectiveItem(pkg, now));
+
+        this.applyServiceFilters();
+        this.applyWashFilters();
+
+        clearTimeout(this.scheduleTimer);
+        this.scheduleTimer = watchScheduledChanges(
+            [...this.catalog.services, ...this.catalog.washPackages],
+            () => this.applyScheduledChanges()
+        );
+    }
+
     /**
      * Handle service category filter
      */
@@ -187,6 +206,7 @@ class ServicesManager {
     createServiceCard(service) {
         const col = document.createElement('div');
         col.className = 'col-lg-6 col-md-12';
+        if (service.id) col.id = `item-${service.id}`;
 
         const serviceName = service.name || 'Unknown Service';
         const description = service.description || 'Professional service';
@@ -194,7 +214,10 @@ class ServicesManager {
         const duration = service.duration_minutes || 30;
         const category = service.category || '';
         const features = service.features || [];
-        const status = this.getServiceStatus(service.available || true);
+        const closure = this.getUnitStatus('service_bay');
+        const status = closure.open
+            ? this.getServiceStatus(service.available !== false)
+            : { text: closure.label, cssClass: 'closed' };
 
         let featuresHtml = '';
         if (Array.isArray(features) && features.length > 0) {
@@ -206,7 +229,8 @@ class ServicesManager {
         }
 
         col.innerHTML = `
-            <div class="service-card">
+            <div class="service-card${closure.open ? '' : ' service-card-closed'}"
+                ${closure.open ? '' : `aria-disabled="true" title="${escapeHtml(closure.reason || closure.label)}"`}>
                 <div class="service-header">
                     <div class="service-icon">
                         <i class="fas fa-tools"></i>
@@ -249,6 +273,7 @@ class ServicesManager {
     createWashCard(pkg) {
         const col = document.createElement('div');
         col.className = 'col-lg-4 col-md-6 col-sm-6';
+        if (pkg.id) col.id = `item-${pkg.id}`;
 
         const packageName = pkg.name || 'Unknown Package';
         const subtitle = pkg.subtitle || 'Complete wash';
@@ -257,6 +282,19 @@ class ServicesManager {
         const category = pkg.category || '';
         const features = pkg.features || [];
         const icon = pkg.icon || '💧';
+        const closure = this.getUnitStatus('car_wash');
+        const unavailable = pkg.available === false;
+
+        // Book Now is disabled while the car wash is closed or the package unavailable
+        let bookLabel = 'Book Now';
+        let blockedReason = '';
+        if (!closure.open) {
+            bookLabel = closure.label;
+            blockedReason = closure.reason || closure.label;
+        } else if (unavailable) {
+            bookLabel = 'Unavailable';
+            blockedReason = 'Not available right now';
+        }
 
         let featuresHtml = '';
         if (Array.isArray(features) && features.length > 0) {
@@ -268,8 +306,8 @@ class ServicesManager {
         }
 
         col.innerHTML = `
-            <div class="wash-package-card">
-                <div class="wash-package-icon">${icon}</div>
+            <div class="wash-package-card${unavailable ? ' wash-package-unavailable' : ''}">
+                <div class="wash-package-icon">${escapeHtml(icon)}</div>
                 <h5 class="wash-package-title">${escapeHtml(packageName)}</h5>
                 <p class="wash-package-subtitle">${escapeHtml(subtitle)}</p>
                 ${featuresHtml}
@@ -278,8 +316,9 @@ class ServicesManager {
                     <i class="fas fa-hourglass-end"></i>
                     <span>~${duration} minutes</span>
                 </div>
-                <button class="btn btn-success btn-sm w-100" data-package-id="${escapeHtml(pkg.id || '')}">
-                    Book Now
+                <button class="btn btn-success btn-sm w-100" data-package-id="${escapeHtml(pkg.id || '')}"
+                    ${blockedReason ? `disabled title="${escapeHtml(blockedReason)}"` : ''}>
+                    ${escapeHtml(bookLabel)}
                 </button>
             </div>
         `;
@@ -313,14 +352,33 @@ class ServicesManager {
         return { text: 'Available', cssClass: 'open' };
     }
 
+    /**
+     * Business status override for a unit (service_bay, car_wash)
+     * Open unless the admin closed the site or the unit
+     */
+    getUnitStatus(unit) {
+        if (typeof businessStatus === 'undefined') {
+            return { open: true, label: 'Open', reason: '' };
+        }
+
+        return businessStatus.getUnitStatus(unit);
+    }
+
     /**
      * Handle service selection
      */
     selectService(service) {
+        const closure = this.getUnitStatus('service_bay');
+        if (!closure.open) {
+            showToast(`Service bay bookings are paused: ${closure.reason || closure.label}`, 'warning');
+            return;
+        }
+
         console.log('🔧 Selected service:', service);
 
         // Send to chat context for AI awareness
         this.updateChatContext('service', service);
+        trackPageInteraction('item_selected', { itemType: 'service', itemId: service.id, itemName: service.name });
 
         // Show confirmation toast
         showToast(`Selected: ${service.name} - KES ${formatPrice(service.price_kes)}`, 'info');
@@ -334,6 +392,7 @@ class ServicesManager {
 
         // Send to chat context for AI awareness
         this.updateChatContext('wash_package', pkg);
+        trackPageInteraction('item_selected', { itemType: 'wash_package', itemId: pkg.id, itemName: pkg.name });
 
         // Show confirmation toast
         showToast(`Selected: ${pkg.name} - KES ${formatPrice(pkg.price_kes)}`, 'info');
@@ -343,6 +402,17 @@ class ServicesManager {
      * Book wash package (redirect to booking/contact)
      */
     bookPackage(pkg) {
+        const closure = this.getUnitStatus('car_wash');
+        if (!closure.open) {
+            showToast(`Car wash bookings are paused: ${closure.reason || closure.label}`, 'warning');
+            return;
+        }
+
+        if (pkg.available === false) {
+            showToast(`${pkg.name} is not available right now`, 'warning');
+            return;
+        }
+
         // Save selected package to state
         if (!window.sessionStorage) {
             localStorage.setItem('penuel_selected_package', JSON.stringify(pkg));
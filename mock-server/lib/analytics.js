@@ -0,0 +1,170 @@
+/**
+ * Penuel Stopover - Mock Analytics
+ * ============================================
+ * Aggregates the events the public pages post to /api/analytics
+ * for the admin Insights tab.
+ *
+ * Event:
+ *   { type: 'page_interaction' | 'chat_interaction', action, timestamp, page?, sessionId?, metadata }
+ */
+
+'use strict';
+
+const { MockHttpError } = require('./router');
+const { NAIROBI_OFFSET, nairobiDay } = require('./hours');
+
+const TOP_LIMIT = 20;
+
+// item_selected metadata.itemType -> Insights group
+const SELECTION_GROUPS = {
+    menu: 'retail',
+    product: 'retail',
+    service: 'services',
+    wash_package: 'services'
+};
+
+/**
+ * Parse ?from=YYYY-MM-DD&to=YYYY-MM-DD (both optional, inclusive Nairobi days)
+ */
+function parseRange(from, to) {
+    const parse = (value, label) => {
+        if (!value) return null;
+        const date = new Date(`${value}T00:00:00${NAIROBI_OFFSET}`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime())) {
+            throw new MockHttpError(422, `Invalid ${label} date: ${value}`);
+        }
+        return date;
+    };
+
+    const start = parse(from, 'from');
+    const end = parse(to, 'to');
+    if (end) end.setTime(end.getTime() + 24 * 60 * 60 * 1000);
+
+    if (start && end && start >= end) {
+        throw new MockHttpError(422, 'The from date must not be after the to date');
+    }
+
+    return { start, end };
+}
+
+/**
+ * A plain object (not null, an array or a primitive)
+ */
+function isEvent(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function increment(map, key, by = 1) {
+    map.set(key, (map.get(key) || 0) + by);
+}
+
+/**
+ * Map -> [{ [keyName]: key, count }] sorted by count, then key
+ */
+function ranked(map, keyName, limit = Infinity) {
+    return [...map.entries()]
+        .map(([key, count]) => ({ [keyName]: key, count }))
+        .sort((a, b) => b.count - a.count || String(a[keyName]).localeCompare(String(b[keyName])))
+        .slice(0, limit);
+}
+
+/**
+ * Summarise events in the range. specials: current specials, for naming special ids
+ */
+function summarizeAnalytics(events, { from, to, specials = [] } = {}) {
+    const { start, end } = parseRange(from, to);
+
+    const pageViews = new Map();
+    const buttonClicks = new Map();
+    const selections = new Map();
+    const selectionNames = new Map();
+    const specialLoads = new Map();
+    const days = new Map();
+    const chat = { messages: 0, errors: 0 };
+    let offersLoaded = 0;
+    let total = 0;
+
+    const dayFor = key => {
+        if (!days.has(key)) days.set(key, { date: key, page_views: 0, clicks: 0, chat_messages: 0, chat_errors: 0, offers_loaded: 0 });
+        return days.get(key);
+    };
+
+    events.forEach(event => {
+        // Posted by anonymous visitors; skip anything that isn't an event object
+        if (!isEvent(event)) return;
+
+        const at = new Date(event.timestamp);
+        if (Number.isNaN(at.getTime())) return;
+        if ((start && at < start) || (end && at >= end)) return;
+
+        total += 1;
+        const day = dayFor(nairobiDay(at));
+        const metadata = isEvent(event.metadata) ? event.metadata : {};
+
+        if (event.type === 'chat_interaction') {
+            if (event.action === 'message_received') {
+                chat.messages += 1;
+                day.chat_messages += 1;
+            } else if (event.action === 'message_error') {
+                chat.messages += 1;
+                chat.errors += 1;
+                day.chat_messages += 1;
+                day.chat_errors += 1;
+            }
+            return;
+        }
+
+        switch (event.action) {
+            case 'page_view':
+                increment(pageViews, event.page || 'unknown');
+                day.page_views += 1;
+                break;
+
+            case 'button_click':
+                increment(buttonClicks, String(metadata.buttonText || '').trim() || '(no label)');
+                day.clicks += 1;
+                break;
+
+            case 'item_selected': {
+                if (!SELECTION_GROUPS[metadata.itemType]) break;
+                const key = `${metadata.itemType}:${metadata.itemId || metadata.itemName}`;
+                increment(selections, key);
+                selectionNames.set(key, String(metadata.itemName || metadata.itemId || ''));
+                break;
+            }
+
+            case 'offers_loaded':
+                offersLoaded += 1;
+                day.offers_loaded += 1;
+                if (Array.isArray(metadata.specialIds)) {
+                    metadata.specialIds.forEach(id => increment(specialLoads, String(id)));
+                }
+                break;
+        }
+    });
+
+    const specialNames = new Map(specials.map(special => [special.id, special.name]));
+
+    return {
+        range: { from: from || null, to: to || null },
+        total_events: total,
+        page_views: ranked(pageViews, 'page'),
+        button_clicks: ranked(buttonClicks, 'label', TOP_LIMIT),
+        selections: ranked(selections, 'key').map(({ key, count }) => {
+            const [itemType, ...id] = key.split(':');
+            return { group: SELECTION_GROUPS[itemType], item_type: itemType, id: id.join(':'), name: selectionNames.get(key), count };
+        }),
+        chat: {
+            messages: chat.messages,
+            errors: chat.errors,
+            error_rate: chat.messages ? chat.errors / chat.messages : 0
+        },
+        specials: {
+            loads: offersLoaded,
+            by_special: ranked(specialLoads, 'id').map(entry => ({ ...entry, name: specialNames.get(entry.id) || null }))
+        },
+        days: [...days.values()].sort((a, b) => a.date.localeCompare(b.date))
+    };
+}
+
+module.exports = { isEvent, summarizeAnalytics };
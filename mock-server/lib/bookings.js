@@ -0,0 +1,119 @@
+/**
+ * Penuel Stopover - Mock Bookings
+ * ============================================
+ * Service bay and car wash bookings shown on the admin calendar.
+ * Each unit has a fixed number of bays/lanes; a booking holds one lane
+ * from starts_at for its service or package's duration_minutes.
+ *
+ * Booking:
+ *   { id, unit, item: { type, id }, name, duration_minutes, customer: { name, phone },
+ *     starts_at, lane, status, notes, updated_at, updated_by }
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { MockHttpError } = require('./router');
+
+// Bookable units: the item type they sell and how many cars fit at once
+const BOOKING_UNITS = {
+    service_bay: { type: 'service', lanes: 2, lane_label: 'Bay' },
+    car_wash: { type: 'wash', lanes: 3, lane_label: 'Lane' }
+};
+
+const BOOKING_STATUSES = ['booked', 'arrived', 'in_progress', 'done', 'no_show'];
+
+// No-shows give their lane back
+const FREES_LANE = ['no_show'];
+
+const DEFAULT_DURATION = 30;
+
+function endOf(booking) {
+    return new Date(booking.starts_at).getTime() + booking.duration_minutes * 60000;
+}
+
+function overlaps(a, b) {
+    return new Date(a.starts_at).getTime() < endOf(b) && new Date(b.starts_at).getTime() < endOf(a);
+}
+
+/**
+ * Merge a create/update request onto the existing booking and validate it
+ * Item and duration are refreshed from the catalogue when the item changes
+ */
+function normalizeBooking(store, input, existing = null) {
+    const fail = message => {
+        throw new MockHttpError(422, message);
+    };
+
+    if (!input || typeof input !== 'object') fail('Booking is missing');
+
+    const merged = { ...existing, ...input };
+    const unit = BOOKING_UNITS[merged.unit];
+    if (!unit) fail(`Unknown booking unit: ${merged.unit}`);
+
+    const itemRef = merged.item || {};
+    if (itemRef.type !== unit.type) fail('Choose a service or package for this unit');
+
+    const item = store.findItem(itemRef.type, itemRef.id);
+    const itemChanged = !existing || existing.item.id !== itemRef.id;
+    if (!item || (itemChanged && item.archived)) fail('Choose a listed service or package');
+
+    const startsAt = new Date(merged.starts_at);
+    if (Number.isNaN(startsAt.getTime())) fail('Choose a date and time');
+
+    const customer = merged.customer || {};
+    const customerName = String(customer.name || '').trim();
+    if (!customerName) fail('Enter the customer\'s name');
+
+    const status = merged.status || 'booked';
+    if (!BOOKING_STATUSES.includes(status)) fail(`Invalid status: ${status}`);
+
+    const lane = merged.lane === undefined || merged.lane === null ? null : Number(merged.lane);
+    if (lane !== null && (!Number.isInteger(lane) || lane < 1 || lane > unit.lanes)) {
+        fail(`${unit.lane_label} must be between 1 and ${unit.lanes}`);
+    }
+
+    return {
+        id: merged.id || `bkg-${crypto.randomBytes(4).toString('hex')}`,
+        unit: merged.unit,
+        item: { type: itemRef.type, id: item.id },
+        name: itemChanged ? item.name : existing.name,
+        duration_minutes: itemChanged ? Number(item.duration_minutes) || DEFAULT_DURATION : existing.duration_minutes,
+        customer: { name: customerName, phone: String(customer.phone || '').trim() },
+        starts_at: startsAt.toISOString(),
+        lane,
+        status,
+        notes: String(merged.notes || '').trim()
+    };
+}
+
+/**
+ * Keep the booking in its lane if that lane is free, otherwise move it to
+ * the first free one (strict: the lane was picked by hand, so refuse instead).
+ * Throws 409 when the unit is full at that time.
+ */
+function assignLane(bookings, booking, strict = false) {
+    const unit = BOOKING_UNITS[booking.unit];
+    if (FREES_LANE.includes(booking.status)) {
+        return { ...booking, lane: booking.lane || 1 };
+    }
+
+    const busy = new Set(bookings
+        .filter(other => other.id !== booking.id && other.unit === booking.unit
+            && !FREES_LANE.includes(other.status) && overlaps(other, booking))
+        .map(other => other.lane));
+
+    if (booking.lane && !busy.has(booking.lane)) return booking;
+
+    if (booking.lane && strict) {
+        throw new MockHttpError(409, `${unit.lane_label} ${booking.lane} is already booked at that time`);
+    }
+
+    for (let lane = 1; lane <= unit.lanes; lane++) {
+        if (!busy.has(lane)) return { ...booking, lane };
+    }
+
+    throw new MockHttpError(409, `All ${unit.lanes} ${unit.lane_label.toLowerCase()}s are booked at that time`);
+}
+
+module.exports = { BOOKING_UNITS, BOOKING_STATUSES, normalizeBooking, assignLane };
@@ -0,0 +1,131 @@
+/**
+ * Penuel Stopover - Mock Change History
+ * ============================================
+ * Records before/after values for every admin save and reverts them
+ *
+ * Change records:
+ *   { kind: 'item', type, id, name, action, before, after }   (before null = created, after null = deleted)
+ *   { kind: 'setting', key, before, after }                    (key is a path, e.g. "phone" or "hours.restaurant")
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Deep copy of a JSON value
+ */
+function snapshot(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Reduce two item snapshots to the fields that differ
+ * Missing fields are recorded as null
+ */
+function diffItem(before, after) {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changedBefore = {};
+    const changedAfter = {};
+
+    keys.forEach(key => {
+        const from = before[key] === undefined ? null : before[key];
+        const to = after[key] === undefined ? null : after[key];
+
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changedBefore[key] = snapshot(from);
+            changedAfter[key] = snapshot(to);
+        }
+    });
+
+    return { before: changedBefore, after: changedAfter };
+}
+
+/**
+ * Read a dotted settings path ("hours.restaurant")
+ */
+function getPath(object, key) {
+    return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+}
+
+/**
+ * Write a dotted settings path; null removes the key
+ */
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((target, part) => {
+        if (target[part] == null) target[part] = {};
+        return target[part];
+    }, object);
+
+    if (value === null) {
+        delete parent[last];
+    } else {
+        parent[last] = snapshot(value);
+    }
+}
+
+/**
+ * Append a history entry; returns it (null when nothing changed)
+ */
+function recordEntry(store, { user, changes, revertOf = null }) {
+    if (changes.length === 0) return null;
+
+    const entry = {
+        id: `save-${crypto.randomBytes(4).toString('hex')}`,
+        user,
+        timestamp: new Date().toISOString(),
+        revert_of: revertOf,
+        changes
+    };
+
+    store.get('history').unshift(entry);
+    return entry;
+}
+
+/**
+ * Undo one change record against the store; returns the inverse record
+ */
+function revertChange(store, change) {
+    if (change.kind === 'setting') {
+        const settings = store.get('settings');
+        const current = snapshot(getPath(settings, change.key));
+        setPath(settings, change.key, change.before);
+        return { kind: 'setting', key: change.key, before: current, after: snapshot(change.before) };
+    }
+
+    const collection = store.collectionFor(change.type);
+    const index = collection.findIndex(item => String(item.id) === String(change.id));
+    const item = index === -1 ? null : collection[index];
+
+    // Created -> remove it again
+    if (change.before === null) {
+        if (!item) return null;
+        collection.splice(index, 1);
+        return { kind: 'item', type: change.type, id: change.id, name: change.name, action: 'delete', before: snapshot(item), after: null };
+    }
+
+    // Deleted -> put the full snapshot back
+    if (change.after === null) {
+        if (item) return null;
+        collection.push(snapshot(change.before));
+        return { kind: 'item', type: change.type, id: change.id, name: change.name, action: 'create', before: null, after: snapshot(change.before) };
+    }
+
+    if (!item) return null;
+
+    const previous = snapshot(item);
+    Object.entries(change.before).forEach(([field, value]) => {
+        if (value === null) {
+            delete item[field];
+        } else {
+            item[field] = snapshot(value);
+        }
+    });
+
+    const diff = diffItem(previous, item);
+    return { kind: 'item', type: change.type, id: change.id, name: item.name, action: 'update', ...diff };
+}
+
+module.exports = { snapshot, diffItem, getPath, recordEntry, revertChange };
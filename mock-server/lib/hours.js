@@ -0,0 +1,148 @@
+/**
+ * Penuel Stopover - Mock Operating Hours
+ * ============================================
+ * Validates the per-unit schedules edited in the admin dashboard and
+ * resolves the hours that apply on a given date. Days are Nairobi days,
+ * whatever timezone the server runs in.
+ *
+ * Schedule (settings.hours[unit]):
+ *   { Monday: day, ..., Sunday: day, open_24h?, emergency?, overrides?: [{ date, label, ...day }] }
+ * Day:
+ *   { open, close }            single shift
+ *   { shifts: [{ open, close }] }  split shift
+ *   { closed: true }
+ */
+
+'use strict';
+
+const { MockHttpError } = require('./router');
+
+const HOURS_UNITS = ['restaurant', 'supermarket', 'service_bay', 'car_wash'];
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const MAX_SHIFTS = 3;
+
+// East Africa Time has no daylight saving, so the offset is fixed
+const NAIROBI_OFFSET = '+03:00';
+const NAIROBI_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Nairobi calendar day (YYYY-MM-DD) an instant falls on
+ */
+function nairobiDay(date) {
+    return new Date(date.getTime() + NAIROBI_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Validate one day (or holiday override) and store it in its shortest form
+ */
+function normalizeDay(value, where) {
+    const fail = message => {
+        throw new MockHttpError(422, `${where}: ${message}`);
+    };
+
+    if (!value || typeof value !== 'object') fail('hours are missing');
+    if (value.closed) return { closed: true };
+
+    const shifts = Array.isArray(value.shifts) ? value.shifts : [{ open: value.open, close: value.close }];
+    if (shifts.length === 0) fail('add a shift or mark the day closed');
+    if (shifts.length > MAX_SHIFTS) fail(`at most ${MAX_SHIFTS} shifts per day`);
+
+    const sorted = shifts
+        .map(shift => {
+            if (!shift || !TIME_PATTERN.test(shift.open) || !TIME_PATTERN.test(shift.close)) {
+                fail('times must be HH:MM');
+            }
+            if (toMinutes(shift.close) <= toMinutes(shift.open)) {
+                fail(`closing time ${shift.close} must be after opening time ${shift.open}`);
+            }
+            return { open: shift.open, close: shift.close };
+        })
+        .sort((a, b) => toMinutes(a.open) - toMinutes(b.open));
+
+    sorted.slice(1).forEach((shift, index) => {
+        if (toMinutes(shift.open) < toMinutes(sorted[index].close)) {
+            fail(`shifts ${sorted[index].open}–${sorted[index].close} and ${shift.open}–${shift.close} overlap`);
+        }
+    });
+
+    return sorted.length === 1 ? sorted[0] : { shifts: sorted };
+}
+
+/**
+ * Validate a unit's weekly schedule, emergency line and dated overrides
+ */
+function normalizeSchedule(unit, schedule) {
+    if (!HOURS_UNITS.includes(unit)) {
+        throw new MockHttpError(422, `Unknown business unit: ${unit}`);
+    }
+
+    if (!schedule || typeof schedule !== 'object') {
+        throw new MockHttpError(422, `${unit}: schedule is missing`);
+    }
+
+    const result = {};
+    DAYS.forEach(day => {
+        result[day] = normalizeDay(schedule[day], `${unit} ${day}`);
+    });
+
+    if (schedule.open_24h) result.open_24h = true;
+
+    const emergency = String(schedule.emergency || '').trim();
+    if (emergency) result.emergency = emergency;
+
+    const overrides = Array.isArray(schedule.overrides) ? schedule.overrides : [];
+    const seen = new Set();
+
+    result.overrides = overrides.map(override => {
+        const date = override && override.date;
+        if (!DATE_PATTERN.test(date || '') || Number.isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+            throw new MockHttpError(422, `${unit}: holiday dates must be YYYY-MM-DD`);
+        }
+        if (seen.has(date)) {
+            throw new MockHttpError(422, `${unit}: ${date} has more than one override`);
+        }
+        seen.add(date);
+
+        const label = String(override.label || '').trim();
+        return { date, label, ...normalizeDay(override, `${unit} ${label || date}`) };
+    }).sort((a, b) => a.date.localeCompare(b.date));
+
+    if (result.overrides.length === 0) delete result.overrides;
+
+    return result;
+}
+
+/**
+ * Hours that apply to a unit on the Nairobi day `date` falls on: { closed, shifts, label }
+ * An override for the date wins over the weekly schedule
+ */
+function hoursOn(schedule, date) {
+    if (!schedule) return null;
+
+    const iso = nairobiDay(date);
+    const override = (schedule.overrides || []).find(entry => entry.date === iso);
+
+    if (!override && schedule.open_24h) {
+        return { closed: false, shifts: [{ open: '00:00', close: '24:00' }], label: '' };
+    }
+
+    const weekday = new Date(`${iso}T00:00:00Z`).getUTCDay();
+    const day = override || schedule[DAYS[(weekday + 6) % 7]];
+    if (!day || day.closed) return { closed: true, shifts: [], label: override ? override.label : '' };
+
+    return {
+        closed: false,
+        shifts: day.shifts || [{ open: day.open, close: day.close }],
+        label: override ? override.label : ''
+    };
+}
+
+module.exports = { HOURS_UNITS, DAYS, NAIROBI_OFFSET, NAIROBI_OFFSET_MS, nairobiDay, toMinutes, normalizeSchedule, hoursOn };
@@ -0,0 +1,56 @@
+/**
+ * Penuel Stopover - Mock Inquiry Inbox
+ * ============================================
+ * Workflow fields added to inquiries from the contact form once they reach
+ * the admin inbox. Inquiries saved before the inbox existed get defaults.
+ *
+ * Inquiry:
+ *   { id, name, email, phone, serviceType, message, received_at,
+ *     status: 'new' | 'in_progress' | 'resolved', assigned_to,
+ *     notes: [{ text, by, at }], replies: [{ message, to, by, at }], read_by: [username] }
+ */
+
+'use strict';
+
+const { MockHttpError } = require('./router');
+
+const INQUIRY_TYPES = ['restaurant', 'supermarket', 'service_bay', 'car_wash', 'general'];
+const INQUIRY_STATUSES = ['new', 'in_progress', 'resolved'];
+const MAX_NOTE_LENGTH = 1000;
+const MAX_REPLY_LENGTH = 4000;
+
+/**
+ * Fill in workflow defaults (mutates, so the stored copy gains them on save)
+ */
+function withInboxFields(inquiry) {
+    if (!INQUIRY_STATUSES.includes(inquiry.status)) inquiry.status = 'new';
+    if (inquiry.assigned_to === undefined) inquiry.assigned_to = null;
+    if (!Array.isArray(inquiry.notes)) inquiry.notes = [];
+    if (!Array.isArray(inquiry.replies)) inquiry.replies = [];
+    if (!Array.isArray(inquiry.read_by)) inquiry.read_by = [];
+    return inquiry;
+}
+
+/**
+ * Inquiry types a role may see; unknown service types are treated as general
+ */
+function inquiryTypeOf(inquiry) {
+    return INQUIRY_TYPES.includes(inquiry.serviceType) ? inquiry.serviceType : 'general';
+}
+
+function requireText(value, label, maxLength) {
+    const text = String(value || '').trim();
+    if (!text) throw new MockHttpError(422, `${label} cannot be empty`);
+    if (text.length > maxLength) throw new MockHttpError(422, `${label} must be ${maxLength} characters or fewer`);
+    return text;
+}
+
+module.exports = {
+    INQUIRY_TYPES,
+    INQUIRY_STATUSES,
+    MAX_NOTE_LENGTH,
+    MAX_REPLY_LENGTH,
+    withInboxFields,
+    inquiryTypeOf,
+    requireText
+};
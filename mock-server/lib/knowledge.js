@@ -0,0 +1,166 @@
+/**
+ * Penuel Stopover - Mock AI Knowledge Sync
+ * ============================================
+ * The facts the chat assistant is given (published items at the prices in
+ * effect now, opening hours, business status and contact details) and the
+ * sync jobs that push them. Jobs run one at a time in the background:
+ * queued -> running -> succeeded | failed.
+ *
+ * Job:
+ *   { id, status, trigger: 'save' | 'manual' | 'retry', retry_of, requested_by,
+ *     created_at, started_at, finished_at, error, facts: { items, hours, contact } }
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { effectiveItem } = require('./schedule');
+
+const SYNC_COLLECTIONS = ['menu', 'products', 'services', 'wash_packages'];
+const SYNC_TRIGGERS = ['save', 'manual', 'retry'];
+const PENDING_STATUSES = ['queued', 'running'];
+
+// Simulated time spent waiting in the queue and pushing to the assistant
+const QUEUE_DELAY_MS = 300;
+const PUSH_DELAY_MS = 1200;
+
+// Jobs kept for the status list
+const MAX_JOBS = 20;
+
+/**
+ * Facts pushed to the assistant, as of `now`
+ */
+function buildKnowledge(store, now = new Date()) {
+    const settings = store.get('settings');
+    const items = {};
+
+    SYNC_COLLECTIONS.forEach(collection => {
+        items[collection] = store.get(collection)
+            .filter(item => !item.archived)
+            .map(item => effectiveItem(item, now))
+            .map(item => ({
+                id: item.id,
+                name: item.name,
+                category: item.category,
+                price_kes: item.price_kes,
+                available: item.available !== false
+            }));
+    });
+
+    return {
+        generated_at: now.toISOString(),
+        items,
+        hours: settings.hours || {},
+        status: settings.status || { mode: 'open', message: '', units: {} },
+        contact: { phone: settings.phone, email: settings.email }
+    };
+}
+
+/**
+ * Fact counts recorded on a job
+ */
+function countFacts(knowledge) {
+    return {
+        items: Object.values(knowledge.items).reduce((sum, list) => sum + list.length, 0),
+        hours: Object.keys(knowledge.hours).length,
+        contact: Object.values(knowledge.contact).filter(Boolean).length
+    };
+}
+
+/**
+ * Background runner for sync jobs stored in store.get('ai_sync_jobs')
+ */
+class KnowledgeSync {
+    constructor(store) {
+        this.store = store;
+        this.running = false;
+        this.failures = {};
+
+        // Jobs left pending by a restart will never finish
+        this.jobs().filter(job => PENDING_STATUSES.includes(job.status)).forEach(job => {
+            Object.assign(job, { status: 'failed', finished_at: new Date().toISOString(), error: 'Interrupted by a server restart' });
+        });
+    }
+
+    jobs() {
+        return this.store.get('ai_sync_jobs');
+    }
+
+    /**
+     * Queue a sync; a job still waiting in the queue already covers this request
+     */
+    request({ trigger = 'manual', retryOf = null, username, fail = false }) {
+        const waiting = this.jobs().find(job => job.status === 'queued');
+        if (waiting) return waiting;
+
+        const job = {
+            id: `sync-${crypto.randomBytes(4).toString('hex')}`,
+            status: 'queued',
+            trigger: SYNC_TRIGGERS.includes(trigger) ? trigger : 'manual',
+            retry_of: retryOf,
+            requested_by: username,
+            created_at: new Date().toISOString(),
+            started_at: null,
+            finished_at: null,
+            error: null,
+            facts: null
+        };
+
+        const jobs = this.jobs();
+        jobs.push(job);
+        jobs.splice(0, Math.max(0, jobs.length - MAX_JOBS));
+        this.store.save();
+
+        // Forced failures are kept off the stored job
+        this.failures[job.id] = fail;
+        this.next();
+        return job;
+    }
+
+    /**
+     * Run the oldest queued job unless one is already running
+     */
+    next() {
+        if (this.running) return;
+
+        const job = this.jobs().find(entry => entry.status === 'queued');
+        if (!job) return;
+
+        this.running = true;
+        setTimeout(() => {
+            job.status = 'running';
+            job.started_at = new Date().toISOString();
+            job.facts = countFacts(buildKnowledge(this.store));
+            this.store.save();
+
+            setTimeout(() => this.finish(job), PUSH_DELAY_MS);
+        }, QUEUE_DELAY_MS);
+    }
+
+    finish(job) {
+        const failed = this.failures[job.id];
+        delete this.failures[job.id];
+
+        job.status = failed ? 'failed' : 'succeeded';
+        job.error = failed ? 'The assistant did not accept the update (503)' : null;
+        job.finished_at = new Date().toISOString();
+        this.store.save();
+        console.log(`🧠 AI sync ${job.id} ${job.status}`);
+
+        this.running = false;
+        this.next();
+    }
+
+    /**
+     * Latest jobs first, plus the last one that succeeded
+     */
+    status(limit = 10) {
+        const jobs = [...this.jobs()].reverse();
+        return {
+            jobs: jobs.slice(0, limit),
+            last_success: jobs.find(job => job.status === 'succeeded') || null
+        };
+    }
+}
+
+module.exports = { buildKnowledge, KnowledgeSync };
@@ -0,0 +1,165 @@
+/**
+ * Penuel Stopover - Mock Click-and-Collect Orders
+ * ============================================
+ * Supermarket orders placed from the cart: quantities are checked against
+ * stock and reserved, prices are the ones in effect when the order is
+ * placed (not what the browser sent), and pickup has to be one of the
+ * slots within the supermarket's opening hours. Paid at collection.
+ *
+ * Order:
+ *   { reference, items: [{ id, name, quantity, price_kes, line_total_kes }],
+ *     total_kes, name, phone, pickup_at, status: 'received', placed_at }
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { MockHttpError } = require('./router');
+const { NAIROBI_OFFSET_MS, hoursOn, toMinutes } = require('./hours');
+const { effectiveItem } = require('./schedule');
+
+const PICKUP_SLOT_MINUTES = 30;
+const PICKUP_LEAD_MINUTES = 30;      // time to pick the order
+const PICKUP_DAYS_AHEAD = 2;         // today plus the next two days
+
+const MAX_ORDER_LINES = 30;
+const MAX_LINE_QUANTITY = 99;       // PENUEL_CONFIG.MAX_ORDER_QUANTITY in js/core.js
+const MAX_NAME_LENGTH = 80;
+
+// Unambiguous characters for references read out at the counter
+const REFERENCE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Whether the supermarket takes orders: { open, reason }
+ */
+function orderingStatus(settings) {
+    const status = settings.status || { mode: 'open' };
+
+    if (status.mode === 'closed' || status.mode === 'maintenance') {
+        return { open: false, reason: status.message || 'We are not taking orders right now.' };
+    }
+
+    const closure = (status.units || {}).supermarket;
+    if (closure && closure.closed) {
+        return { open: false, reason: closure.reason || 'The supermarket is closed right now.' };
+    }
+
+    return { open: true, reason: '' };
+}
+
+/**
+ * Pickup times (ISO) from the lead time onwards, within the supermarket's hours in Nairobi time
+ */
+function pickupSlots(store, now = new Date()) {
+    const schedule = store.get('settings').hours.supermarket;
+    const earliest = now.getTime() + PICKUP_LEAD_MINUTES * 60000;
+    const today = new Date(now.getTime() + NAIROBI_OFFSET_MS);
+    const slots = [];
+
+    for (let offset = 0; offset <= PICKUP_DAYS_AHEAD; offset++) {
+        const [year, month, date] = [today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + offset];
+
+        // Noon in Nairobi on that day
+        const hours = hoursOn(schedule, new Date(Date.UTC(year, month, date, 12) - NAIROBI_OFFSET_MS));
+        if (!hours || hours.closed) continue;
+
+        hours.shifts.forEach(shift => {
+            // Last pickup one slot before closing
+            for (let minutes = toMinutes(shift.open); minutes + PICKUP_SLOT_MINUTES <= toMinutes(shift.close); minutes += PICKUP_SLOT_MINUTES) {
+                const slot = Date.UTC(year, month, date, 0, minutes) - NAIROBI_OFFSET_MS;
+                if (slot >= earliest) slots.push(new Date(slot).toISOString());
+            }
+        });
+    }
+
+    return slots;
+}
+
+function createReference() {
+    const bytes = crypto.randomBytes(6);
+    return `PS-${Array.from(bytes, byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('')}`;
+}
+
+/**
+ * Validate an order, reserve its stock and store it
+ * 422 for bad input, 409 (with `shortages`) when stock ran out since the cart was filled
+ */
+function placeOrder(store, body, now = new Date()) {
+    const status = orderingStatus(store.get('settings'));
+    if (!status.open) {
+        throw new MockHttpError(409, status.reason, { ordering_closed: true });
+    }
+
+    const errors = {};
+    const phone = String(body.phone || '').replace(/\D/g, '').replace(/^(254|0)/, '');
+    if (!/^[17]\d{8}$/.test(phone)) errors.phone = 'Enter a valid Kenyan phone number';
+
+    const name = String(body.name || '').trim();
+    if (name.length > MAX_NAME_LENGTH) errors.name = `At most ${MAX_NAME_LENGTH} characters`;
+
+    const pickup = new Date(body.pickup_at);
+    if (Number.isNaN(pickup.getTime()) || !pickupSlots(store, now).includes(pickup.toISOString())) {
+        errors.pickup_at = 'Choose one of the pickup times offered';
+    }
+
+    const lines = Array.isArray(body.items) ? body.items : [];
+    if (lines.length === 0) {
+        errors.items = 'Your cart is empty';
+    } else if (lines.length > MAX_ORDER_LINES) {
+        errors.items = `At most ${MAX_ORDER_LINES} different products per order`;
+    } else if (new Set(lines.map(line => String(line.id))).size !== lines.length) {
+        errors.items = 'Each product may only appear once';
+    } else if (lines.some(line => !Number.isInteger(line.quantity) || line.quantity < 1 || line.quantity > MAX_LINE_QUANTITY)) {
+        errors.items = `Quantities must be whole numbers from 1 to ${MAX_LINE_QUANTITY}`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+        throw new MockHttpError(422, 'Please check your order', { errors });
+    }
+
+    const products = store.get('products');
+    const shortages = [];
+    const items = lines.map(line => {
+        const product = products.find(entry => String(entry.id) === String(line.id) && !entry.archived);
+        const current = product ? effectiveItem(product, now) : null;
+        const inStock = current && current.available !== false ? Math.max(0, Number(current.stock_level) || 0) : 0;
+
+        if (inStock < line.quantity) {
+            shortages.push({ id: line.id, name: current ? current.name : null, available_quantity: inStock });
+        }
+
+        return { product, id: product?.id, name: current?.name, quantity: line.quantity, price_kes: current?.price_kes || 0 };
+    });
+
+    if (shortages.length > 0) {
+        throw new MockHttpError(409, 'Some items are no longer available in the quantity you chose', { shortages });
+    }
+
+    // Reserve the stock; the version bump makes a dashboard save based on the old count a conflict
+    items.forEach(({ product, quantity }) => {
+        product.stock_level -= quantity;
+        product.version = (product.version || 1) + 1;
+        product.updated_at = now.toISOString();
+        product.updated_by = 'click-and-collect';
+    });
+
+    const order = {
+        reference: createReference(),
+        items: items.map(({ id, name: itemName, quantity, price_kes: price }) => ({
+            id, name: itemName, quantity, price_kes: price, line_total_kes: price * quantity
+        })),
+        total_kes: items.reduce((sum, item) => sum + item.price_kes * item.quantity, 0),
+        name: name,
+        phone: `+254${phone}`,
+        pickup_at: pickup.toISOString(),
+        status: 'received',
+        placed_at: now.toISOString()
+    };
+
+    store.get('orders').push(order);
+    store.save();
+
+    return order;
+}
+
+module.exports = { orderingStatus, pickupSlots, placeOrder };
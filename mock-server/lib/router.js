@@ -0,0 +1,84 @@
+/**
+ * Penuel Stopover - Mock Server Router
+ * ============================================
+ * Minimal method + path router for the local n8n stand-in
+ */
+
+'use strict';
+
+/**
+ * Error thrown by route handlers to produce a non-2xx JSON reply
+ */
+class MockHttpError extends Error {
+    constructor(status, message, extra = {}) {
+        super(message);
+        this.status = status;
+        this.extra = extra;
+    }
+}
+
+class Router {
+    constructor() {
+        this.routes = [];
+    }
+
+    /**
+     * Register a route
+     * options.apiKey - require a valid x-api-key header
+     * options.admin  - require a valid x-admin-token header (session passed to handler)
+     */
+    add(method, path, handler, options = {}) {
+        this.routes.push({ method: method.toUpperCase(), path, handler, options });
+    }
+
+    get(path, handler, options) {
+        this.add('GET', path, handler, options);
+    }
+
+    post(path, handler, options) {
+        this.add('POST', path, handler, options);
+    }
+
+    /**
+     * Find a route for a request; returns null when nothing matches
+     * Paths may contain :params (e.g. /inquiries/:id)
+     */
+    match(method, pathname) {
+        for (const route of this.routes) {
+            if (route.method !== method) continue;
+
+            const params = this.matchPath(route.path, pathname);
+            if (params) {
+                return { route, params };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * True when any method is registered for the path (used for 405 vs 404)
+     */
+    hasPath(pathname) {
+        return this.routes.some(route => this.matchPath(route.path, pathname));
+    }
+
+    matchPath(pattern, pathname) {
+        const patternParts = pattern.split('/');
+        const pathParts = pathname.split('/');
+        if (patternParts.length !== pathParts.length) return null;
+
+        const params = {};
+        for (let i = 0; i < patternParts.length; i++) {
+            if (patternParts[i].startsWith(':')) {
+                params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+            } else if (patternParts[i] !== pathParts[i]) {
+                return null;
+            }
+        }
+
+        return params;
+    }
+}
+
+module.exports = { Router, MockHttpError };
@@ -0,0 +1,96 @@
+/**
+ * Penuel Stopover - Mock Scheduled Item Changes
+ * ============================================
+ * Price and availability changes saved with an effective-from (and
+ * optional effective-until) date. They are kept on the item and the
+ * public pages apply whichever is in effect (see getEffectiveItem in
+ * js/core.js); the item's own price/available stay the base values.
+ *
+ * Item:
+ *   { ..., schedule: [{ id, price_kes?, available?, effective_from, effective_until,
+ *                       created_by, created_at }] }
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { MockHttpError } = require('./router');
+
+function parseTime(value, label) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new MockHttpError(422, `Invalid ${label} date`);
+    }
+    return date;
+}
+
+/**
+ * Build a schedule entry from a save change carrying effective_from
+ * Only a price or availability that differs from the item's base values is scheduled
+ */
+function buildScheduleEntry(item, change, username, now = new Date()) {
+    const from = parseTime(change.effective_from, 'effective-from');
+    const until = change.effective_until ? parseTime(change.effective_until, 'effective-until') : null;
+
+    if (until && until <= from) {
+        throw new MockHttpError(422, `The end of the scheduled change to ${item.name} must be after its start`);
+    }
+    if (until && until <= now) {
+        throw new MockHttpError(422, `The scheduled change to ${item.name} would already have ended`);
+    }
+
+    const entry = {
+        id: `sched-${crypto.randomBytes(4).toString('hex')}`,
+        effective_from: from.toISOString(),
+        effective_until: until ? until.toISOString() : null,
+        created_by: username,
+        created_at: now.toISOString()
+    };
+
+    if (change.price !== undefined && Number(change.price) !== Number(item.price_kes)) {
+        entry.price_kes = Number(change.price);
+    }
+    if (change.outOfStock !== undefined && !change.outOfStock !== (item.available !== false)) {
+        entry.available = !change.outOfStock;
+    }
+
+    if (entry.price_kes === undefined && entry.available === undefined) {
+        throw new MockHttpError(422, `Change the price or availability of ${item.name} to schedule it`);
+    }
+
+    return entry;
+}
+
+function isActive(entry, now) {
+    return new Date(entry.effective_from) <= now
+        && (!entry.effective_until || new Date(entry.effective_until) > now);
+}
+
+/**
+ * Item with the scheduled values in effect at `now` (later starts win)
+ */
+function effectiveItem(item, now = new Date()) {
+    const active = (item.schedule || [])
+        .filter(entry => isActive(entry, now))
+        .sort((a, b) => a.effective_from.localeCompare(b.effective_from));
+
+    if (active.length === 0) return item;
+
+    const effective = { ...item };
+    active.forEach(entry => {
+        if (entry.price_kes !== undefined) effective.price_kes = entry.price_kes;
+        if (entry.available !== undefined) effective.available = entry.available;
+    });
+    return effective;
+}
+
+/**
+ * Entries that have not ended, as the public pages see them
+ */
+function publicSchedule(item, now = new Date()) {
+    return (item.schedule || [])
+        .filter(entry => !entry.effective_until || new Date(entry.effective_until) > now)
+        .map(({ created_by, created_at, ...entry }) => entry);
+}
+
+module.exports = { buildScheduleEntry, effectiveItem, publicSchedule };
@@ -0,0 +1,70 @@
+/**
+ * Penuel Stopover - Mock Admin Sessions
+ * ============================================
+ * In-memory admin tokens (restarting the server logs everyone out)
+ * Tokens expire after a fixed TTL unless refreshed
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_MS = 30 * 60 * 1000;
+
+class SessionStore {
+    constructor(ttlMs = DEFAULT_TTL_MS) {
+        this.ttlMs = ttlMs;
+        this.sessions = new Map();
+    }
+
+    /**
+     * Issue a new token for a user
+     */
+    create(user) {
+        const token = crypto.randomBytes(24).toString('hex');
+        const now = Date.now();
+        const session = {
+            token,
+            username: user.username,
+            displayName: user.display_name || user.username,
+            role: user.role,
+            issuedAt: now,
+            expiresAt: now + this.ttlMs
+        };
+
+        this.sessions.set(token, session);
+        return session;
+    }
+
+    /**
+     * Look up a session by token; null when unknown or expired
+     */
+    get(token) {
+        if (!token) return null;
+
+        const session = this.sessions.get(token) || null;
+        if (session && session.expiresAt <= Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
+
+        return session;
+    }
+
+    /**
+     * Swap a live session for a fresh token with a new expiry
+     */
+    refresh(token) {
+        const session = this.get(token);
+        if (!session) return null;
+
+        this.revoke(token);
+        return this.create({ username: session.username, display_name: session.displayName, role: session.role });
+    }
+
+    revoke(token) {
+        this.sessions.delete(token);
+    }
+}
+
+module.exports = { SessionStore };
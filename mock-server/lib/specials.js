@@ -0,0 +1,109 @@
+/**
+ * Penuel Stopover - Mock Daily Specials
+ * ============================================
+ * Validation for specials managed in the admin dashboard and the public
+ * view served to the home page
+ *
+ * Special:
+ *   { id, name, description, item: { type, id }, discount,
+ *     starts_at, ends_at, days: ['Monday', ...] (empty = every day),
+ *     daily_from?, daily_until? (HH:MM window), active, updated_at, updated_by }
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { MockHttpError } = require('./router');
+const { DAYS } = require('./hours');
+const { effectiveItem } = require('./schedule');
+
+const MAX_DISCOUNT = 90;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validate a special from the admin form; returns the stored shape
+ */
+function normalizeSpecial(store, special) {
+    const fail = message => {
+        throw new MockHttpError(422, message);
+    };
+
+    if (!special || typeof special !== 'object') fail('Special is missing');
+
+    const name = String(special.name || '').trim();
+    if (!name) fail('Give the special a name');
+    if (name.length > 80) fail('Special names must be 80 characters or fewer');
+
+    const item = special.item || {};
+    const linked = store.findItem(item.type, item.id);
+    if (!linked || linked.archived) fail('Link the special to a listed menu item, product or service');
+
+    const discount = Number(special.discount);
+    if (!Number.isFinite(discount) || discount <= 0 || discount > MAX_DISCOUNT) {
+        fail(`Discount must be between 1 and ${MAX_DISCOUNT}%`);
+    }
+
+    const startsAt = new Date(special.starts_at);
+    const endsAt = new Date(special.ends_at);
+    if (Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) fail('Set a start and end date');
+    if (endsAt <= startsAt) fail('The special must end after it starts');
+
+    const days = Array.isArray(special.days) ? special.days : [];
+    if (days.some(day => !DAYS.includes(day))) fail('Unknown day of week');
+
+    const dailyFrom = special.daily_from || '';
+    const dailyUntil = special.daily_until || '';
+    if (dailyFrom || dailyUntil) {
+        if (!TIME_PATTERN.test(dailyFrom) || !TIME_PATTERN.test(dailyUntil)) fail('Daily times must be HH:MM');
+        if (dailyUntil <= dailyFrom) fail('The daily window must end after it starts');
+    }
+
+    return {
+        id: special.id || `special-${crypto.randomBytes(4).toString('hex')}`,
+        name,
+        description: String(special.description || '').trim(),
+        item: { type: item.type, id: linked.id },
+        discount: Math.round(discount),
+        starts_at: startsAt.toISOString(),
+        ends_at: endsAt.toISOString(),
+        days: DAYS.filter(day => days.includes(day)),
+        daily_from: dailyFrom || null,
+        daily_until: dailyUntil || null,
+        active: special.active !== false
+    };
+}
+
+/**
+ * Active specials that have not ended, with the linked item's public details
+ * The page decides which are live right now (days and daily window are local time)
+ */
+function publicSpecials(store, now = new Date()) {
+    return store.get('specials')
+        .filter(special => special.active !== false && special.item && new Date(special.ends_at) > now)
+        .map(special => {
+            const stored = store.findItem(special.item.type, special.item.id);
+            if (!stored || stored.archived) return null;
+            const item = effectiveItem(stored, now);
+
+            return {
+                id: special.id,
+                name: special.name,
+                description: special.description,
+                discount: special.discount,
+                starts_at: special.starts_at,
+                ends_at: special.ends_at,
+                days: special.days,
+                daily_from: special.daily_from,
+                daily_until: special.daily_until,
+                item: {
+                    type: special.item.type,
+                    id: item.id,
+                    name: item.name,
+                    price_kes: item.price_kes
+                }
+            };
+        })
+        .filter(Boolean);
+}
+
+module.exports = { normalizeSpecial, publicSpecials };
@@ -0,0 +1,88 @@
+/**
+ * Penuel Stopover - Mock Server Store
+ * ============================================
+ * JSON-file persistence for the local n8n stand-in
+ * Seeds from fixtures/seed.json and writes every change to data/db.json
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const SEED_FILE = path.join(__dirname, '..', 'fixtures', 'seed.json');
+
+// Admin item types -> collection names in the store
+const COLLECTIONS = {
+    restaurant: 'menu',
+    supermarket: 'products',
+    service: 'services',
+    wash: 'wash_packages'
+};
+
+class Store {
+    constructor(dataFile) {
+        this.dataFile = dataFile;
+        this.data = null;
+    }
+
+    /**
+     * Load persisted data, seeding it on first run (or when reset is true)
+     */
+    load(reset = false) {
+        if (reset || !fs.existsSync(this.dataFile)) {
+            this.data = JSON.parse(fs.readFileSync(SEED_FILE, 'utf8'));
+            this.save();
+            console.log(`🌱 Seeded mock data into ${this.dataFile}`);
+            return;
+        }
+
+        const seed = JSON.parse(fs.readFileSync(SEED_FILE, 'utf8'));
+        this.data = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+
+        // Per-unit hours used to be a top-level collection next to a flat settings.hours
+        if (this.data.hours) {
+            this.data.settings.hours = this.data.hours;
+            delete this.data.hours;
+        }
+
+        // Pick up collections added to the seed after the data file was created
+        Object.keys(seed).forEach(key => {
+            if (this.data[key] === undefined) {
+                this.data[key] = seed[key];
+            }
+        });
+    }
+
+    /**
+     * Persist current data to disk
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+        fs.writeFileSync(this.dataFile, JSON.stringify(this.data, null, 2));
+    }
+
+    get(key) {
+        return this.data[key];
+    }
+
+    set(key, value) {
+        this.data[key] = value;
+    }
+
+    /**
+     * Resolve an admin item type (restaurant, supermarket, ...) to its list
+     */
+    collectionFor(type) {
+        const key = COLLECTIONS[type];
+        return key ? this.data[key] : null;
+    }
+
+    findItem(type, id) {
+        const collection = this.collectionFor(type);
+        if (!collection) return null;
+        return collection.find(item => String(item.id) === String(id)) || null;
+    }
+}
+
+module.exports = { Store, COLLECTIONS };
@@ -0,0 +1,272 @@
+/**
+ * Penuel Stopover - Mock Two-Factor Login
+ * ============================================
+ * TOTP second factor (RFC 6238: SHA-1, 6 digits, 30 s steps, the codes any
+ * authenticator app shows), single-use backup codes, and the login guard
+ * that locks a username out after repeated failed attempts.
+ *
+ * Print the current code for a secret (handy when testing without a phone):
+ *   node mock-server/lib/two-factor.js <secret>
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { MockHttpError } = require('./router');
+
+const TOTP_ISSUER = 'Penuel Stopover';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// Codes from the previous and next step are accepted (phone clock drift)
+const TOTP_WINDOW = 1;
+
+const BACKUP_CODE_COUNT = 8;
+
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 5 * 60 * 1000;
+
+// Time to enter the code after the password was accepted
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ========================================
+// TOTP
+// ========================================
+
+function base32Encode(buffer) {
+    let bits = '';
+    buffer.forEach(byte => {
+        bits += byte.toString(2).padStart(8, '0');
+    });
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const bits = String(text).toUpperCase().replace(/[\s=-]/g, '').split('').map(char => {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error(`Invalid base32 character: ${char}`);
+        return value.toString(2).padStart(5, '0');
+    }).join('');
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * New random secret, base32 as authenticator apps expect it
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * The code for a given 30 s step
+ */
+function totpCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * Step the code belongs to, or null when it matches none in the window
+ * Steps at or before `lastStep` are refused so a code cannot be replayed
+ */
+function matchTotp(secret, code, lastStep = -1, now = Date.now()) {
+    const digits = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(digits)) return null;
+
+    const step = currentStep(now);
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+        if (step + offset > lastStep && totpCode(secret, step + offset) === digits) {
+            return step + offset;
+        }
+    }
+    return null;
+}
+
+/**
+ * otpauth:// link the QR code encodes
+ */
+function otpauthUrl(secret, username) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`);
+    const issuer = encodeURIComponent(TOTP_ISSUER);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${issuer}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+}
+
+// ========================================
+// BACKUP CODES
+// ========================================
+
+function normalizeBackupCode(code) {
+    return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function hashBackupCode(code) {
+    return crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+}
+
+/**
+ * Fresh codes like "4f9a-c21e"; only their hashes are stored
+ */
+function generateBackupCodes() {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(4).toString('hex');
+        return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    });
+
+    return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+/**
+ * Check a TOTP or backup code against a user's enrolled second factor
+ * Updates the user record (last step used, spent backup code); returns
+ * 'totp', 'backup' or null
+ */
+function verifySecondFactor(twoFactor, code) {
+    const step = matchTotp(twoFactor.secret, code, twoFactor.last_step ?? -1);
+    if (step !== null) {
+        twoFactor.last_step = step;
+        return 'totp';
+    }
+
+    const hash = hashBackupCode(code);
+    const index = normalizeBackupCode(code) ? (twoFactor.backup_codes || []).indexOf(hash) : -1;
+    if (index !== -1) {
+        twoFactor.backup_codes.splice(index, 1);
+        return 'backup';
+    }
+
+    return null;
+}
+
+// ========================================
+// LOGIN GUARD
+// ========================================
+
+/**
+ * Failed attempts and lockouts per username, plus the short-lived
+ * challenges between the password and code steps (in memory, like sessions)
+ */
+class LoginGuard {
+    constructor() {
+        this.attempts = new Map();
+        this.challenges = new Map();
+    }
+
+    key(username) {
+        return String(username || '').trim().toLowerCase();
+    }
+
+    /**
+     * Refuse with 429 while the username is locked out
+     */
+    assertNotLocked(username) {
+        const entry = this.attempts.get(this.key(username));
+        if (!entry || !entry.lockedUntil) return;
+
+        if (entry.lockedUntil <= Date.now()) {
+            this.attempts.delete(this.key(username));
+            return;
+        }
+
+        throw this.lockedError(entry.lockedUntil);
+    }
+
+    /**
+     * Count a failed attempt; throws 401 with the attempts left, or 429 once locked
+     */
+    fail(username, message) {
+        const key = this.key(username);
+        const entry = this.attempts.get(key) || { count: 0, lockedUntil: null };
+        entry.count += 1;
+
+        if (entry.count >= MAX_FAILED_ATTEMPTS) {
+            entry.lockedUntil = Date.now() + LOCKOUT_MS;
+            this.attempts.set(key, entry);
+            console.log(`🔒 ${key} locked out after ${entry.count} failed attempts`);
+            throw this.lockedError(entry.lockedUntil);
+        }
+
+        this.attempts.set(key, entry);
+        throw new MockHttpError(401, message, { attempts_left: MAX_FAILED_ATTEMPTS - entry.count });
+    }
+
+    succeed(username) {
+        this.attempts.delete(this.key(username));
+    }
+
+    lockedError(lockedUntil) {
+        return new MockHttpError(429, 'Too many failed attempts. Try again later.', {
+            locked_until: new Date(lockedUntil).toISOString(),
+            retry_after: Math.ceil((lockedUntil - Date.now()) / 1000)
+        });
+    }
+
+    createChallenge(username) {
+        const token = crypto.randomBytes(24).toString('hex');
+        const expiresAt = Date.now() + CHALLENGE_TTL_MS;
+        this.challenges.set(token, { username, expiresAt });
+        return { token, expiresAt };
+    }
+
+    /**
+     * Username a live challenge was issued for, or null
+     */
+    challengeUser(token) {
+        const challenge = this.challenges.get(token);
+        if (!challenge) return null;
+
+        if (challenge.expiresAt <= Date.now()) {
+            this.challenges.delete(token);
+            return null;
+        }
+        return challenge.username;
+    }
+
+    endChallenge(token) {
+        this.challenges.delete(token);
+    }
+}
+
+module.exports = {
+    BACKUP_CODE_COUNT,
+    MAX_FAILED_ATTEMPTS,
+    LOCKOUT_MS,
+    generateSecret,
+    totpCode,
+    currentStep,
+    matchTotp,
+    otpauthUrl,
+    generateBackupCodes,
+    verifySecondFactor,
+    LoginGuard
+};
+
+if (require.main === module) {
+    const secret = process.argv[2];
+    if (!secret) {
+        console.error('Usage: node mock-server/lib/two-factor.js <secret>');
+        process.exit(1);
+    }
+    console.log(totpCode(secret, currentStep()));
+}
@@ -0,0 +1,85 @@
+/**
+ * Penuel Stopover - Mock Image Uploads
+ * ============================================
+ * Item photos posted by the dashboard as data URLs (already cropped and
+ * compressed in the browser). Files are written to data/uploads and
+ * served back at /uploads/<file>, the image_url the item then stores.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { MockHttpError } = require('./router');
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'data', 'uploads');
+const UPLOAD_URL_PREFIX = 'uploads/';
+
+// The dashboard compresses to well under this; anything bigger is not from it
+const MAX_UPLOAD_BYTES = 400 * 1024;
+
+// Accepted types with the bytes their files start with
+const IMAGE_TYPES = {
+    'image/jpeg': { extension: 'jpg', magic: [0xff, 0xd8, 0xff] },
+    'image/png': { extension: 'png', magic: [0x89, 0x50, 0x4e, 0x47] },
+    'image/webp': { extension: 'webp', magic: [0x52, 0x49, 0x46, 0x46] }
+};
+
+/**
+ * Decode "data:image/jpeg;base64,..." and check it really is that image type
+ */
+function decodeImage(dataUrl) {
+    const match = /^data:([\w/+.-]+);base64,([A-Za-z0-9+/=]+)$/.exec(String(dataUrl || ''));
+    if (!match) {
+        throw new MockHttpError(422, 'Upload must be a base64 image data URL');
+    }
+
+    const type = IMAGE_TYPES[match[1]];
+    if (!type) {
+        throw new MockHttpError(422, 'Upload a JPEG, PNG or WebP image');
+    }
+
+    const buffer = Buffer.from(match[2], 'base64');
+    if (buffer.length > MAX_UPLOAD_BYTES) {
+        throw new MockHttpError(413, `Images must be ${MAX_UPLOAD_BYTES / 1024} KB or smaller`);
+    }
+    if (!type.magic.every((byte, index) => buffer[index] === byte)) {
+        throw new MockHttpError(422, 'The uploaded file is not a valid image');
+    }
+
+    return { buffer, extension: type.extension };
+}
+
+/**
+ * Store an upload named after the item; returns its site-relative URL
+ */
+function saveUpload(dataUrl, itemId) {
+    const { buffer, extension } = decodeImage(dataUrl);
+    const slug = String(itemId || 'item').toLowerCase().replace(/[^a-z0-9-]+/g, '-').slice(0, 40) || 'item';
+    const fileName = `${slug}-${crypto.randomBytes(4).toString('hex')}.${extension}`;
+
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    fs.writeFileSync(path.join(UPLOAD_DIR, fileName), buffer);
+
+    return { url: `${UPLOAD_URL_PREFIX}${fileName}`, bytes: buffer.length };
+}
+
+/**
+ * File path for a /uploads/<file> request, or null when it is not one
+ * Throws 400 when the path is not valid percent-encoding
+ */
+function uploadPath(pathname) {
+    if (!pathname.startsWith(`/${UPLOAD_URL_PREFIX}`)) return null;
+
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        throw new MockHttpError(400, 'Malformed URL');
+    }
+
+    return path.join(UPLOAD_DIR, path.basename(decoded));
+}
+
+module.exports = { MAX_UPLOAD_BYTES, saveUpload, uploadPath };
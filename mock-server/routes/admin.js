@@ -0,0 +1,1074 @@
+/**
+ * Penuel Stopover - Mock Admin Routes
+ * ============================================
+ * Authentication, management data and save endpoints used by admin.html
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { MockHttpError } = require('../lib/router');
+const { COLLECTIONS } = require('../lib/store');
+const { snapshot, diffItem, getPath, recordEntry, revertChange } = require('../lib/history');
+const { NAIROBI_OFFSET, normalizeSchedule } = require('../lib/hours');
+const { normalizeSpecial } = require('../lib/specials');
+const {
+    INQUIRY_TYPES, INQUIRY_STATUSES, MAX_NOTE_LENGTH, MAX_REPLY_LENGTH, withInboxFields, inquiryTypeOf, requireText
+} = require('../lib/inquiries');
+const { BOOKING_UNITS, normalizeBooking, assignLane } = require('../lib/bookings');
+const { summarizeAnalytics } = require('../lib/analytics');
+const { buildScheduleEntry } = require('../lib/schedule');
+const { buildKnowledge, KnowledgeSync } = require('../lib/knowledge');
+const { saveUpload } = require('../lib/uploads');
+const {
+    generateSecret, matchTotp, otpauthUrl, generateBackupCodes, verifySecondFactor, LoginGuard
+} = require('../lib/two-factor');
+
+// Prefix for ids generated when admin creates an item
+const ID_PREFIXES = {
+    restaurant: 'menu',
+    supermarket: 'prod',
+    service: 'svc',
+    wash: 'wash'
+};
+
+// Must match ITEM_CATEGORIES in js/admin-script.js
+const ITEM_CATEGORIES = {
+    restaurant: ['breakfast', 'lunch', 'dinner', 'drinks'],
+    supermarket: ['groceries', 'snacks', 'household'],
+    service: ['inspection', 'maintenance', 'repairs'],
+    wash: ['exterior', 'interior', 'premium']
+};
+
+const ALL_TYPES = Object.keys(COLLECTIONS);
+
+// Site-wide business status (settings.status)
+const STATUS_MODES = ['open', 'closed', 'maintenance'];
+const STATUS_UNITS = ['restaurant', 'supermarket', 'service_bay', 'car_wash'];
+
+// Must match ADMIN_ROLES in js/admin-script.js
+const ADMIN_ROLES = {
+    owner: { types: ALL_TYPES, prices: true, manageItems: true, settings: 'edit', history: true, inbox: INQUIRY_TYPES, bookings: true, insights: true },
+    manager: { types: ALL_TYPES, prices: true, manageItems: true, settings: 'view', history: true, inbox: INQUIRY_TYPES, bookings: true, insights: true },
+    restaurant_staff: { types: ['restaurant'], prices: false, manageItems: false, settings: null, history: false, inbox: ['restaurant'], bookings: false, insights: false },
+    shop_staff: { types: ['supermarket'], prices: false, manageItems: false, settings: null, history: false, inbox: ['supermarket'], bookings: false, insights: false },
+    service_staff: { types: ['service', 'wash'], prices: false, manageItems: false, settings: null, history: false, inbox: ['service_bay', 'car_wash'], bookings: true, insights: false }
+};
+
+/**
+ * Register admin routes under /webhook/penuel-admin
+ */
+function registerAdminRoutes(router, store, sessions) {
+    const loginGuard = new LoginGuard();
+
+    const startSession = (user) => {
+        const session = sessions.create(user);
+        console.log(`🔑 ${user.username} logged in as ${user.role}`);
+
+        return {
+            success: true,
+            token: session.token,
+            username: user.username,
+            role: user.role,
+            expires_at: new Date(session.expiresAt).toISOString()
+        };
+    };
+
+    // ADMIN_AUTH_ENDPOINT -> { success, token } or, with two-factor enabled,
+    // { success, two_factor_required, challenge, challenge_expires_at }
+    // Failed attempts answer 401 with attempts_left; after 5, 429 with locked_until
+    router.post('/webhook/penuel-admin/auth', ({ body }) => {
+        loginGuard.assertNotLocked(body.username);
+
+        const user = store.get('users').find(u => u.username === body.username);
+
+        if (!user || user.password !== body.password) {
+            loginGuard.fail(body.username, 'Invalid username or password');
+        }
+
+        if (!ADMIN_ROLES[user.role]) {
+            throw new MockHttpError(403, 'This account has no dashboard role assigned');
+        }
+
+        if (user.two_factor?.enabled) {
+            const challenge = loginGuard.createChallenge(user.username);
+            return {
+                success: true,
+                two_factor_required: true,
+                challenge: challenge.token,
+                challenge_expires_at: new Date(challenge.expiresAt).toISOString()
+            };
+        }
+
+        loginGuard.succeed(user.username);
+        return startSession(user);
+    }, { apiKey: true });
+
+    // ADMIN_2FA_VERIFY_ENDPOINT -> { success, token, ... } like a password-only login
+    // Body: { challenge, code } - an authenticator code or an unused backup code
+    router.post('/webhook/penuel-admin/auth/2fa', ({ body }) => {
+        const username = loginGuard.challengeUser(body.challenge);
+        if (!username) {
+            throw new MockHttpError(401, 'This sign-in has expired. Enter your password again.', { challenge_expired: true });
+        }
+
+        loginGuard.assertNotLocked(username);
+
+        const user = store.get('users').find(u => u.username === username);
+        const method = user?.two_factor?.enabled ? verifySecondFactor(user.two_factor, body.code) : null;
+
+        if (!method) {
+            try {
+                loginGuard.fail(username, 'Invalid verification code');
+            } catch (error) {
+                // Locked out: the password has to be entered again afterwards
+                if (error.status === 429) loginGuard.endChallenge(body.challenge);
+                throw error;
+            }
+        }
+
+        store.save();
+        loginGuard.endChallenge(body.challenge);
+        loginGuard.succeed(username);
+
+        return {
+            ...startSession(user),
+            backup_code_used: method === 'backup',
+            backup_codes_left: user.two_factor.backup_codes.length
+        };
+    }, { apiKey: true });
+
+    // ADMIN_VERIFY_ENDPOINT -> { success, username, role, expires_at }
+    router.get('/webhook/penuel-admin/verify', ({ session }) => ({
+        success: true,
+        username: session.username,
+        role: session.role,
+        expires_at: new Date(session.expiresAt).toISOString()
+    }), { apiKey: true, admin: true });
+
+    // ADMIN_REFRESH_ENDPOINT -> { success, token, expires_at } (old token stops working)
+    router.post('/webhook/penuel-admin/refresh', ({ session }) => {
+        const fresh = sessions.refresh(session.token);
+        return { success: true, token: fresh.token, expires_at: new Date(fresh.expiresAt).toISOString() };
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_LOGOUT_ENDPOINT -> { success } (revokes the token)
+    router.post('/webhook/penuel-admin/logout', ({ session }) => {
+        sessions.revoke(session.token);
+        return { success: true };
+    }, { apiKey: true, admin: true });
+
+    const currentUser = (session) => store.get('users').find(u => u.username === session.username);
+
+    // ADMIN_2FA_ENDPOINT -> { enabled, backup_codes_left, enrolled_at }
+    router.get('/webhook/penuel-admin/2fa', ({ session }) => {
+        const twoFactor = currentUser(session).two_factor;
+        return {
+            enabled: Boolean(twoFactor?.enabled),
+            backup_codes_left: twoFactor?.enabled ? twoFactor.backup_codes.length : 0,
+            enrolled_at: twoFactor?.enabled ? twoFactor.enrolled_at : null
+        };
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_2FA_SETUP_ENDPOINT -> { secret, otpauth_url } (not active until confirmed)
+    router.post('/webhook/penuel-admin/2fa/setup', ({ session }) => {
+        const user = currentUser(session);
+        if (user.two_factor?.enabled) {
+            throw new MockHttpError(409, 'Two-factor login is already on. Turn it off first to enroll a new device.');
+        }
+
+        const secret = generateSecret();
+        user.two_factor = { enabled: false, pending_secret: secret };
+        store.save();
+
+        return { success: true, secret, otpauth_url: otpauthUrl(secret, user.username) };
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_2FA_ENABLE_ENDPOINT -> { success, backup_codes } (shown once)
+    // Body: { code } - the first code from the authenticator app
+    router.post('/webhook/penuel-admin/2fa/enable', ({ body, session }) => {
+        const user = currentUser(session);
+        const secret = user.two_factor?.pending_secret;
+        if (!secret) {
+            throw new MockHttpError(409, 'Start the setup again to get a new QR code');
+        }
+
+        const step = matchTotp(secret, body.code);
+        if (step === null) {
+            throw new MockHttpError(422, 'That code does not match. Check the time on your phone and try the next code.');
+        }
+
+        const backup = generateBackupCodes();
+        user.two_factor = {
+            enabled: true,
+            secret,
+            last_step: step,
+            backup_codes: backup.hashes,
+            enrolled_at: new Date().toISOString()
+        };
+        store.save();
+        console.log(`🔐 ${user.username} turned on two-factor login`);
+
+        return { success: true, backup_codes: backup.codes };
+    }, { apiKey: true, admin: true });
+
+    // Both need a current code, so a borrowed session cannot weaken the account;
+    // wrong codes count towards the same lockout as the login
+    const requireCurrentCode = (user, code) => {
+        if (!user.two_factor?.enabled) {
+            throw new MockHttpError(409, 'Two-factor login is not on for this account');
+        }
+
+        loginGuard.assertNotLocked(user.username);
+
+        if (!verifySecondFactor(user.two_factor, code)) {
+            loginGuard.fail(user.username, 'Invalid verification code');
+        }
+
+        loginGuard.succeed(user.username);
+    };
+
+    // ADMIN_2FA_BACKUP_CODES_ENDPOINT -> { success, backup_codes } (old codes stop working)
+    // Body: { code }
+    router.post('/webhook/penuel-admin/2fa/backup-codes', ({ body, session }) => {
+        const user = currentUser(session);
+        requireCurrentCode(user, body.code);
+
+        const backup = generateBackupCodes();
+        user.two_factor.backup_codes = backup.hashes;
+        store.save();
+
+        return { success: true, backup_codes: backup.codes };
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_2FA_DISABLE_ENDPOINT -> { success }
+    // Body: { code }
+    router.post('/webhook/penuel-admin/2fa/disable', ({ body, session }) => {
+        const user = currentUser(session);
+        requireCurrentCode(user, body.code);
+
+        delete user.two_factor;
+        store.save();
+        console.log(`🔓 ${user.username} turned off two-factor login`);
+
+        return { success: true };
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_DATA_ENDPOINT -> { menu, products, services, wash_packages, settings }
+    // Only the collections (and settings) the session's role may see
+    // Every item and the settings block carry a version the save must echo back
+    router.get('/webhook/penuel-admin/data', ({ session }) => {
+        const role = roleFor(session);
+        const data = {};
+
+        role.types.forEach(type => {
+            data[COLLECTIONS[type]] = store.collectionFor(type).map(item => ({ version: 1, ...item }));
+        });
+
+        if (role.settings) data.settings = { version: 1, ...store.get('settings') };
+
+        return data;
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_SAVE_ENDPOINT -> { success, updated, created: { tempId: newId } }
+    // Item changes may carry action: create | archive | restore | delete (default update)
+    // and baseVersion; body.settingsVersion covers settings/hours. Stale versions -> 409 { conflicts }
+    router.post('/webhook/penuel-admin/save', ({ body, session }) => {
+        // Settings values (settings-phone, hours-restaurant) travel in the same map client-side
+        const changes = (Array.isArray(body.items) ? body.items : [])
+            .filter(change => change && typeof change === 'object' && change.type);
+
+        const role = roleFor(session);
+        const touchesSettings = [body.settings, body.hours].some(group => group && Object.keys(group).length > 0);
+        if (touchesSettings && role.settings !== 'edit') {
+            throw new MockHttpError(403, 'Your role cannot change business settings');
+        }
+
+        const conflicts = findConflicts(store, changes, touchesSettings ? body.settingsVersion : undefined);
+        if (conflicts.length > 0) {
+            throw new MockHttpError(409, 'Someone else changed these records since you loaded them', { conflicts });
+        }
+
+        const status = body.settings && body.settings.status !== undefined
+            ? normalizeStatus(body.settings.status)
+            : undefined;
+
+        // body.hours: { restaurant: schedule, ... }, one whole schedule per edited unit
+        const hours = {};
+        Object.entries(body.hours || {}).forEach(([unit, schedule]) => {
+            hours[unit] = normalizeSchedule(unit, schedule);
+        });
+
+        // Validate everything before touching the store so a bad row saves nothing
+        const resolved = changes.map(change => {
+            if (!COLLECTIONS[change.type]) {
+                throw new MockHttpError(422, `Unknown item type: ${change.type}`);
+            }
+
+            if (change.action === 'create') {
+                authorizeItemChange(role, null, change);
+                validateNewItem(store, change);
+                return { item: null, change };
+            }
+
+            const item = store.findItem(change.type, change.id);
+            if (!item) {
+                throw new MockHttpError(422, `Unknown ${change.type} item: ${change.id}`);
+            }
+
+            authorizeItemChange(role, item, change);
+            validateItemChange(item, change);
+
+            // effective_from: price/availability are scheduled instead of applied now
+            const scheduled = change.effective_from ? buildScheduleEntry(item, change, session.username) : null;
+            return { item, change, scheduled };
+        });
+
+        const created = {};
+        const history = [];
+        resolved.forEach(({ item, change, scheduled }) => {
+            if (change.action === 'create') {
+                const newItem = createItem(store, change, session.username);
+                created[change.id] = newItem.id;
+                history.push(itemRecord(change.type, 'create', null, newItem));
+            } else if (change.action === 'delete') {
+                const collection = store.collectionFor(change.type);
+                collection.splice(collection.indexOf(item), 1);
+                history.push(itemRecord(change.type, 'delete', item, null));
+            } else {
+                const before = snapshot(item);
+                if (scheduled) {
+                    applyItemChange(item, { ...change, price: undefined, outOfStock: undefined });
+                    item.schedule = [...(item.schedule || []), scheduled];
+                } else {
+                    applyItemChange(item, change);
+                }
+                history.push(itemRecord(change.type, change.action || 'update', before, item));
+                stamp(item, session.username);
+            }
+        });
+        const updated = resolved.length;
+
+        const settings = store.get('settings');
+        const settingChanges = {};
+
+        if (body.settings && Object.keys(body.settings).length > 0) {
+            if (body.settings.phone !== undefined) settingChanges.phone = body.settings.phone;
+            if (body.settings.email !== undefined) settingChanges.email = body.settings.email;
+            if (status !== undefined) settingChanges.status = status;
+        }
+
+        Object.entries(hours).forEach(([unit, schedule]) => {
+            settingChanges[`hours.${unit}`] = schedule;
+        });
+
+        Object.entries(settingChanges).forEach(([key, value]) => {
+            const before = snapshot(getPath(settings, key));
+            if (JSON.stringify(before) === JSON.stringify(value)) return;
+
+            const [group, field] = key.split('.');
+            if (field) {
+                settings[group] = { ...settings[group], [field]: value };
+            } else {
+                settings[group] = value;
+            }
+            history.push({ kind: 'setting', key, before, after: snapshot(value) });
+        });
+
+        if (history.some(record => record.kind === 'setting')) {
+            stamp(settings, session.username);
+        }
+
+        // Unchanged rows (e.g. a price typed back to its old value) are not history
+        const entry = recordEntry(store, {
+            user: session.username,
+            changes: history.filter(record => record.kind !== 'item' || record.before === null || record.after === null || Object.keys(record.before).length > 0)
+        });
+
+        store.save();
+        console.log(`💾 ${session.username} saved ${updated} item(s)`);
+
+        return { success: true, updated, created, history_id: entry ? entry.id : null };
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_HISTORY_ENDPOINT -> { history: [{ id, user, timestamp, revert_of, changes }] } (newest first)
+    router.get('/webhook/penuel-admin/history', ({ query, session }) => {
+        if (!roleFor(session).history) {
+            throw new MockHttpError(403, 'Your role cannot view change history');
+        }
+
+        const limit = Math.min(Number(query.get('limit')) || 50, 200);
+        return { history: store.get('history').slice(0, limit) };
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_ANALYTICS_ENDPOINT -> { page_views, button_clicks, selections, chat, specials, days, ... }
+    // Query: from, to (YYYY-MM-DD, inclusive) - aggregates events posted to /api/analytics
+    router.get('/webhook/penuel-admin/analytics', ({ query, session }) => {
+        if (!roleFor(session).insights) {
+            throw new MockHttpError(403, 'Your role cannot view site insights');
+        }
+
+        return summarizeAnalytics(store.get('analytics'), {
+            from: query.get('from'),
+            to: query.get('to'),
+            specials: store.get('specials')
+        });
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_SCHEDULE_CANCEL_ENDPOINT -> { success, item, history_id }
+    // Body: { type, id, scheduleId } - drops a scheduled price/availability change
+    router.post('/webhook/penuel-admin/schedule/cancel', ({ body, session }) => {
+        const role = roleFor(session);
+        if (!role.manageItems || !role.types.includes(body.type)) {
+            throw new MockHttpError(403, 'Your role cannot cancel scheduled changes');
+        }
+
+        const item = COLLECTIONS[body.type] ? store.findItem(body.type, body.id) : null;
+        const scheduled = item && (item.schedule || []).find(entry => entry.id === body.scheduleId);
+        if (!scheduled) {
+            throw new MockHttpError(404, `Unknown scheduled change: ${body.scheduleId}`);
+        }
+
+        const before = snapshot(item);
+        item.schedule = item.schedule.filter(entry => entry !== scheduled);
+        if (item.schedule.length === 0) delete item.schedule;
+        const record = itemRecord(body.type, 'update', before, item);
+        stamp(item, session.username);
+
+        const entry = recordEntry(store, { user: session.username, changes: [record] });
+        store.save();
+
+        return { success: true, item, history_id: entry ? entry.id : null };
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_REVERT_ENDPOINT -> { success, reverted, history_id }
+    // Body: { saveId, changeIndex? } - omit changeIndex to revert the whole save
+    router.post('/webhook/penuel-admin/revert', ({ body, session }) => {
+        const entry = store.get('history').find(saved => saved.id === body.saveId);
+        if (!entry) {
+            throw new MockHttpError(404, `Unknown save: ${body.saveId}`);
+        }
+
+        const indexes = body.changeIndex === undefined || body.changeIndex === null
+            ? entry.changes.map((change, index) => index)
+            : [Number(body.changeIndex)];
+
+        indexes.forEach(index => {
+            if (!entry.changes[index]) {
+                throw new MockHttpError(422, `Save ${entry.id} has no change #${index}`);
+            }
+        });
+
+        // Undo newest-first so a create + update in one save unwinds cleanly
+        const pending = indexes.filter(index => !entry.changes[index].reverted_by).reverse();
+        if (pending.length === 0) {
+            throw new MockHttpError(409, 'These changes have already been reverted');
+        }
+
+        const role = roleFor(session);
+        pending.forEach(index => {
+            if (!canRevert(role, entry.changes[index])) {
+                throw new MockHttpError(403, 'Your role cannot revert some of these changes');
+            }
+        });
+
+        const inverse = pending
+            .map(index => ({ index, record: revertChange(store, entry.changes[index]) }))
+            .filter(({ record }) => record !== null);
+
+        // Reverted records are new versions, so open dashboards see a conflict
+        inverse.forEach(({ record }) => {
+            if (record.kind === 'setting') {
+                stamp(store.get('settings'), session.username);
+            } else if (record.action !== 'delete') {
+                stamp(store.findItem(record.type, record.id), session.username);
+            }
+        });
+
+        const revertEntry = recordEntry(store, {
+            user: session.username,
+            changes: inverse.map(({ record }) => record),
+            revertOf: entry.id
+        });
+
+        pending.forEach(index => {
+            entry.changes[index].reverted_by = revertEntry ? revertEntry.id : 'noop';
+        });
+
+        store.save();
+        console.log(`↩️ ${session.username} reverted ${inverse.length} change(s) from ${entry.id}`);
+
+        return { success: true, reverted: inverse.length, history_id: revertEntry ? revertEntry.id : null };
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_SPECIALS_ENDPOINT (GET) -> { specials }
+    router.get('/webhook/penuel-admin/specials', ({ session }) => {
+        requireSpecialsAccess(session);
+        return { specials: store.get('specials') };
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_SPECIALS_ENDPOINT (POST) -> { success, special }
+    // Body: { special } - creates it, or replaces the special with the same id
+    router.post('/webhook/penuel-admin/specials', ({ body, session }) => {
+        requireSpecialsAccess(session);
+
+        const specials = store.get('specials');
+        const index = body.special && body.special.id
+            ? specials.findIndex(special => special.id === body.special.id)
+            : -1;
+
+        if (body.special && body.special.id && index === -1) {
+            throw new MockHttpError(404, `Unknown special: ${body.special.id}`);
+        }
+
+        const special = {
+            ...normalizeSpecial(store, body.special),
+            updated_at: new Date().toISOString(),
+            updated_by: session.username
+        };
+
+        if (index === -1) {
+            specials.push(special);
+        } else {
+            specials[index] = special;
+        }
+
+        store.save();
+        console.log(`🏷️ ${session.username} ${index === -1 ? 'created' : 'updated'} special ${special.id}`);
+
+        return { success: true, special };
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_SPECIALS_DELETE_ENDPOINT -> { success }
+    router.post('/webhook/penuel-admin/specials/delete', ({ body, session }) => {
+        requireSpecialsAccess(session);
+
+        const specials = store.get('specials');
+        const index = specials.findIndex(special => special.id === body.id);
+        if (index === -1) {
+            throw new MockHttpError(404, `Unknown special: ${body.id}`);
+        }
+
+        specials.splice(index, 1);
+        store.save();
+
+        return { success: true };
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_INQUIRIES_ENDPOINT -> { inquiries, staff, unread }
+    // Newest first, only the service types the role handles
+    // staff lists who each inquiry type can be assigned to
+    router.get('/webhook/penuel-admin/inquiries', ({ session }) => {
+        const role = roleFor(session);
+        const inquiries = store.get('inquiries')
+            .map(withInboxFields)
+            .filter(inquiry => role.inbox.includes(inquiryTypeOf(inquiry)))
+            .sort((a, b) => String(b.received_at).localeCompare(String(a.received_at)));
+
+        const staff = store.get('users')
+            .filter(user => ADMIN_ROLES[user.role])
+            .map(user => ({
+                username: user.username,
+                display_name: user.display_name || user.username,
+                inbox: ADMIN_ROLES[user.role].inbox
+            }));
+
+        return {
+            inquiries,
+            staff,
+            unread: inquiries.filter(inquiry => !inquiry.read_by.includes(session.username)).length
+        };
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_INQUIRY_READ_ENDPOINT -> { success, inquiry }
+    router.post('/webhook/penuel-admin/inquiries/read', ({ body, session }) => {
+        const inquiry = findInquiry(store, session, body.id);
+
+        if (!inquiry.read_by.includes(session.username)) {
+            inquiry.read_by.push(session.username);
+            store.save();
+        }
+
+        return { success: true, inquiry };
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_INQUIRY_UPDATE_ENDPOINT -> { success, inquiry }
+    // Body: { id, status?, assigned_to? (username or null), note? }
+    router.post('/webhook/penuel-admin/inquiries/update', ({ body, session }) => {
+        const inquiry = findInquiry(store, session, body.id);
+        const now = new Date().toISOString();
+
+        if (body.status !== undefined) {
+            if (!INQUIRY_STATUSES.includes(body.status)) {
+                throw new MockHttpError(422, `Invalid status: ${body.status}`);
+            }
+            inquiry.status = body.status;
+        }
+
+        if (body.assigned_to !== undefined) {
+            if (body.assigned_to !== null) {
+                const assignee = store.get('users').find(user => user.username === body.assigned_to);
+                const assigneeRole = assignee && ADMIN_ROLES[assignee.role];
+
+                if (!assigneeRole || !assigneeRole.inbox.includes(inquiryTypeOf(inquiry))) {
+                    throw new MockHttpError(422, `${body.assigned_to} cannot handle ${inquiryTypeOf(inquiry)} inquiries`);
+                }
+            }
+            inquiry.assigned_to = body.assigned_to;
+        }
+
+        if (body.note !== undefined) {
+            inquiry.notes.push({ text: requireText(body.note, 'Note', MAX_NOTE_LENGTH), by: session.username, at: now });
+        }
+
+        inquiry.updated_at = now;
+        inquiry.updated_by = session.username;
+        store.save();
+
+        return { success: true, inquiry };
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_INQUIRY_REPLY_ENDPOINT -> { success, inquiry }
+    // Production emails the customer; the mock only records the reply
+    router.post('/webhook/penuel-admin/inquiries/reply', ({ body, session }) => {
+        const inquiry = findInquiry(store, session, body.id);
+        if (!inquiry.email) {
+            throw new MockHttpError(422, 'This inquiry has no email address to reply to');
+        }
+
+        const now = new Date().toISOString();
+        inquiry.replies.push({
+            message: requireText(body.message, 'Reply', MAX_REPLY_LENGTH),
+            to: inquiry.email,
+            by: session.username,
+            at: now
+        });
+
+        if (inquiry.status === 'new') inquiry.status = 'in_progress';
+        inquiry.updated_at = now;
+        inquiry.updated_by = session.username;
+        store.save();
+
+        console.log(`📧 ${session.username} replied to ${inquiry.id} (${inquiry.email})`);
+
+        return { success: true, inquiry };
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_BOOKINGS_ENDPOINT (GET) -> { bookings, units }
+    // ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive Nairobi days); units carries lane capacity
+    router.get('/webhook/penuel-admin/bookings', ({ query, session }) => {
+        requireBookingsAccess(session);
+
+        const from = query.get('from') ? new Date(`${query.get('from')}T00:00:00${NAIROBI_OFFSET}`) : null;
+        const to = query.get('to') ? new Date(`${query.get('to')}T00:00:00${NAIROBI_OFFSET}`) : null;
+        if (to) to.setTime(to.getTime() + 24 * 60 * 60 * 1000);
+
+        const bookings = store.get('bookings')
+            .filter(booking => {
+                const start = new Date(booking.starts_at);
+                return (!from || start >= from) && (!to || start < to);
+            })
+            .sort((a, b) => a.starts_at.localeCompare(b.starts_at));
+
+        return { bookings, units: BOOKING_UNITS };
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_BOOKINGS_ENDPOINT (POST) -> { success, booking }
+    // Body: { booking } - creates it, or updates the booking with the same id
+    // (reschedule, lane, status...). A lane sent with the request is kept or refused;
+    // otherwise the booking keeps its lane or moves to a free one.
+    router.post('/webhook/penuel-admin/bookings', ({ body, session }) => {
+        requireBookingsAccess(session);
+
+        const input = body.booking || {};
+        const bookings = store.get('bookings');
+        const index = input.id ? bookings.findIndex(booking => booking.id === input.id) : -1;
+
+        if (input.id && index === -1) {
+            throw new MockHttpError(404, `Unknown booking: ${input.id}`);
+        }
+
+        const normalized = normalizeBooking(store, input, index === -1 ? null : bookings[index]);
+        const strict = input.lane !== undefined && input.lane !== null;
+        const booking = {
+            ...assignLane(bookings, normalized, strict),
+            updated_at: new Date().toISOString(),
+            updated_by: session.username
+        };
+
+        if (index === -1) {
+            bookings.push(booking);
+        } else {
+            bookings[index] = booking;
+        }
+
+        store.save();
+        console.log(`📅 ${session.username} ${index === -1 ? 'booked' : 'updated'} ${booking.id} (${booking.unit} ${booking.lane}, ${booking.status})`);
+
+        return { success: true, booking };
+    }, { apiKey: true, admin: true });
+
+    const knowledgeSync = new KnowledgeSync(store);
+
+    // AI_SYNC_ENDPOINT -> { success, job } (the job runs in the background; poll the status)
+    // Body: { action: 'update_knowledge', trigger?, retry_of? }
+    // ?__sync_fail=1 / x-mock-sync-fail: 1 makes the job fail
+    router.post('/webhook/penuel-admin/ai-sync', ({ req, body, query, session }) => {
+        requireAiSyncAccess(session);
+
+        if (body.action !== 'update_knowledge') {
+            throw new MockHttpError(400, `Unsupported action: ${body.action}`);
+        }
+
+        const job = knowledgeSync.request({
+            trigger: body.trigger,
+            retryOf: body.retry_of || null,
+            username: session.username,
+            fail: query.get('__sync_fail') === '1' || req.headers['x-mock-sync-fail'] === '1'
+        });
+
+        return { success: true, job };
+    }, { apiKey: true, admin: true });
+
+    // AI_SYNC_STATUS_ENDPOINT -> { jobs (newest first), last_success }
+    router.get('/webhook/penuel-admin/ai-sync/status', ({ session }) => {
+        requireAiSyncAccess(session);
+        return knowledgeSync.status();
+    }, { apiKey: true, admin: true });
+
+    // AI_SYNC_PREVIEW_ENDPOINT -> { facts } (what the next sync would push)
+    router.get('/webhook/penuel-admin/ai-sync/preview', ({ session }) => {
+        requireAiSyncAccess(session);
+        return { facts: buildKnowledge(store) };
+    }, { apiKey: true, admin: true });
+
+    // ADMIN_UPLOAD_ENDPOINT -> { success, url, bytes }
+    // Body: { type, id, data } - data is a cropped, compressed image data URL;
+    // the returned url goes into the item's image_url with the next save
+    router.post('/webhook/penuel-admin/uploads', ({ body, session }) => {
+        const role = roleFor(session);
+        if (!role.manageItems || !role.types.includes(body.type)) {
+            throw new MockHttpError(403, 'Your role cannot upload item photos');
+        }
+
+        const upload = saveUpload(body.data, body.id);
+        console.log(`🖼️ ${session.username} uploaded ${upload.url} (${Math.round(upload.bytes / 1024)} KB)`);
+
+        return { success: true, ...upload };
+    }, { apiKey: true, admin: true });
+}
+
+// Fields the admin item editor may change (public card fields plus the supplier)
+const DETAIL_FIELDS = ['name', 'description', 'category', 'image_url', 'subtitle', 'icon', 'duration_minutes', 'features', 'supplier'];
+
+const MAX_REORDER_LEVEL = 10000;
+
+/**
+ * Permissions for the session's role (sessions always carry a known role)
+ */
+function roleFor(session) {
+    const role = ADMIN_ROLES[session.role];
+    if (!role) {
+        throw new MockHttpError(403, 'This account has no dashboard role assigned');
+    }
+    return role;
+}
+
+/**
+ * Specials are managed by the roles that can create items
+ */
+function requireSpecialsAccess(session) {
+    if (!roleFor(session).manageItems) {
+        throw new MockHttpError(403, 'Your role cannot manage specials');
+    }
+}
+
+/**
+ * The knowledge sync pushes every price and item, so it is for the roles
+ * that can both manage items and change prices
+ */
+function requireAiSyncAccess(session) {
+    const role = roleFor(session);
+    if (!role.manageItems || !role.prices) {
+        throw new MockHttpError(403, 'Your role cannot sync the AI assistant');
+    }
+}
+
+/**
+ * The booking calendar is for the roles that run the service bay and wash
+ */
+function requireBookingsAccess(session) {
+    if (!roleFor(session).bookings) {
+        throw new MockHttpError(403, 'Your role cannot view bookings');
+    }
+}
+
+/**
+ * Inquiry by id, if the session's role handles its service type
+ */
+function findInquiry(store, session, id) {
+    const inquiry = store.get('inquiries').find(entry => entry.id === id);
+    if (!inquiry) {
+        throw new MockHttpError(404, `Unknown inquiry: ${id}`);
+    }
+
+    if (!roleFor(session).inbox.includes(inquiryTypeOf(inquiry))) {
+        throw new MockHttpError(403, 'Your role cannot view this inquiry');
+    }
+
+    return withInboxFields(inquiry);
+}
+
+/**
+ * Reject changes outside the role's item types, prices or item management
+ * Unchanged values are allowed so full rows from the client pass through
+ */
+function authorizeItemChange(role, item, change) {
+    if (!role.types.includes(change.type)) {
+        throw new MockHttpError(403, `Your role cannot edit ${change.type} items`);
+    }
+
+    if (change.action && !role.manageItems) {
+        throw new MockHttpError(403, `Your role cannot ${change.action} items`);
+    }
+
+    if (change.effective_from) {
+        if (!role.manageItems) {
+            throw new MockHttpError(403, 'Your role cannot schedule changes');
+        }
+        if (change.action) {
+            throw new MockHttpError(422, 'Only price and availability changes can be scheduled');
+        }
+    }
+
+    if (!item) return;
+
+    if (!role.prices && change.price !== undefined && Number(change.price) !== Number(item.price_kes)) {
+        throw new MockHttpError(403, `Your role cannot change the price of ${item.name}`);
+    }
+
+    const detailChanged = DETAIL_FIELDS.some(field =>
+        change[field] !== undefined && JSON.stringify(change[field]) !== JSON.stringify(item[field]));
+    if (!role.manageItems && detailChanged) {
+        throw new MockHttpError(403, `Your role cannot edit the details of ${item.name}`);
+    }
+}
+
+/**
+ * Reverting may recreate, delete or reprice items, so it needs full item rights
+ */
+function canRevert(role, change) {
+    if (change.kind === 'setting') return role.settings === 'edit';
+    return role.types.includes(change.type) && role.manageItems && role.prices;
+}
+
+/**
+ * Reject out-of-range values with a 422
+ */
+function validateItemChange(item, change) {
+    if (change.price !== undefined) {
+        const price = Number(change.price);
+        if (!Number.isFinite(price) || price < 0) {
+            throw new MockHttpError(422, `Invalid price for ${item.name}`);
+        }
+    }
+
+    if (change.stock !== undefined) {
+        const stock = Number(change.stock);
+        if (!Number.isInteger(stock) || stock < 0) {
+            throw new MockHttpError(422, `Invalid stock level for ${item.name}`);
+        }
+    }
+
+    if (change.reorder_level !== undefined) {
+        const level = Number(change.reorder_level);
+        if (!Number.isInteger(level) || level < 0 || level > MAX_REORDER_LEVEL) {
+            throw new MockHttpError(422, `Invalid reorder level for ${item.name}`);
+        }
+    }
+
+    validateItemDetails(item, change);
+}
+
+/**
+ * Validate public card fields sent by the item editor
+ */
+function validateItemDetails(item, change) {
+    const fail = message => {
+        throw new MockHttpError(422, `${item.name}: ${message}`);
+    };
+
+    if (change.name !== undefined && String(change.name).trim().length < 2) {
+        fail('name must be at least 2 characters');
+    }
+
+    if (change.category !== undefined && change.type && !ITEM_CATEGORIES[change.type].includes(change.category)) {
+        fail(`invalid category "${change.category}"`);
+    }
+
+    if (change.description !== undefined && String(change.description).length > 300) {
+        fail('description must be 300 characters or less');
+    }
+
+    if (change.image_url && !/^(https?:\/\/|\/|img\/|uploads\/)\S+$/i.test(change.image_url)) {
+        fail('image URL must be http(s) or a site path');
+    }
+
+    if (change.duration_minutes !== undefined) {
+        const duration = Number(change.duration_minutes);
+        if (!Number.isInteger(duration) || duration < 5 || duration > 600) {
+            fail('duration must be between 5 and 600 minutes');
+        }
+    }
+
+    if (change.features !== undefined && (!Array.isArray(change.features) || change.features.length > 8)) {
+        fail('features must be a list of at most 8 entries');
+    }
+
+    if (change.supplier !== undefined && String(change.supplier).length > 80) {
+        fail('supplier must be 80 characters or less');
+    }
+}
+
+/**
+ * Validate a create change (name, category, price, stock)
+ */
+function validateNewItem(store, change) {
+    const name = String(change.name || '').trim();
+    if (name.length < 2) {
+        throw new MockHttpError(422, 'Item name must be at least 2 characters');
+    }
+
+    const duplicate = store.collectionFor(change.type)
+        .some(item => String(item.name).toLowerCase() === name.toLowerCase());
+    if (duplicate) {
+        throw new MockHttpError(422, `An item named "${name}" already exists`);
+    }
+
+    if (!ITEM_CATEGORIES[change.type].includes(change.category)) {
+        throw new MockHttpError(422, `Invalid category for ${name}: ${change.category}`);
+    }
+
+    validateItemChange({ name }, change);
+}
+
+/**
+ * Validate the business status block and fill in every unit
+ */
+function normalizeStatus(status) {
+    if (!status || typeof status !== 'object' || !STATUS_MODES.includes(status.mode)) {
+        throw new MockHttpError(422, `Business status must be one of: ${STATUS_MODES.join(', ')}`);
+    }
+
+    const units = {};
+    STATUS_UNITS.forEach(unit => {
+        const closure = (status.units || {})[unit] || {};
+        units[unit] = { closed: Boolean(closure.closed), reason: String(closure.reason || '').trim() };
+    });
+
+    return { mode: status.mode, message: String(status.message || '').trim(), units };
+}
+
+/**
+ * Records whose version moved past the one the client based its change on
+ * Changes without baseVersion (older clients) are not checked
+ */
+function findConflicts(store, changes, settingsVersion) {
+    const conflicts = [];
+
+    changes.forEach(change => {
+        if (change.action === 'create' || change.baseVersion === undefined) return;
+
+        const item = store.findItem(change.type, change.id);
+        if (item && (item.version || 1) === Number(change.baseVersion)) return;
+
+        conflicts.push({
+            kind: 'item',
+            type: change.type,
+            id: change.id,
+            base_version: Number(change.baseVersion),
+            theirs: item ? { version: 1, ...item } : null
+        });
+    });
+
+    const settings = store.get('settings');
+    if (settingsVersion !== undefined && (settings.version || 1) !== Number(settingsVersion)) {
+        conflicts.push({ kind: 'settings', base_version: Number(settingsVersion), theirs: { version: 1, ...settings } });
+    }
+
+    return conflicts;
+}
+
+/**
+ * Bump a record's version (unversioned seed data counts as version 1)
+ */
+function stamp(record, username) {
+    record.version = (record.version || 1) + 1;
+    record.updated_at = new Date().toISOString();
+    record.updated_by = username;
+}
+
+/**
+ * Insert a new item and return it
+ */
+function createItem(store, change, username) {
+    const item = {
+        id: `${ID_PREFIXES[change.type]}-${crypto.randomBytes(3).toString('hex')}`,
+        name: String(change.name).trim(),
+        description: '',
+        category: change.category,
+        price_kes: Number(change.price) || 0,
+        stock_level: Number(change.stock) || 0,
+        available: !change.outOfStock,
+        image_url: '',
+        version: 1,
+        updated_at: new Date().toISOString(),
+        updated_by: username
+    };
+
+    applyItemDetails(item, change);
+    if (change.reorder_level !== undefined) item.reorder_level = Number(change.reorder_level);
+
+    store.collectionFor(change.type).push(item);
+    return item;
+}
+
+/**
+ * Map the admin change payload onto a stored item
+ */
+function applyItemChange(item, change) {
+    if (change.price !== undefined) item.price_kes = Number(change.price);
+    if (change.stock !== undefined) item.stock_level = Number(change.stock);
+    if (change.reorder_level !== undefined) item.reorder_level = Number(change.reorder_level);
+    if (change.outOfStock !== undefined) item.available = !change.outOfStock;
+    if (change.action === 'archive') item.archived = true;
+    if (change.action === 'restore') item.archived = false;
+
+    applyItemDetails(item, change);
+}
+
+/**
+ * Copy editor fields that were sent onto the item
+ */
+function applyItemDetails(item, change) {
+    DETAIL_FIELDS.forEach(field => {
+        if (change[field] === undefined) return;
+        item[field] = field === 'duration_minutes' ? Number(change[field]) : change[field];
+    });
+}
+
+/**
+ * History record for one item; updates keep only the fields that changed
+ */
+function itemRecord(type, action, before, after) {
+    const source = after || before;
+    const record = { kind: 'item', type, id: source.id, name: source.name, action };
+
+    if (before === null || after === null) {
+        return { ...record, before: snapshot(before), after: snapshot(after) };
+    }
+
+    return { ...record, ...diffItem(before, after) };
+}
+
+module.exports = { registerAdminRoutes };
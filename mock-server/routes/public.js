@@ -0,0 +1,164 @@
+/**
+ * Penuel Stopover - Mock Public Routes
+ * ============================================
+ * Endpoints used by retail, services, contact and index pages
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { MockHttpError } = require('../lib/router');
+const { hoursOn } = require('../lib/hours');
+const { publicSpecials } = require('../lib/specials');
+const { withInboxFields } = require('../lib/inquiries');
+const { effectiveItem, publicSchedule } = require('../lib/schedule');
+const { orderingStatus, pickupSlots, placeOrder } = require('../lib/orders');
+const { isEvent } = require('../lib/analytics');
+
+// Contact form fields kept on an inquiry (workflow fields belong to the inbox)
+const INQUIRY_FIELDS = ['name', 'email', 'phone', 'serviceType', 'message', 'timestamp', 'pageUrl'];
+
+/**
+ * Register public routes
+ */
+function registerPublicRoutes(router, store) {
+    // RETAIL_ENDPOINT -> { menu, products }
+    router.get('/webhook/penuel-retail', () => ({
+        menu: published(store.get('menu')),
+        products: published(store.get('products'))
+    }), { apiKey: true });
+
+    // SERVICES_ENDPOINT -> { services, wash_packages }
+    router.get('/webhook/penuel-services', () => ({
+        services: published(store.get('services')),
+        wash_packages: published(store.get('wash_packages'))
+    }), { apiKey: true });
+
+    // HOURS_ENDPOINT -> { hours: { restaurant: {...}, ... } } (see lib/hours.js for the schedule shape)
+    router.get('/webhook/penuel-hours', () => ({
+        hours: store.get('settings').hours
+    }), { apiKey: true });
+
+    // STATUS_ENDPOINT -> { status: { mode, message, units } }
+    router.get('/webhook/penuel-status', () => ({
+        status: store.get('settings').status || { mode: 'open', message: '', units: {} }
+    }), { apiKey: true });
+
+    // INQUIRY_ENDPOINT -> { success, id }
+    router.post('/webhook/penuel-inquiry', ({ body }) => {
+        const required = ['name', 'email', 'phone', 'serviceType', 'message'];
+        const errors = {};
+        required.forEach(field => {
+            if (!body[field]) errors[field] = 'Required';
+        });
+
+        if (Object.keys(errors).length > 0) {
+            throw new MockHttpError(422, 'Please fill in all required fields', { errors });
+        }
+
+        const inquiry = withInboxFields({
+            id: `inq-${crypto.randomBytes(4).toString('hex')}`,
+            ...Object.fromEntries(INQUIRY_FIELDS.filter(field => field in body).map(field => [field, body[field]])),
+            received_at: new Date().toISOString()
+        });
+
+        store.get('inquiries').push(inquiry);
+        store.save();
+
+        return { success: true, id: inquiry.id, message: 'Inquiry received' };
+    }, { apiKey: true });
+
+    // ORDER_SLOTS_ENDPOINT -> { accepting, reason, slots } (pickup times as ISO, soonest first)
+    router.get('/webhook/penuel-order/slots', () => {
+        const status = orderingStatus(store.get('settings'));
+        return {
+            accepting: status.open,
+            reason: status.reason,
+            slots: status.open ? pickupSlots(store) : []
+        };
+    }, { apiKey: true });
+
+    // ORDER_ENDPOINT -> { success, order } (order.reference is what the customer quotes at pickup)
+    // Body: { items: [{ id, quantity }], phone, name?, pickup_at }
+    router.post('/webhook/penuel-order', ({ body }) => {
+        const order = placeOrder(store, body);
+        console.log(`🛒 Order ${order.reference}: ${order.items.length} products, KES ${order.total_kes}, pickup ${order.pickup_at}`);
+
+        return { success: true, order };
+    }, { apiKey: true });
+
+    // penuel-chat webhook -> { reply }
+    router.post('/webhook/penuel-chat', ({ body }) => ({
+        reply: buildChatReply(String(body.message || ''), store),
+        sessionId: body.sessionId || null
+    }));
+
+    // /api/daily-specials -> { specials } (active and not yet ended, with the linked item)
+    router.get('/api/daily-specials', () => ({
+        specials: publicSpecials(store)
+    }));
+
+    // /api/analytics -> { success, received }
+    router.post('/api/analytics', ({ body }) => {
+        const events = Array.isArray(body.events) ? body.events.filter(isEvent) : [];
+        store.get('analytics').push(...events);
+        store.save();
+        return { success: true, received: events.length };
+    });
+}
+
+/**
+ * Archived items stay in the admin data but never reach the public site
+ */
+function published(items) {
+    // Suppliers are for the reorder list, not the public site; pages apply the schedule themselves
+    return items
+        .filter(item => !item.archived)
+        .map(({ supplier, ...item }) => (item.schedule ? { ...item, schedule: publicSchedule(item) } : item));
+}
+
+/**
+ * Published items at the prices and availability in effect right now
+ */
+function current(items) {
+    return published(items).map(item => effectiveItem(item));
+}
+
+/**
+ * Canned assistant reply that quotes live fixture data
+ */
+function buildChatReply(message, store) {
+    const msg = message.toLowerCase();
+
+    if (/menu|food|eat|restaurant|breakfast|lunch|dinner/.test(msg)) {
+        const items = current(store.get('menu')).filter(item => item.available).slice(0, 3);
+        const list = items.map(item => `${item.name} (KES ${item.price_kes})`).join(', ');
+        return `Today at the restaurant: ${list}. See the Dine & Shop page for the full menu.`;
+    }
+
+    if (/wash|clean/.test(msg)) {
+        const list = current(store.get('wash_packages')).map(pkg => `${pkg.name} (KES ${pkg.price_kes})`).join(', ');
+        return `Our car wash packages: ${list}.`;
+    }
+
+    if (/service|repair|inspection|oil|tyre|tire/.test(msg)) {
+        const list = current(store.get('services')).map(svc => `${svc.name} (KES ${svc.price_kes})`).join(', ');
+        return `Service bay options: ${list}.`;
+    }
+
+    if (/hour|open|close/.test(msg)) {
+        const today = hoursOn(store.get('settings').hours.restaurant, new Date());
+        if (!today) return 'Please check the Contact page for today\'s hours.';
+
+        const occasion = today.label ? ` for ${today.label}` : '';
+        if (today.closed) return `The restaurant is closed today${occasion}.`;
+
+        const times = today.shifts.map(shift => `${shift.open} - ${shift.close}`).join(' and ');
+        return `The restaurant is open ${times} today${occasion}.`;
+    }
+
+    const settings = store.get('settings');
+    return `Thanks for your message! For anything urgent call ${settings.phone} or email ${settings.email}.`;
+}
+
+module.exports = { registerPublicRoutes };
@@ -0,0 +1,260 @@
+/**
+ * Penuel Stopover - Local n8n Stand-in
+ * ============================================
+ * Serves the static site and every webhook/API endpoint it calls,
+ * backed by seeded fixture data persisted to mock-server/data/db.json
+ *
+ * Usage:
+ *   node mock-server/server.js [--port 5678] [--latency 300|200-800]
+ *                              [--fail-rate 0.1] [--session-ttl 1800] [--reset]
+ *
+ * Per-request simulation (query string or header):
+ *   ?__delay=2000  / x-mock-delay: 2000   - add latency to this request
+ *   ?__fail=503    / x-mock-fail: 503     - force this status code
+ *   ?__sync_fail=1 / x-mock-sync-fail: 1  - make the AI sync job it starts fail
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const { Router, MockHttpError } = require('./lib/router');
+const { Store } = require('./lib/store');
+const { SessionStore } = require('./lib/sessions');
+const { uploadPath } = require('./lib/uploads');
+const { registerPublicRoutes } = require('./routes/public');
+const { registerAdminRoutes } = require('./routes/admin');
+
+const SITE_ROOT = path.join(__dirname, '..');
+const DATA_FILE = path.join(__dirname, 'data', 'db.json');
+const API_KEY = process.env.PENUEL_API_KEY || 'penuel-local-dev-key';
+
+// Image uploads arrive as base64 JSON, so this is a little above their limit
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/**
+ * Parse --flag value pairs (env vars act as defaults)
+ */
+function parseArgs(argv) {
+    const options = {
+        port: Number(process.env.PORT) || 5678,
+        latency: process.env.MOCK_LATENCY || '0',
+        failRate: Number(process.env.MOCK_FAIL_RATE) || 0,
+        sessionTtl: Number(process.env.SESSION_TTL) || 1800,
+        reset: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') options.port = Number(argv[++i]);
+        else if (arg === '--latency') options.latency = argv[++i];
+        else if (arg === '--fail-rate') options.failRate = Number(argv[++i]);
+        else if (arg === '--session-ttl') options.sessionTtl = Number(argv[++i]);
+        else if (arg === '--reset') options.reset = true;
+    }
+
+    return options;
+}
+
+/**
+ * Latency spec is either a fixed "300" or a range "200-800"
+ */
+function pickLatency(spec) {
+    const [min, max] = String(spec).split('-').map(Number);
+    if (!max) return min || 0;
+    return Math.round(min + Math.random() * (max - min));
+}
+
+// ========================================
+// HTTP HELPERS
+// ========================================
+
+function sendJson(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+    res.end(JSON.stringify(payload));
+}
+
+function setCorsHeaders(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, x-api-key, x-admin-token, x-session-id, x-mock-delay, x-mock-fail, x-mock-sync-fail');
+}
+
+/**
+ * Read and JSON-parse the request body ({} when empty)
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (size > MAX_BODY_BYTES) {
+                return reject(new MockHttpError(413, 'Request body is too large'));
+            }
+
+            const raw = Buffer.concat(chunks).toString('utf8');
+            if (!raw) return resolve({});
+
+            try {
+                resolve(JSON.parse(raw));
+            } catch (error) {
+                reject(new MockHttpError(400, 'Request body must be valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Serve a file from the site root (index.html for "/") or an uploaded item photo
+ */
+function serveStatic(pathname, res) {
+    let upload;
+    let relative;
+    try {
+        upload = uploadPath(pathname);
+        relative = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+    } catch (error) {
+        return sendJson(res, 400, { success: false, message: 'Malformed URL' });
+    }
+
+    const filePath = upload || path.normalize(path.join(SITE_ROOT, relative));
+    const dataDir = path.join(__dirname, 'data');
+
+    // Never serve outside the site root or the mock server's own data (uploads aside)
+    const inSite = filePath === SITE_ROOT || filePath.startsWith(SITE_ROOT + path.sep);
+    if (!upload && (!inSite || filePath === dataDir || filePath.startsWith(dataDir + path.sep))) {
+        return sendJson(res, 403, { success: false, message: 'Forbidden' });
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            return sendJson(res, 404, { success: false, message: `Not found: ${pathname}` });
+        }
+
+        const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(content);
+    });
+}
+
+// ========================================
+// REQUEST PIPELINE
+// ========================================
+
+function createServer(options) {
+    const store = new Store(DATA_FILE);
+    store.load(options.reset);
+
+    const sessions = new SessionStore(options.sessionTtl * 1000);
+    const router = new Router();
+    registerPublicRoutes(router, store);
+    registerAdminRoutes(router, store, sessions);
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        const pathname = url.pathname;
+        const started = Date.now();
+
+        setCorsHeaders(res);
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            return res.end();
+        }
+
+        const isApi = pathname.startsWith('/webhook/') || pathname.startsWith('/api/');
+        if (!isApi) {
+            return serveStatic(pathname, res);
+        }
+
+        try {
+            // Simulated latency and failures
+            const delay = Number(url.searchParams.get('__delay') || req.headers['x-mock-delay']) || pickLatency(options.latency);
+            if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+
+            const forcedStatus = Number(url.searchParams.get('__fail') || req.headers['x-mock-fail']);
+            if (forcedStatus) {
+                throw new MockHttpError(forcedStatus, `Simulated failure (${forcedStatus})`);
+            }
+
+            if (options.failRate > 0 && Math.random() < options.failRate) {
+                throw new MockHttpError(503, 'Simulated random failure');
+            }
+
+            const match = router.match(req.method, pathname);
+            if (!match) {
+                const status = router.hasPath(pathname) ? 405 : 404;
+                throw new MockHttpError(status, `No route for ${req.method} ${pathname}`);
+            }
+
+            const { route, params } = match;
+
+            if (route.options.apiKey && req.headers['x-api-key'] !== API_KEY) {
+                throw new MockHttpError(401, 'Missing or invalid API key');
+            }
+
+            let session = null;
+            if (route.options.admin) {
+                session = sessions.get(req.headers['x-admin-token']);
+                if (!session) {
+                    throw new MockHttpError(401, 'Admin session expired. Please log in again.');
+                }
+            }
+
+            const body = req.method === 'GET' ? {} : await readBody(req);
+            const result = await route.handler({ req, body, params, query: url.searchParams, session });
+
+            sendJson(res, 200, result);
+            console.log(`✅ ${req.method} ${pathname} 200 (${Date.now() - started}ms)`);
+
+        } catch (error) {
+            const status = error instanceof MockHttpError ? error.status : 500;
+            if (!(error instanceof MockHttpError)) {
+                console.error('❌ Handler error:', error);
+            }
+
+            sendJson(res, status, { success: false, message: error.message, ...(error.extra || {}) });
+            console.log(`⚠️ ${req.method} ${pathname} ${status} (${Date.now() - started}ms)`);
+        }
+    });
+}
+
+// ========================================
+// START
+// ========================================
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    const server = createServer(options);
+
+    server.listen(options.port, () => {
+        console.log(`🦁 Penuel mock backend running at http://localhost:${options.port}`);
+        console.log(`   latency: ${options.latency}ms, fail rate: ${options.failRate}, session ttl: ${options.sessionTtl}s`);
+    });
+}
+
+module.exports = { createServer };